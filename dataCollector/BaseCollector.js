@@ -1,6 +1,7 @@
 import WebSocket from 'ws';
 import EventEmitter from 'events';
 import { logger } from '../src/utils/logger.js';
+import { CollectorEvents } from './CollectorContract.js';
 
 /**
  * Base WebSocket Collector
@@ -11,7 +12,10 @@ export class BaseCollector extends EventEmitter {
   constructor(url, options = {}) {
     super();
     this.url = url;
+    this.options = options;
+    this.name = options.name || 'websocket';
     this.ws = null;
+    this.isRunning = false;
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = options.maxReconnectAttempts || 10;
@@ -21,10 +25,41 @@ export class BaseCollector extends EventEmitter {
     this.lastMessageTime = Date.now();
   }
 
+  /**
+   * Start collecting (collector contract)
+   */
+  async start() {
+    this.connect();
+  }
+
+  /**
+   * Stop collecting (collector contract)
+   */
+  async stop() {
+    this.isRunning = false;
+    this.disconnect();
+  }
+
+  /**
+   * Get collector status (collector contract)
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      url: this.url,
+      isRunning: this.isRunning,
+      isConnected: this.isConnected,
+      reconnectAttempts: this.reconnectAttempts,
+      lastMessageTime: this.lastMessageTime,
+    };
+  }
+
   /**
    * Connect to WebSocket
    */
   connect() {
+    this.isRunning = true;
+
     try {
       logger.info(`Connecting to ${this.url}`);
 
@@ -53,7 +88,7 @@ export class BaseCollector extends EventEmitter {
     this.reconnectAttempts = 0;
     this.lastMessageTime = Date.now();
     this.startHeartbeat();
-    this.emit('connected');
+    this.emit(CollectorEvents.CONNECTED);
     this.subscribe();
   }
 
@@ -63,12 +98,18 @@ export class BaseCollector extends EventEmitter {
    */
   onMessage(data) {
     this.lastMessageTime = Date.now();
+    this.emit(CollectorEvents.FRAME, {
+      source: this.name,
+      timestamp: this.lastMessageTime,
+      payload: data.toString(),
+    });
 
     try {
       const message = this.parseMessage(data);
-      if (message) {
-        this.emit('data', message);
-      }
+
+      // A single frame may carry several events
+      const messages = Array.isArray(message) ? message : [message];
+      messages.filter(Boolean).forEach(item => this.emit(CollectorEvents.DATA, item));
     } catch (error) {
       logger.error(`Message parsing error: ${error.message}`);
     }
@@ -76,6 +117,7 @@ export class BaseCollector extends EventEmitter {
 
   /**
    * Parse message - override in child classes
+   * May return a single event, an array of events or null
    */
   parseMessage(data) {
     try {
@@ -91,7 +133,7 @@ export class BaseCollector extends EventEmitter {
    */
   onError(error) {
     logger.error(`WebSocket error: ${error.message}`);
-    this.emit('error', error);
+    this.emit(CollectorEvents.ERROR, error);
   }
 
   /**
@@ -101,7 +143,7 @@ export class BaseCollector extends EventEmitter {
     logger.warn(`WebSocket closed: ${code} - ${reason}`);
     this.isConnected = false;
     this.stopHeartbeat();
-    this.emit('disconnected');
+    this.emit(CollectorEvents.DISCONNECTED);
     this.handleReconnect();
   }
 
@@ -164,7 +206,7 @@ export class BaseCollector extends EventEmitter {
   handleReconnect() {
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       logger.error('Max reconnection attempts reached');
-      this.emit('maxReconnectReached');
+      this.emit(CollectorEvents.MAX_RECONNECT_REACHED);
       return;
     }
 
@@ -174,7 +216,9 @@ export class BaseCollector extends EventEmitter {
     logger.info(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
 
     setTimeout(() => {
-      this.reconnect();
+      if (this.isRunning) {
+        this.reconnect();
+      }
     }, delay);
   }
 
@@ -1,6 +1,17 @@
 import WebSocket from 'ws';
 import { BaseCollector } from './BaseCollector.js';
 import { logger } from '../src/utils/logger.js';
+import { ZapParser } from './ZapParser.js';
+import { ZapTopicTree } from './ZapTopicTree.js';
+
+/**
+ * Per-team counters carried on EV nodes, formatted "home-away"
+ */
+const SCORE_FIELDS = ['SS', 'SC'];
+const CARD_FIELDS = {
+  YC: 'yellow_card',
+  RC: 'red_card',
+};
 
 /**
  * Bet365 WebSocket Collector
@@ -10,6 +21,7 @@ import { logger } from '../src/utils/logger.js';
 export class Bet365Collector extends BaseCollector {
   constructor(url, options = {}) {
     super(url, {
+      name: 'bet365',
       ...options,
       headers: {
         'User-Agent':
@@ -22,12 +34,15 @@ export class Bet365Collector extends BaseCollector {
       },
       protocol: 'zap-protocol-v1',
     });
+    this.topicTree = new ZapTopicTree();
   }
 
   /**
    * Connect with browser-like headers
    */
   connect() {
+    this.isRunning = true;
+
     try {
       logger.info(`Connecting to Bet365: ${this.url}`);
 
@@ -55,6 +70,8 @@ export class Bet365Collector extends BaseCollector {
   subscribe() {
     // Bet365 usually sends data automatically once connected
     // If subscription is needed, it would go here
+    // Topics are re-sent as full snapshots after a reconnect
+    this.topicTree.clear();
     logger.info('Connected to Bet365 feed, awaiting data...');
   }
 
@@ -72,8 +89,7 @@ export class Bet365Collector extends BaseCollector {
         return this.normalizeEvent(message);
       }
 
-      // Handle custom Bet365 format (pipe-separated or other format)
-      // This needs to be adapted based on actual message structure
+      // Handle ZAP protocol frames (one or more records)
       return this.parseCustomFormat(raw);
     } catch (error) {
       logger.debug(`Bet365 parse error: ${error.message}`);
@@ -82,22 +98,99 @@ export class Bet365Collector extends BaseCollector {
   }
 
   /**
-   * Parse custom Bet365 format
+   * Parse ZAP protocol frames
+   * Every record is applied to the topic tree and match events are derived
+   * from the resulting state changes
    */
   parseCustomFormat(raw) {
-    // Bet365 often uses formats like:
-    // "OV|matchId|eventType|data"
-    // We'll need to adjust this based on actual data
+    const events = [];
 
-    logger.debug('Raw Bet365 message:', raw.substring(0, 200));
+    for (const record of ZapParser.decode(raw)) {
+      if (record.type !== 'zap') {
+        continue;
+      }
 
-    // For now, return raw data for analysis
-    return {
-      source: 'bet365',
-      timestamp: Date.now(),
-      raw: raw,
-      needsParsing: true,
-    };
+      const changes = this.topicTree.apply(record);
+      changes.forEach(change => events.push(...this.deriveEvents(change)));
+    }
+
+    return events;
+  }
+
+  /**
+   * Derive goal / card events from a change on an EV (match) node
+   */
+  deriveEvents({ action, node, previous }) {
+    if (action !== 'update' || node.type !== 'EV' || !previous) {
+      return [];
+    }
+
+    const events = [];
+    const current = node.fields;
+
+    const scoreField = SCORE_FIELDS.find(field => current[field] !== undefined);
+    if (scoreField) {
+      const before = this.parseCounter(previous[scoreField]);
+      const after = this.parseCounter(current[scoreField]);
+
+      if (before && after) {
+        ['home', 'away'].forEach(team => {
+          if (after[team] > before[team]) {
+            events.push(this.buildEvent(node, 'goal', team));
+          }
+        });
+      }
+    }
+
+    for (const [field, eventType] of Object.entries(CARD_FIELDS)) {
+      const before = this.parseCounter(previous[field]);
+      const after = this.parseCounter(current[field]);
+
+      if (before && after) {
+        ['home', 'away'].forEach(team => {
+          if (after[team] > before[team]) {
+            events.push(this.buildEvent(node, eventType, team));
+          }
+        });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Parse "2-1" style counters
+   */
+  parseCounter(value) {
+    if (typeof value !== 'string') return null;
+
+    const match = value.match(/^(\d+)\s*[-:]\s*(\d+)$/);
+    if (!match) return null;
+
+    return { home: parseInt(match[1], 10), away: parseInt(match[2], 10) };
+  }
+
+  /**
+   * Build a normalized event from the match node state
+   */
+  buildEvent(node, eventType, team) {
+    const fields = node.fields;
+    const [homeTeam, awayTeam] = (fields.NA || '').split(/\s+v(?:s)?\s+/);
+    const competition = this.topicTree.findAncestor(node, 'CT');
+    const score = this.parseCounter(fields.SS || fields.SC);
+    const minute = parseInt(fields.TM || fields.MG, 10);
+
+    return this.normalizeEvent({
+      type: eventType,
+      matchId: fields.ID || node.id,
+      homeTeam,
+      awayTeam,
+      tournament: fields.CT || competition?.fields.NA,
+      score: score ? `${score.home}-${score.away}` : undefined,
+      minute: Number.isNaN(minute) ? undefined : minute,
+      team,
+      teamName: team === 'home' ? homeTeam : awayTeam,
+    });
   }
 
   /**
@@ -114,6 +207,9 @@ export class Bet365Collector extends BaseCollector {
       matchId: event.matchId || event.id || event.gameId,
       homeTeam: event.homeTeam || event.home,
       awayTeam: event.awayTeam || event.away,
+      tournament: event.tournament,
+      team: event.team,
+      teamName: event.teamName,
       score: event.score || { home: 0, away: 0 },
       minute: event.minute || event.time,
       data: event,
@@ -154,6 +250,14 @@ export class Bet365Collector extends BaseCollector {
       'yellow-card': 'yellow_card',
       redCard: 'red_card',
       yellowCard: 'yellow_card',
+      'kick-off': 'kickoff',
+      'half-time': 'half_time',
+      'second-half': 'second_half',
+      'extra-time': 'extra_time',
+      penalties: 'penalty_shootout',
+      'full-time': 'full_time',
+      postponed: 'postponed',
+      abandoned: 'abandoned',
       // Add more mappings as we discover them
     };
 
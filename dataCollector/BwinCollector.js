@@ -8,7 +8,7 @@ import { logger } from '../src/utils/logger.js';
  */
 export class BwinCollector extends BaseCollector {
   constructor(url, options = {}) {
-    super(url, options);
+    super(url, { name: 'bwin', ...options });
     this.subscriptions = options.subscriptions || [];
   }
 
@@ -99,8 +99,16 @@ export class BwinCollector extends BaseCollector {
       goal: 'goal',
       redCard: 'red_card',
       yellowCard: 'yellow_card',
-      matchStart: 'match_start',
-      matchEnd: 'match_end',
+      matchStart: 'kickoff',
+      kickOff: 'kickoff',
+      halfTime: 'half_time',
+      secondHalf: 'second_half',
+      extraTime: 'extra_time',
+      penaltyShootout: 'penalty_shootout',
+      matchEnd: 'full_time',
+      fullTime: 'full_time',
+      postponed: 'postponed',
+      abandoned: 'abandoned',
       // Add more mappings as needed
     };
 
@@ -0,0 +1,67 @@
+/**
+ * Collector Contract
+ * Every data collector (WebSocket, Puppeteer or browser-driven) implements
+ * the same lifecycle, events and status fields so SportsDataPipeline can run
+ * any of them interchangeably.
+ *
+ * Lifecycle:
+ *   start()  → Promise, begins collecting (opens sockets / launches browser)
+ *   stop()   → Promise, releases every resource the collector holds
+ *
+ * Status fields:
+ *   name         short source identifier ('sofascore', 'bwin', ...)
+ *   isRunning    true between start() and stop()
+ *   isConnected  true while the upstream feed is delivering data
+ *   getStatus()  plain object snapshot used by the pipeline status
+ *
+ * Events: see CollectorEvents below.
+ */
+
+/**
+ * Event names emitted by collectors
+ */
+export const CollectorEvents = Object.freeze({
+  // Normalized event ({ eventType, matchId, timestamp, source, ... })
+  DATA: 'data',
+  // Raw upstream frame, for debugging and journaling
+  FRAME: 'frame',
+  CONNECTED: 'connected',
+  DISCONNECTED: 'disconnected',
+  ERROR: 'error',
+  MAX_RECONNECT_REACHED: 'maxReconnectReached',
+});
+
+/**
+ * Normalized match lifecycle event types, emitted once per phase change
+ * (eventType of a DATA event, also the alert type)
+ */
+export const LIFECYCLE_EVENTS = Object.freeze([
+  'kickoff',
+  'half_time',
+  'second_half',
+  'extra_time',
+  'penalty_shootout',
+  'full_time',
+  'postponed',
+  'abandoned',
+]);
+
+const REQUIRED_METHODS = ['start', 'stop', 'getStatus', 'on'];
+
+/**
+ * Check that an object implements the collector contract
+ * Throws with the list of missing members so misconfigured collectors fail fast
+ */
+export function assertCollector(collector, name = 'collector') {
+  const missing = REQUIRED_METHODS.filter(method => typeof collector?.[method] !== 'function');
+
+  if (collector && typeof collector.isConnected !== 'boolean') {
+    missing.push('isConnected');
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`${name} does not implement the collector contract: ${missing.join(', ')}`);
+  }
+
+  return collector;
+}
@@ -2,6 +2,7 @@ import puppeteer from 'puppeteer';
 import EventEmitter from 'events';
 import zlib from 'zlib';
 import { logger } from '../src/utils/logger.js';
+import { CollectorEvents } from './CollectorContract.js';
 
 /**
  * Puppeteer Browser Manager
@@ -11,11 +12,14 @@ import { logger } from '../src/utils/logger.js';
 export class PuppeteerCollector extends EventEmitter {
   constructor(options = {}) {
     super();
+    this.name = options.name || 'puppeteer';
     this.url = options.url || 'https://www.bet365.com';
     this.browser = null;
     this.page = null;
     this.wsConnections = new Map();
     this.isRunning = false;
+    this.isConnected = false;
+    this.lastMessageTime = null;
     
     // Determine if we should use headful mode with Xvfb
     const useHeadful = process.env.DISPLAY || false;
@@ -138,6 +142,7 @@ export class PuppeteerCollector extends EventEmitter {
       return true;
     } catch (error) {
       logger.error(`Failed to start browser: ${error.message}`);
+      this.emit(CollectorEvents.ERROR, error);
       throw error;
     }
   }
@@ -175,6 +180,11 @@ export class PuppeteerCollector extends EventEmitter {
       logger.info(`🔌 WebSocket connected: ${url}`);
       this.wsConnections.set(requestId, { url, created: Date.now() });
       this.emit('websocket-connected', { requestId, url });
+
+      if (!this.isConnected) {
+        this.isConnected = true;
+        this.emit(CollectorEvents.CONNECTED);
+      }
     });
 
     client.on('Network.webSocketClosed', ({ requestId }) => {
@@ -183,6 +193,11 @@ export class PuppeteerCollector extends EventEmitter {
         logger.info(`🔌 WebSocket closed: ${connection.url}`);
         this.wsConnections.delete(requestId);
         this.emit('websocket-closed', { requestId });
+
+        if (this.isConnected && this.wsConnections.size === 0) {
+          this.isConnected = false;
+          this.emit(CollectorEvents.DISCONNECTED);
+        }
       }
     });
 
@@ -276,12 +291,13 @@ export class PuppeteerCollector extends EventEmitter {
         parsed = { type: 'error', error: error.message };
       }
 
-      // Emit data event
-      this.emit('data', {
+      // Emit raw frame - intercepted traffic is not normalized into match events
+      this.lastMessageTime = Date.now();
+      this.emit(CollectorEvents.FRAME, {
         source: this.detectSource(connection.url),
-        timestamp: Date.now(),
+        timestamp: this.lastMessageTime,
         wsUrl: connection.url,
-        data: parsed,
+        payload: parsed,
         raw: data.substring(0, 100), // Truncate raw data
       });
     } catch (error) {
@@ -459,6 +475,8 @@ export class PuppeteerCollector extends EventEmitter {
     try {
       logger.info('🛑 Stopping browser...');
       this.isRunning = false;
+      this.isConnected = false;
+      this.wsConnections.clear();
 
       if (this.page) {
         await this.page.close();
@@ -474,6 +492,20 @@ export class PuppeteerCollector extends EventEmitter {
     }
   }
 
+  /**
+   * Get collector status (collector contract)
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      url: this.url,
+      isRunning: this.isRunning,
+      isConnected: this.isConnected,
+      lastMessageTime: this.lastMessageTime,
+      connections: this.getConnections(),
+    };
+  }
+
   /**
    * Check if browser is running
    */
@@ -6,35 +6,230 @@
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 import EventEmitter from 'events';
-import pino from 'pino';
+import { CollectorEvents } from './CollectorContract.js';
+import { computeMatchClock, mergeClockFields, readClockFields } from './matchClock.js';
+import {
+  DEFAULT_SPORT,
+  SPORTS,
+  findTennisGames,
+  getSport,
+  readPeriodScores,
+  updateScoringRun,
+} from './sports.js';
+import { createWatchList, isWatchingAll, matchesWatchList } from './watchList.js';
+import { matchStore, parseScore } from '../matchState/index.js';
+import { startTrace } from '../src/utils/tracing.js';
+import { logger } from '../src/utils/logger.js';
 
 // Use stealth plugin to avoid detection
 puppeteer.use(StealthPlugin());
 
-const logger = pino({
-  level: process.env.LOG_LEVEL || 'info',
-  transport: {
-    target: 'pino-pretty',
-    options: {
-      colorize: true,
-      translateTime: 'HH:MM:ss',
-      ignore: 'pid,hostname',
-    },
-  },
-});
+// SofaScore goal incident classes → normalized goal type (ice hockey included)
+const GOAL_TYPES = {
+  regular: 'regular',
+  penalty: 'penalty',
+  ownGoal: 'own_goal',
+  powerplay: 'power_play',
+  powerPlay: 'power_play',
+  shorthanded: 'short_handed',
+  shortHanded: 'short_handed',
+  emptyNet: 'empty_net',
+  penaltyShot: 'penalty_shot',
+};
+
+const livescoreUrl = sport => `https://www.sofascore.com/${sport}/livescore`;
+
+// SofaScore status codes that start a match phase (finished: 100, 110 AET, 120 AP)
+const LIFECYCLE_STATUS_CODES = {
+  6: 'kickoff',
+  31: 'half_time',
+  7: 'second_half',
+  41: 'extra_time',
+  50: 'penalty_shootout',
+  60: 'postponed',
+  90: 'abandoned',
+};
+
+// Status codes shared by every sport
+const COMMON_STATUS_CODES = {
+  60: 'postponed',
+  90: 'abandoned',
+};
+
+/**
+ * Lifecycle event type of a match status, or null
+ * Periods differ per sport: outside football the match only starts and ends
+ */
+function lifecycleEventFor(status, sport = DEFAULT_SPORT) {
+  if (status?.type === 'finished') return 'full_time';
+  if (sport === 'football') return LIFECYCLE_STATUS_CODES[status?.code] || null;
+  if (COMMON_STATUS_CODES[status?.code]) return COMMON_STATUS_CODES[status.code];
+  return status?.type === 'inprogress' ? 'kickoff' : null;
+}
+
+// SofaScore frame counters per team and card colour
+const CARD_COUNTERS = {
+  home: { yellow: 'homeYellowCards', red: 'homeRedCards' },
+  away: { yellow: 'awayYellowCards', red: 'awayRedCards' },
+};
+
+// SofaScore card incident classes per colour (a second yellow is a red)
+const CARD_CLASSES = {
+  yellow: ['yellow'],
+  red: ['red', 'yellowRed'],
+};
+
+/**
+ * Card counters present in a frame ({ home: { yellow }, away: { red } }),
+ * or null if the frame has none
+ */
+function extractCardCounts(data) {
+  let found = false;
+  const counts = { home: {}, away: {} };
+
+  Object.entries(CARD_COUNTERS).forEach(([team, fields]) => {
+    Object.entries(fields).forEach(([color, field]) => {
+      if (typeof data[field] === 'number') {
+        counts[team][color] = data[field];
+        found = true;
+      }
+    });
+  });
+
+  return found ? counts : null;
+}
+
+/**
+ * Cards added since the previous counters: [{ team, color, count }]
+ * Counters seen for the first time only set the baseline
+ */
+function countNewCards(previous, current) {
+  const cards = [];
+
+  Object.entries(current).forEach(([team, colors]) => {
+    Object.entries(colors).forEach(([color, total]) => {
+      const before = previous?.[team]?.[color];
+      if (before !== undefined && total > before) {
+        cards.push({ team, color, count: total - before });
+      }
+    });
+  });
+
+  return cards;
+}
+
+/**
+ * Pair each new card with a found incident ([{ team, color, incident }],
+ * incident null when not found). A second yellow may raise the yellow
+ * counter as well as the red one; that yellow is not reported on its own.
+ */
+function matchCardIncidents(newCards, found) {
+  return newCards.flatMap(({ team, color, count }) => {
+    const incidents = found
+      .filter(card => card.team === team && card.color === color)
+      .map(card => card.incident);
+
+    let expected = count;
+    if (color === 'yellow') {
+      const secondYellows = found.filter(
+        card => card.team === team && card.incident.incidentClass === 'yellowRed'
+      ).length;
+      expected -= Math.min(secondYellows, Math.max(0, count - incidents.length));
+    }
+
+    return Array.from({ length: expected }, (_, index) => ({
+      team,
+      color,
+      incident: incidents[index] || null,
+    }));
+  });
+}
+
+const isTeamIncident = (incident, team) =>
+  team === 'home' ? incident.isHome === true : incident.isHome !== true;
+
+/**
+ * Unreported card incidents matching the new cards, newest first
+ * ([{ team, color, incident }])
+ */
+function findNewCardIncidents(incidents, newCards, reported) {
+  return newCards.flatMap(({ team, color, count }) =>
+    incidents
+      .filter(inc => CARD_CLASSES[color].includes(inc.incidentClass))
+      .filter(inc => isTeamIncident(inc, team) && !reported.has(inc.id))
+      .sort((a, b) => b.id - a.id)
+      .slice(0, count)
+      .map(incident => ({ team, color, incident }))
+  );
+}
+
+/**
+ * Normalized goal details from a SofaScore goal incident (and the VAR
+ * decision that confirmed it, if any)
+ */
+function toGoalData(goal, incidents = []) {
+  const goalType = GOAL_TYPES[goal.incidentClass] || 'regular';
+  const review = incidents.find(
+    inc =>
+      inc.incidentType === 'varDecision' &&
+      inc.incidentClass === 'goalAwarded' &&
+      inc.isHome === goal.isHome &&
+      Math.abs((inc.time ?? 0) - (goal.time ?? 0)) <= 2
+  );
+
+  return {
+    goalType,
+    isPenalty: goalType === 'penalty',
+    isOwnGoal: goalType === 'own_goal',
+    varConfirmed: Boolean(review),
+  };
+}
 
 export class SofaScoreCollector extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
+    this.name = options.name || 'sofascore';
+    this.sports = this.resolveSports(options.sports);
+    this.watchList = createWatchList(options.watchList); // see watchList.js
+    this.ignoredMatches = new Set(); // matchIds outside the watch list
     this.browser = null;
     this.page = null;
     this.cdpSession = null;
+    this.sportPages = new Map(); // sport -> { page, cdpSession, reopening } of the extra tabs
     this.isRunning = false;
+    this.isConnected = false;
+    this.lastMessageTime = null;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.previousScores = new Map(); // Track scores to detect changes
-    this.matchInfo = new Map(); // Cache match details (teams, players, etc.)
+    this.isReconnecting = false;
+    this.maxReconnectAttempts = options.maxReconnectAttempts || 5;
+    this.matchStore = options.matchStore || matchStore; // Shared match state (teams, scores, lineups...)
     this.refreshInterval = null; // Interval for refreshing live matches
+    this.reportedCards = new Map(); // matchId -> Set of card incident ids already emitted
+    this.clockFields = new Map(); // matchId -> latest status / time fields (see matchClock.js)
+    this.scoringRuns = new Map(); // matchId -> basketball run { team, points, startScore, reported }
+    // Incident lookups after a goal or card (ms after the previous attempt)
+    this.enrichmentDelays = options.enrichmentDelays || [0, 2000, 5000, 10000];
+    // Live match incident polling for events that never change the score (0 = off)
+    this.incidentPollInterval = options.incidentPollInterval ?? 60000;
+    this.incidentPollTimer = null;
+    this.isPollingIncidents = false;
+    this.seenIncidents = new Map(); // matchId -> Set of incident ids
+  }
+
+  /**
+   * Keep the known sports of a SOFASCORE_SPORTS list (football if none)
+   */
+  resolveSports(sports = [DEFAULT_SPORT]) {
+    const unknown = sports.filter(sport => !SPORTS[sport]);
+    if (unknown.length > 0) {
+      logger.warn(
+        { unknown, supported: Object.keys(SPORTS) },
+        'Ignoring unsupported SofaScore sports'
+      );
+    }
+
+    const known = sports.filter(sport => SPORTS[sport]);
+    return known.length > 0 ? known : [DEFAULT_SPORT];
   }
 
   async start() {
@@ -137,13 +332,17 @@ export class SofaScoreCollector extends EventEmitter {
 
       this.setupWebSocketInterception();
 
-      // Navigate to live matches page
+      // Navigate to live matches page (the page subscribes to its sport's feed)
       logger.info('🌐 Navigating to SofaScore...');
-      await this.page.goto('https://www.sofascore.com/football/livescore', {
+      await this.page.goto(livescoreUrl(this.sports[0]), {
         waitUntil: 'networkidle2', // Wait for page to fully load
         timeout: 30000,
       });
 
+      for (const sport of this.sports.slice(1)) {
+        await this.openSportPage(sport);
+      }
+
       // Extract all live matches from the page DOM
       logger.info('📊 Extracting live match details from page...');
       await this.extractLiveMatches();
@@ -154,20 +353,86 @@ export class SofaScoreCollector extends EventEmitter {
         await this.extractLiveMatches();
       }, 5 * 60 * 1000); // 5 minutes
 
+      if (this.incidentPollInterval > 0) {
+        this.incidentPollTimer = setInterval(() => this.pollIncidents(), this.incidentPollInterval);
+      }
+
       this.isRunning = true;
+      this.isConnected = true;
       logger.info('✅ SofaScore collector started!');
-      logger.info('📡 Monitoring ALL live matches via WebSocket');
+      if (isWatchingAll(this.watchList)) {
+        logger.info(`📡 Monitoring ALL live matches via WebSocket (${this.sports.join(', ')})`);
+      } else {
+        logger.info(
+          { watchList: this.watchList },
+          `📡 Monitoring watch-listed live matches via WebSocket (${this.sports.join(', ')})`
+        );
+      }
 
       this.emit('started');
+      this.emit(CollectorEvents.CONNECTED);
     } catch (error) {
       logger.error({ error: error.message }, 'Failed to start SofaScore collector');
-      this.emit('error', error);
+      this.emit(CollectorEvents.ERROR, error);
       throw error;
     }
   }
 
-  setupWebSocketInterception() {
-    this.cdpSession.on('Network.webSocketFrameReceived', ({ timestamp, response }) => {
+  /**
+   * Open a livescore tab for an additional sport; its WebSocket frames are
+   * intercepted like the main page's
+   */
+  async openSportPage(sport) {
+    const page = await this.browser.newPage();
+
+    if (process.env.PROXY_USERNAME && process.env.PROXY_PASSWORD) {
+      await page.authenticate({
+        username: process.env.PROXY_USERNAME,
+        password: process.env.PROXY_PASSWORD,
+      });
+    }
+
+    const cdpSession = await page.target().createCDPSession();
+    await cdpSession.send('Network.enable');
+    this.sportPages.set(sport, { page, cdpSession, reopening: false });
+    this.setupWebSocketInterception(cdpSession, sport);
+
+    logger.info({ sport }, '🌐 Opening livescore tab');
+    await page.goto(livescoreUrl(sport), { waitUntil: 'networkidle2', timeout: 30000 });
+  }
+
+  /**
+   * Reopen one sport's tab after its WebSocket closed; the other feeds keep
+   * running. A tab that cannot be reopened falls back to a full restart.
+   */
+  async reopenSportPage(sport) {
+    const tab = this.sportPages.get(sport);
+    if (!tab || tab.reopening || this.isReconnecting) return;
+    tab.reopening = true;
+
+    logger.warn({ sport }, 'Livescore tab WebSocket closed, reopening tab');
+    await tab.cdpSession.detach().catch(() => {});
+    await tab.page.close().catch(() => {});
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    if (!this.isRunning || this.sportPages.get(sport) !== tab) return;
+
+    try {
+      await this.openSportPage(sport);
+    } catch (error) {
+      logger.error({ sport, error: error.message }, 'Failed to reopen livescore tab');
+      this.handleReconnect();
+    }
+  }
+
+  /**
+   * Intercept SofaScore frames of a tab's CDP session
+   * sport: the additional sport of the tab (null for the main page)
+   */
+  setupWebSocketInterception(cdpSession = this.cdpSession, sport = null) {
+    // CDP frame timestamps are monotonic seconds, so traces use the wall clock
+    cdpSession.on('Network.webSocketFrameReceived', ({ response }) => {
+      const trace = startTrace({ frame_received: Date.now() });
+
       try {
         const message = response.payloadData;
 
@@ -184,19 +449,29 @@ export class SofaScoreCollector extends EventEmitter {
           return;
         }
 
-        // Parse SofaScore protocol: MSG sport.football <channel> <size>\n<json>\n
-        if (decoded.startsWith('MSG sport.football')) {
+        // Parse SofaScore protocol: MSG sport.<sport> <channel> <size>\n<json>\n
+        const sport = decoded.match(/^MSG sport\.([\w-]+)/)?.[1];
+        if (this.sports.includes(sport)) {
           const lines = decoded.split('\n');
           if (lines.length >= 2) {
             try {
               const jsonData = JSON.parse(lines[1]);
+              trace.stages.parsed = Date.now();
+              this.lastMessageTime = Date.now();
+              this.emit(CollectorEvents.FRAME, {
+                source: this.name,
+                timestamp: this.lastMessageTime,
+                payload: jsonData,
+              });
               // Log if this is a goal/card event to see the structure
               if (jsonData['homeScore.current'] !== undefined || jsonData['awayScore.current'] !== undefined || 
                   jsonData.homeRedCards !== undefined || jsonData.awayRedCards !== undefined ||
                   jsonData.homeYellowCards !== undefined || jsonData.awayYellowCards !== undefined) {
                 logger.debug({ sample: JSON.stringify(jsonData).substring(0, 500) }, '📦 WebSocket event data');
               }
-              this.handleMatchUpdate(jsonData, timestamp);
+              this.handleMatchUpdate(jsonData, trace, sport).catch(error => {
+                logger.error({ error: error.message, matchId: jsonData.id }, 'Match update failed');
+              });
             } catch (parseError) {
               logger.debug({ error: parseError.message }, 'Failed to parse JSON from message');
             }
@@ -207,168 +482,314 @@ export class SofaScoreCollector extends EventEmitter {
       }
     });
 
-    this.cdpSession.on('Network.webSocketClosed', () => {
+    cdpSession.on('Network.webSocketClosed', () => {
+      // Closes during stop() / restart are expected
+      if (!this.isRunning) return;
+
+      if (sport) {
+        this.reopenSportPage(sport);
+        return;
+      }
+
       logger.warn('WebSocket connection closed');
-      this.emit('disconnected');
+      this.isConnected = false;
+      this.emit(CollectorEvents.DISCONNECTED);
       this.handleReconnect();
     });
   }
 
-  async handleMatchUpdate(data, timestamp) {
-    const matchId = data.id;
-    if (!matchId) return;
+  async handleMatchUpdate(
+    data,
+    trace = startTrace({ frame_received: Date.now() }),
+    sport = DEFAULT_SPORT
+  ) {
+    if (!data.id) return;
+    const matchId = String(data.id);
+
+    // Matches outside the watch list are dropped before any API lookup
+    if (this.ignoredMatches.has(matchId) || this.isWatched(matchId) === false) return;
 
     // Log raw WebSocket data to see what's available
-    if (!this.matchInfo.has(matchId)) {
+    if (!this.hasMatchInfo(matchId)) {
       logger.debug({ matchId, sampleData: JSON.stringify(data).substring(0, 300) }, '📦 WebSocket data sample');
     }
 
     // Check if WebSocket data already contains team names
-    if (data.homeTeam && data.awayTeam && !this.matchInfo.has(matchId)) {
-      logger.info({ matchId, teams: `${data.homeTeam.name} vs ${data.awayTeam.name}` }, '✅ Team data from WebSocket');
-      this.matchInfo.set(matchId, {
+    if (data.homeTeam && data.awayTeam && !this.hasMatchInfo(matchId)) {
+      const info = {
+        source: this.name,
         homeTeam: data.homeTeam.name,
         awayTeam: data.awayTeam.name,
         tournament: data.tournament?.name || data.tournament?.uniqueTournament?.name || '',
         homeTeamShort: data.homeTeam.shortName || data.homeTeam.name,
         awayTeamShort: data.awayTeam.shortName || data.awayTeam.name,
-      });
+      };
+      if (this.isWatched(matchId, info) === false) return;
+
+      logger.info({ matchId, teams: `${data.homeTeam.name} vs ${data.awayTeam.name}` }, '✅ Team data from WebSocket');
+      this.matchStore.upsert(matchId, info);
     }
 
     // Fetch match details if not cached
-    if (!this.matchInfo.has(matchId)) {
+    if (!this.hasMatchInfo(matchId)) {
       logger.info({ matchId }, '🔍 Match not in cache, attempting immediate fetch from API...');
       
       // Try to fetch this specific match from API immediately
       await this.fetchMatchDetailsFromAPI(matchId);
+      if (this.ignoredMatches.has(matchId)) return;
     }
 
-    const matchDetails = this.matchInfo.get(matchId) || {};
+    // Also drops matches whose details are still unknown while a watch list is set
+    if (!this.isWatched(matchId)) return;
+
+    const matchDetails = this.matchStore.get(matchId) || {};
     
     if (!matchDetails.homeTeam || matchDetails.homeTeam === 'Unknown') {
       logger.warn({ 
         matchId, 
-        cachedMatches: Array.from(this.matchInfo.keys()).slice(0, 10),
-        totalCached: this.matchInfo.size 
+        totalCached: this.matchStore.size 
       }, '⚠️ Match details unknown - not in cache');
     }
 
+    // Sport of the feed and, in tennis, who served first
+    if (
+      matchDetails.sport !== sport ||
+      (data.firstToServe && data.firstToServe !== matchDetails.firstToServe)
+    ) {
+      this.matchStore.upsert(matchId, { sport, firstToServe: data.firstToServe });
+    }
+
+    const profile = getSport(sport);
+    const clock = sport === 'football' ? this.updateClock(matchId, data) : null;
     const event = {
-      timestamp: new Date(timestamp * 1000).toISOString(),
+      timestamp: Date.now(),
+      frameTimestamp: trace.stages.frame_received,
+      trace,
       matchId,
       source: 'sofascore',
+      sport,
       homeTeam: matchDetails.homeTeam,
       awayTeam: matchDetails.awayTeam,
       tournament: matchDetails.tournament,
+      minute: clock?.minute ?? null,
+      addedTime: clock?.addedTime ?? undefined,
     };
 
+    // Period scores (quarters, periods, tennis games); breaks of serve in tennis
+    const periodScores = readPeriodScores(data);
+    if (periodScores) {
+      const previousPeriods = this.matchStore.setPeriodScores(matchId, periodScores);
+      if (profile.scoring === 'sets') {
+        this.emitBreaks(event, previousPeriods);
+      }
+    }
+
     // Detect goal from score change
     if (data['homeScore.current'] !== undefined || data['awayScore.current'] !== undefined) {
+      // Frames may carry only the side that changed; the other keeps its stored score
+      const storedScore = this.matchStore.get(matchId)?.score;
       const currentScore = {
-        home: data['homeScore.current'] ?? 0,
-        away: data['awayScore.current'] ?? 0,
+        home: data['homeScore.current'] ?? storedScore?.home ?? 0,
+        away: data['awayScore.current'] ?? storedScore?.away ?? 0,
       };
 
-      const previousScore = this.previousScores.get(matchId);
-
-      if (previousScore) {
-        // Check for goal
-        if (currentScore.home > previousScore.home) {
-          event.eventType = 'goal';
-          event.team = 'home';
-          event.teamName = matchDetails.homeTeam;
-          event.score = `${currentScore.home}-${currentScore.away}`;
-          event.minute = this.extractMinute(data);
-
-          // Fetch incident details for player name
-          await this.enrichGoalWithPlayerAPI(event, matchId);
-
-          logger.info({ event }, '⚽ GOAL DETECTED!');
-          this.emit('event', event);
-        } else if (currentScore.away > previousScore.away) {
-          event.eventType = 'goal';
-          event.team = 'away';
-          event.teamName = matchDetails.awayTeam;
-          event.score = `${currentScore.home}-${currentScore.away}`;
-          event.minute = this.extractMinute(data);
-
-          // Fetch incident details for player name
-          await this.enrichGoalWithPlayerAPI(event, matchId);
-
-          logger.info({ event }, '⚽ GOAL DETECTED!');
-          this.emit('event', event);
+      // Previous score from the shared store (null until the first score frame)
+      const previousScore = this.matchStore.setScore(matchId, currentScore);
+
+      if (previousScore && profile.scoring === 'points') {
+        this.trackScoringRun(event, previousScore, currentScore);
+      } else if (previousScore && profile.scoring === 'sets') {
+        this.emitSetsWon(event, previousScore, currentScore);
+      } else if (previousScore) {
+        // Score went down: goal disallowed (VAR) or feed reversal. The lookup of
+        // the cancelled goal must not hold back a goal from the same frame.
+        if (currentScore.home < previousScore.home || currentScore.away < previousScore.away) {
+          this.emitScoreCorrection({ ...event }, previousScore, currentScore).catch(error => {
+            logger.debug({ error: error.message, matchId }, 'Score correction failed');
+          });
         }
-      }
-
-      // Update stored score
-      this.previousScores.set(matchId, currentScore);
-    }
-
-    // Detect cards
-    if (data.cardsCode) {
-      const cardsCode = data.cardsCode.toString();
-
-      // SofaScore cardsCode format: "XY" where X=home cards, Y=away cards
-      // 0=no card, 1=yellow, 2=red
-      if (cardsCode.includes('1')) {
-        event.eventType = 'yellow_card';
-        event.team = cardsCode[0] === '1' ? 'home' : 'away';
-        event.teamName = event.team === 'home' ? matchDetails.homeTeam : matchDetails.awayTeam;
-        event.minute = this.extractMinute(data);
 
-        // Fetch card details for player name
-        await this.enrichCardWithPlayer(event, matchId);
-
-        logger.info({ event }, '🟨 YELLOW CARD DETECTED!');
-        this.emit('event', event);
+        // Check each side: one frame can carry goals by both teams. Each goal
+        // gets the score right after it (home first, the order is unknown).
+        const running = {
+          home: Math.min(previousScore.home, currentScore.home),
+          away: Math.min(previousScore.away, currentScore.away),
+        };
+        ['home', 'away']
+          .filter(team => currentScore[team] > previousScore[team])
+          .forEach(team => {
+            running[team] = currentScore[team];
+            this.emitGoal({
+              ...event,
+              eventType: 'goal',
+              team,
+              teamName: team === 'home' ? matchDetails.homeTeam : matchDetails.awayTeam,
+              score: `${running.home}-${running.away}`,
+            });
+          });
       }
 
-      if (cardsCode.includes('2')) {
-        event.eventType = 'red_card';
-        event.team = cardsCode[0] === '2' ? 'home' : 'away';
-        event.teamName = event.team === 'home' ? matchDetails.homeTeam : matchDetails.awayTeam;
-        event.minute = this.extractMinute(data);
+    }
 
-        // Fetch card details for player name
-        await this.enrichCardWithPlayer(event, matchId);
+    // Detect cards from the per-team counters; details come from incidents
+    const cardCounts = extractCardCounts(data);
+    if (cardCounts) {
+      const previousCounts = this.matchStore.setCardCounts(matchId, cardCounts);
+      const newCards = countNewCards(previousCounts, cardCounts);
 
-        logger.info({ event }, '🟥 RED CARD DETECTED!');
-        this.emit('event', event);
+      if (newCards.length > 0) {
+        this.emitCards({ ...event }, newCards).catch(error => {
+          logger.debug({ error: error.message, matchId }, 'Card detection failed');
+        });
       }
     }
 
     // Detect match status changes
     if (data['status.type']) {
-      if (data['status.type'] === 'inprogress' && data['status.code'] === 6) {
-        logger.info({ matchId }, '🏁 Match started (1st half)');
-      } else if (data['status.type'] === 'inprogress' && data['status.code'] === 7) {
-        logger.info({ matchId }, '🏁 Match resumed (2nd half)');
-      } else if (data['status.type'] === 'finished') {
-        logger.info({ matchId }, '🏁 Match ended');
-        this.previousScores.delete(matchId); // Clean up
-      }
+      this.syncStatus(
+        matchId,
+        {
+          code: data['status.code'],
+          type: data['status.type'],
+          description: data.statusDescription,
+        },
+        trace
+      );
     }
   }
 
-  extractMinute(data) {
-    // Try to extract match minute from various fields
-    if (data.statusDescription && /^\d+$/.test(data.statusDescription)) {
-      return parseInt(data.statusDescription, 10);
+  /**
+   * Store a match status and emit a lifecycle event when the match enters a
+   * new phase (the first status seen for a match is only a baseline)
+   */
+  syncStatus(matchId, status, trace) {
+    const previous = this.matchStore.get(matchId)?.status;
+    const state = this.matchStore.setStatus(matchId, status);
+
+    const eventType = lifecycleEventFor(state.status, state.sport);
+    if (!eventType || !previous?.type) return;
+    if (lifecycleEventFor(previous, state.sport) === eventType) return;
+
+    logger.info({ matchId, status: state.status.description }, `🏁 Match ${eventType}`);
+    this.emitEvent({
+      timestamp: Date.now(),
+      trace,
+      matchId: state.matchId,
+      source: this.name,
+      sport: state.sport || DEFAULT_SPORT,
+      eventType,
+      homeTeam: state.homeTeam,
+      awayTeam: state.awayTeam,
+      tournament: state.tournament,
+      score: state.score || undefined,
+      status: { ...state.status },
+    });
+  }
+
+  /**
+   * Basketball: follow scoring runs and emit points_run once a team has
+   * scored the sport's runThreshold unanswered points
+   */
+  trackScoringRun(event, previousScore, currentScore) {
+    const { matchId } = event;
+    const scored = {
+      home: currentScore.home - previousScore.home,
+      away: currentScore.away - previousScore.away,
+    };
+
+    // Score corrections end the run
+    const run =
+      scored.home < 0 || scored.away < 0
+        ? null
+        : updateScoringRun(this.scoringRuns.get(matchId), scored, currentScore);
+    if (!run) {
+      this.scoringRuns.delete(matchId);
+      return;
     }
 
-    if (data['time.currentPeriodStartTimestamp']) {
-      const elapsed = Math.floor(Date.now() / 1000 - data['time.currentPeriodStartTimestamp']);
-      const minutes = Math.floor(elapsed / 60);
+    this.scoringRuns.set(matchId, run);
+    if (run.reported || run.points < getSport(event.sport).runThreshold) return;
+    run.reported = true;
+
+    const points = {
+      ...event,
+      eventType: 'points_run',
+      team: run.team,
+      teamName: run.team === 'home' ? event.homeTeam : event.awayTeam,
+      score: `${currentScore.home}-${currentScore.away}`,
+      run: {
+        points: run.points,
+        startScore: `${run.startScore.home}-${run.startScore.away}`,
+      },
+    };
 
-      // Add 45 if in 2nd half
-      if (data['status.code'] === 7) {
-        return Math.min(45 + minutes, 90);
-      }
+    logger.info({ matchId, team: run.team, points: run.points }, '🏀 SCORING RUN DETECTED!');
+    this.emitEvent(points);
+  }
 
-      return Math.min(minutes, 45);
-    }
+  /**
+   * Tennis: the score counts sets, each increase is a set won
+   * (period scores of the frame are already stored)
+   */
+  emitSetsWon(event, previousScore, currentScore) {
+    const periods = this.matchStore.get(event.matchId)?.periodScores;
+    const set = previousScore.home + previousScore.away + 1;
+
+    ['home', 'away']
+      .filter(team => currentScore[team] > previousScore[team])
+      .forEach(team => {
+        const setWon = {
+          ...event,
+          eventType: 'set_won',
+          team,
+          teamName: team === 'home' ? event.homeTeam : event.awayTeam,
+          score: `${currentScore.home}-${currentScore.away}`,
+          set,
+          games: { home: periods?.home[set] ?? null, away: periods?.away[set] ?? null },
+        };
 
-    return null;
+        logger.info({ matchId: event.matchId, team, set }, '🎾 SET WON');
+        this.emitEvent(setWon);
+      });
+  }
+
+  /**
+   * Tennis: emit break_of_serve for games won by the receiving player
+   */
+  emitBreaks(event, previousPeriods) {
+    const state = this.matchStore.get(event.matchId);
+
+    findTennisGames(previousPeriods, state.periodScores, state.firstToServe)
+      .filter(game => game.isBreak)
+      .forEach(game => {
+        const breakOfServe = {
+          ...event,
+          eventType: 'break_of_serve',
+          team: game.team,
+          teamName: game.team === 'home' ? event.homeTeam : event.awayTeam,
+          set: game.set,
+          games: game.games,
+        };
+
+        logger.info({ matchId: event.matchId, team: game.team, set: game.set }, '🎾 BREAK OF SERVE');
+        this.emitEvent(breakOfServe);
+      });
+  }
+
+  /**
+   * Merge a frame's or API event's status / time fields into the match clock
+   * (frames only carry what changed), store the minute and period and
+   * return the clock (or null)
+   */
+  updateClock(matchId, payload) {
+    const fields = mergeClockFields(this.clockFields.get(matchId), readClockFields(payload));
+    this.clockFields.set(matchId, fields);
+
+    const clock = computeMatchClock(fields);
+    if (clock) {
+      this.matchStore.setClock(matchId, clock);
+    }
+    return clock;
   }
 
   async fetchMatchDetailsFromAPI(matchId) {
@@ -405,6 +826,7 @@ export class SofaScoreCollector extends EventEmitter {
       }
 
       const matchDetails = {
+        source: this.name,
         homeTeam: matchData.homeTeam?.name || 'Unknown',
         awayTeam: matchData.awayTeam?.name || 'Unknown',
         tournament: matchData.tournament?.name || matchData.tournament?.uniqueTournament?.name || '',
@@ -413,9 +835,17 @@ export class SofaScoreCollector extends EventEmitter {
         homeTeamId: matchData.homeTeam?.id,
         awayTeamId: matchData.awayTeam?.id,
         tournamentId: matchData.tournament?.id,
+        uniqueTournamentId: matchData.tournament?.uniqueTournament?.id,
+        country:
+          matchData.tournament?.category?.country?.name || matchData.tournament?.category?.name,
+        countryCode: matchData.tournament?.category?.alpha2,
+        firstToServe: matchData.firstToServe,
       };
 
-      this.matchInfo.set(matchId, matchDetails);
+      // Unwatched matches are only remembered as ignored, never stored
+      if (this.isWatched(matchId, matchDetails) === false) return;
+
+      this.matchStore.upsert(matchId, matchDetails);
       logger.info(
         { matchId, teams: `${matchDetails.homeTeam} vs ${matchDetails.awayTeam}` },
         '✅ Match details fetched from API'
@@ -431,8 +861,38 @@ export class SofaScoreCollector extends EventEmitter {
     return this.fetchMatchDetailsFromAPI(matchId);
   }
 
+  /**
+   * Check a match against the watch list (true, false or null if its details
+   * do not tell yet); matches outside it are ignored until the next live list
+   */
+  isWatched(matchId, info = this.matchStore.get(matchId) || {}) {
+    const watched = matchesWatchList(this.watchList, matchId, info);
+    if (watched === false && !this.ignoredMatches.has(String(matchId))) {
+      this.ignoredMatches.add(String(matchId));
+      logger.debug({ matchId, tournament: info.tournament }, '🙈 Match outside the watch list');
+    }
+    return watched;
+  }
+
+  /**
+   * Check if match details were already looked up (including failed lookups)
+   */
+  hasMatchInfo(matchId) {
+    return Boolean(this.matchStore.get(matchId)?.homeTeam);
+  }
+
+  /**
+   * Mark a failed lookup so it is not retried on every frame. With a watch list
+   * the match cannot be checked, so it is ignored until the next live list.
+   */
   setFallbackMatchInfo(matchId) {
-    this.matchInfo.set(matchId, {
+    if (!isWatchingAll(this.watchList)) {
+      this.ignoredMatches.add(String(matchId));
+      return;
+    }
+
+    this.matchStore.upsert(matchId, {
+      source: this.name,
       homeTeam: 'Unknown',
       awayTeam: 'Unknown',
       tournament: '',
@@ -519,99 +979,409 @@ export class SofaScoreCollector extends EventEmitter {
     }
   }
 
-  async enrichGoalWithPlayerAPI(event, matchId) {
+  /**
+   * Fetch match incidents through the browser context (has cookies)
+   * Every lookup is also checked for new missed penalties and VAR decisions
+   */
+  async fetchIncidents(matchId) {
+    const data = await this.page.evaluate(async id => {
+      const response = await fetch(`https://api.sofascore.com/api/v1/event/${id}/incidents`);
+      if (!response.ok) return null;
+      return response.json();
+    }, matchId);
+
+    if (data?.incidents) {
+      this.syncIncidents(String(matchId), data.incidents);
+    }
+    return data;
+  }
+
+  /**
+   * Look up incidents of this collector's live football matches, one at a time
+   */
+  async pollIncidents() {
+    if (this.isPollingIncidents || !this.page) return;
+    this.isPollingIncidents = true;
+
     try {
-      // Use browser context to fetch incidents (has cookies)
-      const incidentsData = await this.page.evaluate(async id => {
-        const response = await fetch(`https://api.sofascore.com/api/v1/event/${id}/incidents`);
-        if (!response.ok) return null;
-        return response.json();
-      }, matchId);
+      const matches = this.matchStore
+        .list('inprogress')
+        .filter(match => match.source === this.name && !this.ignoredMatches.has(match.matchId));
+      const live = matches.map(match => match.matchId);
+
+      // Forget matches that left the live list
+      const byMatch = [this.seenIncidents, this.reportedCards, this.clockFields, this.scoringRuns];
+      byMatch.forEach(entries =>
+        Array.from(entries.keys())
+          .filter(matchId => !live.includes(matchId))
+          .forEach(matchId => entries.delete(matchId))
+      );
 
-      if (!incidentsData) {
-        logger.debug({ matchId }, 'API failed, falling back to page scraping');
-        await this.enrichGoalWithPlayer(event);
-        return;
+      // Missed penalties and VAR decisions are football incidents
+      const polled = matches
+        .filter(match => (match.sport || DEFAULT_SPORT) === 'football')
+        .map(match => match.matchId);
+
+      for (const matchId of polled) {
+        if (!this.isRunning) break;
+        await this.fetchIncidents(matchId).catch(error => {
+          logger.debug({ error: error.message, matchId }, 'Incident poll failed');
+        });
       }
+    } finally {
+      this.isPollingIncidents = false;
+    }
+  }
 
-      const incidents = incidentsData.incidents || [];
+  /**
+   * Emit incidents that do not change the score: missed penalties and goals
+   * disallowed by VAR before they were counted. The first lookup of a match
+   * only records the incidents it already has.
+   */
+  syncIncidents(matchId, incidents) {
+    const seen = this.seenIncidents.get(matchId);
+    if (!seen) {
+      this.seenIncidents.set(matchId, new Set(incidents.map(inc => inc.id)));
+      return;
+    }
 
-      // Find the most recent goal for the scoring team
-      const recentGoals = incidents
-        .filter(inc => inc.incidentType === 'goal')
-        .filter(inc => {
-          const isHomeGoal = inc.isHome === true;
-          return event.team === 'home' ? isHomeGoal : !isHomeGoal;
-        })
-        .sort((a, b) => b.id - a.id); // Most recent first
+    for (const incident of incidents) {
+      if (seen.has(incident.id)) continue;
+      seen.add(incident.id);
 
-      if (recentGoals.length > 0) {
-        const goal = recentGoals[0];
-        event.player = goal.player?.name || 'Unknown';
-        event.assistBy = goal.assist1?.name;
-        event.minute = goal.time || event.minute;
-        event.addedTime = goal.addedTime;
+      if (incident.incidentType === 'inGamePenalty' && incident.incidentClass !== 'scored') {
+        this.emitIncidentEvent(matchId, 'missed_penalty', incident, {
+          reason: incident.reason || incident.incidentClass,
+        });
+      } else if (
+        incident.incidentType === 'varDecision' &&
+        incident.incidentClass === 'goalNotAwarded' &&
+        !this.isCountedGoalMissing(matchId, incident, incidents)
+      ) {
+        this.emitIncidentEvent(matchId, 'goal_cancelled', incident, {
+          var: { decision: 'goal_not_awarded', reason: incident.reason },
+        });
+      }
+    }
+  }
 
-        logger.info({ player: event.player, minute: event.minute }, '✅ Goal details from API');
-      } else {
-        event.player = 'Unknown';
-        logger.debug('No recent goal found in API, trying page scraping');
-        await this.enrichGoalWithPlayer(event);
+  /**
+   * Check if a counted goal of the decision's team is gone from the feed
+   * (the score went down: the score_correction covers it)
+   */
+  isCountedGoalMissing(matchId, decision, incidents) {
+    const team = decision.isHome === true ? 'home' : 'away';
+    const counted = this.matchStore.getIncidents(matchId, { types: 'goal', team }).length;
+    const listed = incidents.filter(
+      inc => inc.incidentType === 'goal' && isTeamIncident(inc, team)
+    ).length;
+    return counted > listed;
+  }
+
+  /**
+   * Emit an event built from a single incident
+   */
+  emitIncidentEvent(matchId, eventType, incident, details = {}) {
+    const matchDetails = this.matchStore.get(matchId) || {};
+    const team = incident.isHome === true ? 'home' : 'away';
+
+    const event = {
+      timestamp: Date.now(),
+      matchId,
+      source: 'sofascore',
+      homeTeam: matchDetails.homeTeam,
+      awayTeam: matchDetails.awayTeam,
+      tournament: matchDetails.tournament,
+      eventType,
+      team,
+      teamName: team === 'home' ? matchDetails.homeTeam : matchDetails.awayTeam,
+      incidentId: incident.id,
+      player: incident.player?.name,
+      minute: incident.time ?? matchDetails.minute,
+      addedTime: incident.addedTime,
+      ...details,
+    };
+
+    logger.info({ event }, `📋 ${eventType.toUpperCase()} DETECTED!`);
+    this.emitEvent(event);
+  }
+
+  /**
+   * Emit a score_correction event for a score decrease
+   * The cancelled goal is identified from SofaScore's VAR incident or from
+   * the goal incident that disappeared from the feed
+   */
+  async emitScoreCorrection(event, previousScore, currentScore) {
+    const team = currentScore.home < previousScore.home ? 'home' : 'away';
+    const cancelled = await this.findCancelledGoal(event.matchId, team);
+
+    const correction = {
+      ...event,
+      eventType: 'score_correction',
+      team,
+      teamName: team === 'home' ? event.homeTeam : event.awayTeam,
+      score: `${currentScore.home}-${currentScore.away}`,
+      previousScore: `${previousScore.home}-${previousScore.away}`,
+      correction: {
+        team,
+        reason: cancelled?.reason || 'score_decrease',
+        incidentId: cancelled?.incidentId,
+        player: cancelled?.player,
+        minute: cancelled?.minute,
+      },
+    };
+
+    logger.info({ event: correction }, '🚫 SCORE CORRECTION DETECTED!');
+    this.emitEvent(correction);
+  }
+
+  /**
+   * Emit a goal right away with score and team; scorer, assist, penalty/own
+   * goal and added time follow as a goal_update
+   */
+  emitGoal(event) {
+    logger.info({ event }, '⚽ GOAL DETECTED!');
+    this.emitEvent(event);
+
+    this.enrichGoalLater(event).catch(error => {
+      logger.debug({ error: error.message, matchId: event.matchId }, 'Goal enrichment failed');
+    });
+  }
+
+  /**
+   * Second phase of a goal: look up its details and emit a goal_update so
+   * notifiers can edit or follow up the goal alert. Incidents often lag the
+   * score frame, so the API is retried before falling back to page scraping.
+   */
+  async enrichGoalLater(goal) {
+    const details = { ...goal };
+    let found = false;
+
+    for (const wait of this.enrichmentDelays) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+      if (!this.isRunning) return;
+
+      found = await this.enrichGoalWithPlayerAPI(details, goal.matchId);
+      if (found) break;
+    }
+
+    if (!found) {
+      await this.enrichGoalWithPlayer(details);
+    }
+
+    if (!details.player || details.player.startsWith('Unknown')) {
+      logger.debug({ matchId: goal.matchId, score: goal.score }, 'No details found for goal');
+      return;
+    }
+
+    logger.info({ event: details }, '📝 GOAL DETAILS');
+    this.emitEvent({ ...details, eventType: 'goal_update' });
+  }
+
+  /**
+   * Emit cards the counters reported, with player, minute and reason from
+   * incidents. Incidents may lag the counters, so the lookup is retried;
+   * cards still missing after the last attempt are emitted without details.
+   * Matched incidents are claimed in `reported` straight away, so a counter
+   * change arriving during the retries cannot pair its cards with them.
+   */
+  async emitCards(event, newCards) {
+    const { matchId } = event;
+    const reported = this.reportedCards.get(matchId) || new Set();
+    this.reportedCards.set(matchId, reported);
+
+    const claimed = new Set();
+    let cards = [];
+
+    for (const wait of this.enrichmentDelays) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+      if (!this.isRunning) return;
+
+      const incidents = await this.fetchCardIncidents(matchId);
+
+      // Match and claim in one step (no await in between)
+      claimed.forEach(id => reported.delete(id));
+      claimed.clear();
+      cards = matchCardIncidents(newCards, findNewCardIncidents(incidents, newCards, reported));
+      cards.forEach(({ incident }) => incident && claimed.add(incident.id));
+      claimed.forEach(id => reported.add(id));
+
+      if (cards.every(card => card.incident)) break;
+    }
+
+    cards.forEach(({ team, color, incident }) => this.emitCard(event, team, color, incident));
+  }
+
+  /**
+   * Card incidents of a match ([] if the lookup fails)
+   */
+  async fetchCardIncidents(matchId) {
+    try {
+      const incidents = (await this.fetchIncidents(matchId))?.incidents || [];
+      return incidents.filter(inc => inc.incidentType === 'card');
+    } catch (error) {
+      logger.debug({ error: error.message, matchId }, 'Could not fetch incidents for card');
+      return [];
+    }
+  }
+
+  /**
+   * Emit one card event
+   */
+  emitCard(event, team, color, incident) {
+    const matchDetails = this.matchStore.get(event.matchId) || {};
+    const card = {
+      ...event,
+      eventType: color === 'red' ? 'red_card' : 'yellow_card',
+      team,
+      teamName: team === 'home' ? matchDetails.homeTeam : matchDetails.awayTeam,
+      incidentId: incident?.id ?? null,
+      player: incident?.player?.name || 'Unknown',
+      minute: incident?.time ?? event.minute,
+      addedTime: incident?.addedTime,
+      cardData: {
+        team,
+        reason: incident?.reason,
+        secondYellow: incident?.incidentClass === 'yellowRed',
+      },
+    };
+
+    logger.info(
+      { event: card },
+      color === 'red' ? '🟥 RED CARD DETECTED!' : '🟨 YELLOW CARD DETECTED!'
+    );
+    this.emitEvent(card);
+  }
+
+  /**
+   * Emit a detected event with its own trace (one frame can yield several
+   * events), stamped as enriched now that the incident lookups are done
+   */
+  emitEvent(event) {
+    const { frame_received, parsed } = event.trace?.stages || {};
+    this.emit(CollectorEvents.DATA, {
+      ...event,
+      trace: startTrace({ frame_received, parsed, enriched: Date.now() }),
+    });
+  }
+
+  /**
+   * Find which goal of a team was cancelled
+   */
+  async findCancelledGoal(matchId, team) {
+    const knownGoals = this.matchStore.getIncidents(matchId, { types: 'goal', team });
+
+    try {
+      const incidentsData = await this.fetchIncidents(matchId);
+      const incidents = incidentsData?.incidents;
+
+      if (incidents) {
+        const isTeam = inc => isTeamIncident(inc, team);
+
+        // SofaScore reports overturned goals as VAR decisions
+        const varDecision = incidents
+          .filter(inc => inc.incidentType === 'varDecision')
+          .filter(inc => inc.incidentClass === 'goalNotAwarded' && isTeam(inc))
+          .sort((a, b) => b.id - a.id)[0];
+
+        const liveGoalIds = new Set(
+          incidents.filter(inc => inc.incidentType === 'goal').map(inc => inc.id)
+        );
+        const removed = knownGoals
+          .filter(goal => goal.incidentId !== undefined && !liveGoalIds.has(goal.incidentId))
+          .pop();
+
+        if (varDecision) {
+          return {
+            reason: 'var',
+            incidentId: removed?.incidentId,
+            player: varDecision.player?.name || removed?.player,
+            minute: varDecision.time ?? removed?.minute,
+          };
+        }
+
+        if (removed) {
+          return {
+            reason: 'incident_removed',
+            incidentId: removed.incidentId,
+            player: removed.player,
+            minute: removed.minute,
+          };
+        }
       }
     } catch (error) {
-      logger.debug({ error: error.message }, 'API error, falling back to page scraping');
-      await this.enrichGoalWithPlayer(event);
+      logger.debug({ error: error.message }, 'Could not fetch incidents for score correction');
     }
+
+    // Fall back to the team's latest recorded goal
+    const latest = knownGoals[knownGoals.length - 1];
+    return latest
+      ? {
+          reason: 'score_decrease',
+          incidentId: latest.incidentId,
+          player: latest.player,
+          minute: latest.minute,
+        }
+      : null;
   }
 
-  async enrichCardWithPlayer(event, matchId) {
+  /**
+   * Fill goal details from the incidents API
+   * Returns false while the goal that produced the event's score is not in
+   * the feed yet (incidents without scores fall back to the team's latest goal)
+   */
+  async enrichGoalWithPlayerAPI(event, matchId) {
     try {
-      // Use browser context to fetch incidents
-      const incidentsData = await this.page.evaluate(async id => {
-        const response = await fetch(`https://api.sofascore.com/api/v1/event/${id}/incidents`);
-        if (!response.ok) return null;
-        return response.json();
-      }, matchId);
+      const incidentsData = await this.fetchIncidents(matchId);
 
       if (!incidentsData) {
-        logger.debug({ matchId }, 'Could not fetch incidents for card');
-        event.player = 'Unknown';
-        return;
+        logger.debug({ matchId }, 'Could not fetch incidents for goal');
+        return false;
       }
 
       const incidents = incidentsData.incidents || [];
+      const score = parseScore(event.score);
 
-      // Find the most recent card for the team
-      const cardType = event.type === 'yellow_card' ? 'card' : 'redCard';
-      const recentCards = incidents
-        .filter(inc => inc.incidentType === cardType)
-        .filter(inc => {
-          const isHomeCard = inc.isHome === true;
-          return event.team === 'home' ? isHomeCard : !isHomeCard;
-        })
-        .sort((a, b) => b.id - a.id);
-
-      if (recentCards.length > 0) {
-        const card = recentCards[0];
-        event.player = card.player?.name || 'Unknown';
-        event.minute = card.time || event.minute;
-        event.addedTime = card.addedTime;
+      // Find the goal for the scoring team, most recent first
+      const goal = incidents
+        .filter(inc => inc.incidentType === 'goal')
+        .filter(inc => isTeamIncident(inc, event.team))
+        .sort((a, b) => b.id - a.id)
+        .find(
+          inc =>
+            !score ||
+            inc.homeScore === undefined ||
+            (inc.homeScore === score.home && inc.awayScore === score.away)
+        );
 
-        logger.info({ player: event.player, minute: event.minute }, '✅ Card details from API');
-      } else {
-        event.player = 'Unknown';
-        logger.debug('No recent card found in incidents');
+      if (!goal) {
+        logger.debug({ matchId, score: event.score }, 'Goal not in incidents yet');
+        return false;
       }
+
+      event.incidentId = goal.id;
+      event.player = goal.player?.name || 'Unknown';
+      event.assistBy = goal.assist1?.name;
+      event.minute = goal.time || event.minute;
+      event.addedTime = goal.addedTime;
+      event.goalData = { ...event.goalData, ...toGoalData(goal, incidents) };
+
+      logger.info({ player: event.player, minute: event.minute }, '✅ Goal details from API');
+      return true;
     } catch (error) {
-      logger.debug({ error: error.message }, 'Error enriching card');
-      event.player = 'Unknown';
+      logger.debug({ error: error.message }, 'Error fetching goal details');
+      return false;
     }
   }
 
   async handleReconnect() {
+    // One restart at a time (several tabs may close together)
+    if (this.isReconnecting) return;
+
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       logger.error('Max reconnection attempts reached');
-      this.emit('error', new Error('Failed to reconnect to SofaScore'));
+      this.emit(CollectorEvents.MAX_RECONNECT_REACHED);
+      this.emit(CollectorEvents.ERROR, new Error('Failed to reconnect to SofaScore'));
       return;
     }
 
@@ -619,14 +1389,17 @@ export class SofaScoreCollector extends EventEmitter {
     const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
 
     logger.info({ attempt: this.reconnectAttempts, delay }, 'Attempting to reconnect...');
+    this.isReconnecting = true;
 
     setTimeout(async () => {
       try {
         await this.stop();
         await this.start();
         this.reconnectAttempts = 0;
+        this.isReconnecting = false;
       } catch (error) {
         logger.error({ error: error.message }, 'Reconnection failed');
+        this.isReconnecting = false;
         this.handleReconnect();
       }
     }, delay);
@@ -635,6 +1408,7 @@ export class SofaScoreCollector extends EventEmitter {
   async stop() {
     logger.info('Stopping SofaScore collector...');
     this.isRunning = false;
+    this.isConnected = false;
 
     // Clear refresh interval
     if (this.refreshInterval) {
@@ -642,12 +1416,19 @@ export class SofaScoreCollector extends EventEmitter {
       this.refreshInterval = null;
     }
 
+    clearInterval(this.incidentPollTimer);
+    this.incidentPollTimer = null;
+
     try {
       if (this.cdpSession) {
         await this.cdpSession.detach();
         this.cdpSession = null;
       }
 
+      const tabs = Array.from(this.sportPages.values());
+      this.sportPages.clear();
+      await Promise.all(tabs.map(tab => tab.cdpSession.detach().catch(() => {})));
+
       if (this.browser) {
         await this.browser.close();
         this.browser = null;
@@ -661,6 +1442,23 @@ export class SofaScoreCollector extends EventEmitter {
     }
   }
 
+  /**
+   * Get collector status (collector contract)
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      isRunning: this.isRunning,
+      isConnected: this.isConnected,
+      reconnectAttempts: this.reconnectAttempts,
+      lastMessageTime: this.lastMessageTime,
+      sports: this.sports,
+      watchList: isWatchingAll(this.watchList) ? 'all' : this.watchList,
+      ignoredMatches: this.ignoredMatches.size,
+      trackedMatches: this.matchStore.list().filter(match => match.source === this.name).length,
+    };
+  }
+
   async navigateToMatch(matchUrl) {
     if (!this.page) {
       throw new Error('Collector not started');
@@ -673,89 +1471,95 @@ export class SofaScoreCollector extends EventEmitter {
     });
   }
 
-  async extractLiveMatches() {
-    try {
-      // Fetch live matches from the API (the endpoint that shows 200 in network tab)
-      const todayDate = new Date().toISOString().split('T')[0]; // Format: 2025-11-16
-      
-      const matches = await this.page.evaluate(async (date) => {
-        try {
-          // Use the same endpoint that works in the network tab
-          const response = await fetch(`https://api.sofascore.com/api/v1/sport/football/scheduled-events/${date}`, {
-            headers: {
-              'Accept': 'application/json',
-              'Accept-Language': 'en-US,en;q=0.9',
-              'Origin': 'https://www.sofascore.com',
-              'Referer': 'https://www.sofascore.com/',
-            }
-          });
-
-          if (!response.ok) {
-            console.log(`API fetch failed: ${response.status}`);
-            return [];
+  /**
+   * Live matches of one sport from today's scheduled events
+   */
+  async fetchLiveMatches(sport, date) {
+    return this.page.evaluate(async (date, sport) => {
+      try {
+        // Use the same endpoint that works in the network tab
+        const response = await fetch(`https://api.sofascore.com/api/v1/sport/${sport}/scheduled-events/${date}`, {
+          headers: {
+            'Accept': 'application/json',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Origin': 'https://www.sofascore.com',
+            'Referer': 'https://www.sofascore.com/',
           }
+        });
 
-          const data = await response.json();
-          console.log(`✅ Fetched ${data.events?.length || 0} matches from API`);
-          
-          const liveMatches = [];
-          
-          // Filter for live matches only (status.type === 'inprogress')
-          if (data.events && Array.isArray(data.events)) {
-            for (const event of data.events) {
-              if (event.status?.type === 'inprogress') {
-                // Extract current match time/minute
-                let currentMinute = null;
-                if (event.time?.currentPeriodStartTimestamp) {
-                  const elapsed = Math.floor(Date.now() / 1000 - event.time.currentPeriodStartTimestamp);
-                  const minutes = Math.floor(elapsed / 60);
-                  // Add 45 if in 2nd half (status.code 7 = 2nd half)
-                  if (event.status?.code === 7) {
-                    currentMinute = Math.min(45 + minutes, 90);
-                  } else {
-                    currentMinute = Math.min(minutes, 45);
-                  }
-                } else if (event.status?.description) {
-                  // Try to parse minute from status description (e.g., "45'", "72'")
-                  const minuteMatch = event.status.description.match(/(\d+)/);
-                  if (minuteMatch) {
-                    currentMinute = parseInt(minuteMatch[1], 10);
-                  }
-                }
+        if (!response.ok) {
+          console.log(`API fetch failed: ${response.status}`);
+          return [];
+        }
 
-                liveMatches.push({
-                  matchId: event.id.toString(),
-                  homeTeam: event.homeTeam?.name || 'Unknown',
-                  awayTeam: event.awayTeam?.name || 'Unknown',
-                  homeTeamShort: event.homeTeam?.shortName || event.homeTeam?.name || 'Unknown',
-                  awayTeamShort: event.awayTeam?.shortName || event.awayTeam?.name || 'Unknown',
-                  homeTeamId: event.homeTeam?.id,
-                  awayTeamId: event.awayTeam?.id,
-                  tournament: event.tournament?.name || '',
-                  tournamentId: event.tournament?.id,
-                  homeScore: event.homeScore?.current || 0,
-                  awayScore: event.awayScore?.current || 0,
-                  currentMinute: currentMinute,
-                  statusCode: event.status?.code,
-                  statusDescription: event.status?.description,
-                  startTimestamp: event.startTimestamp,
-                });
-              }
+        const data = await response.json();
+        console.log(`✅ Fetched ${data.events?.length || 0} matches from API`);
+        
+        const liveMatches = [];
+        
+        // Filter for live matches only (status.type === 'inprogress')
+        if (data.events && Array.isArray(data.events)) {
+          for (const event of data.events) {
+            if (event.status?.type === 'inprogress') {
+              liveMatches.push({
+                matchId: event.id.toString(),
+                homeTeam: event.homeTeam?.name || 'Unknown',
+                awayTeam: event.awayTeam?.name || 'Unknown',
+                homeTeamShort: event.homeTeam?.shortName || event.homeTeam?.name || 'Unknown',
+                awayTeamShort: event.awayTeam?.shortName || event.awayTeam?.name || 'Unknown',
+                homeTeamId: event.homeTeam?.id,
+                awayTeamId: event.awayTeam?.id,
+                tournament: event.tournament?.name || '',
+                tournamentId: event.tournament?.id,
+                uniqueTournamentId: event.tournament?.uniqueTournament?.id,
+                country:
+                  event.tournament?.category?.country?.name || event.tournament?.category?.name,
+                countryCode: event.tournament?.category?.alpha2,
+                homeScore: event.homeScore?.current || 0,
+                awayScore: event.awayScore?.current || 0,
+                time: event.time, // Match clock fields, see matchClock.js
+                // Period scores (quarters, tennis set games)
+                scores: { homeScore: event.homeScore, awayScore: event.awayScore },
+                firstToServe: event.firstToServe,
+                statusCode: event.status?.code,
+                statusType: event.status?.type,
+                statusDescription: event.status?.description,
+                startTimestamp: event.startTimestamp,
+              });
             }
           }
-          
-          return liveMatches;
-        } catch (error) {
-          console.error('API fetch error:', error.message);
-          return [];
         }
-      }, todayDate);
+        
+        return liveMatches;
+      } catch (error) {
+        console.error('API fetch error:', error.message);
+        return [];
+      }
+    }, date, sport);
+  }
+
+  async extractLiveMatches() {
+    try {
+      // Fetch live matches from the API (the endpoint that shows 200 in network tab)
+      const todayDate = new Date().toISOString().split('T')[0]; // Format: 2025-11-16
+      
+      const matches = [];
+      for (const sport of this.sports) {
+        const found = await this.fetchLiveMatches(sport, todayDate);
+        matches.push(...found.map(match => ({ ...match, sport })));
+      }
+
+      // Matches outside the watch list are neither stored nor looked up
+      this.ignoredMatches.clear();
+      const watched = matches.filter(match => this.isWatched(match.matchId, match));
 
       // Store the extracted live matches and fetch additional details (lineups, etc.)
-      for (const match of matches) {
-        const isNew = !this.matchInfo.has(match.matchId);
+      for (const match of watched) {
+        // startTimestamp is only written by this list, so it marks matches seen here before
+        const isNew = !this.matchStore.get(match.matchId)?.startTimestamp;
         
-        this.matchInfo.set(match.matchId, {
+        this.matchStore.upsert(match.matchId, {
+          source: this.name,
           homeTeam: match.homeTeam,
           awayTeam: match.awayTeam,
           tournament: match.tournament,
@@ -764,16 +1568,43 @@ export class SofaScoreCollector extends EventEmitter {
           homeTeamId: match.homeTeamId,
           awayTeamId: match.awayTeamId,
           tournamentId: match.tournamentId,
-          currentMinute: match.currentMinute,
-          statusCode: match.statusCode,
+          uniqueTournamentId: match.uniqueTournamentId,
+          country: match.country,
+          countryCode: match.countryCode,
+          startTimestamp: match.startTimestamp,
+          sport: match.sport,
+          firstToServe: match.firstToServe,
         });
+        const clock =
+          match.sport === 'football'
+            ? this.updateClock(match.matchId, {
+                status: { code: match.statusCode, description: match.statusDescription },
+                time: match.time,
+              })
+            : null;
+
+        // Seed period scores only once - like the score, the WebSocket feed is fresher
+        const periodScores = readPeriodScores(match.scores);
+        if (periodScores && !this.matchStore.get(match.matchId).periodScores) {
+          this.matchStore.setPeriodScores(match.matchId, periodScores);
+        }
+        this.syncStatus(match.matchId, {
+          code: match.statusCode,
+          type: match.statusType,
+          description: match.statusDescription,
+        });
+
+        // Seed the score only once - the WebSocket feed is fresher than this list
+        if (!this.matchStore.get(match.matchId).score) {
+          this.matchStore.setScore(match.matchId, { home: match.homeScore, away: match.awayScore });
+        }
         
         if (isNew) {
           logger.info({ 
             matchId: match.matchId, 
             teams: `${match.homeTeam} vs ${match.awayTeam}`,
             score: `${match.homeScore}-${match.awayScore}`,
-            minute: match.currentMinute ? `${match.currentMinute}'` : 'N/A',
+            minute: clock?.minute ? `${clock.minute}'` : 'N/A',
             tournament: match.tournament
           }, '✅ Live match found');
 
@@ -782,7 +1613,10 @@ export class SofaScoreCollector extends EventEmitter {
         }
       }
 
-      logger.info({ count: matches.length }, `📊 Found ${matches.length} LIVE matches`);
+      logger.info(
+        { count: matches.length, watched: watched.length },
+        `📊 Found ${matches.length} LIVE matches`
+      );
     } catch (error) {
       logger.error({ error: error.message }, 'Failed to extract live matches from API');
     }
@@ -814,44 +1648,33 @@ export class SofaScoreCollector extends EventEmitter {
       }, matchId);
 
       if (lineups && lineups.home && lineups.away) {
-        const matchData = this.matchInfo.get(matchId);
-        if (matchData) {
-          // Store starting lineups
-          matchData.homeLineup = {
-            formation: lineups.home.formation,
-            players: (lineups.home.players || []).map(p => ({
-              id: p.player?.id,
-              name: p.player?.name,
-              shirtNumber: p.shirtNumber,
-              position: p.position,
-              substitute: p.substitute || false,
-            }))
-          };
+        const mapLineup = side => ({
+          formation: side.formation,
+          players: (side.players || []).map(p => ({
+            id: p.player?.id,
+            name: p.player?.name,
+            shirtNumber: p.shirtNumber,
+            position: p.position,
+            substitute: p.substitute || false,
+          }))
+        });
 
-          matchData.awayLineup = {
-            formation: lineups.away.formation,
-            players: (lineups.away.players || []).map(p => ({
-              id: p.player?.id,
-              name: p.player?.name,
-              shirtNumber: p.shirtNumber,
-              position: p.position,
-              substitute: p.substitute || false,
-            }))
-          };
+        // Store starting lineups
+        const { lineups: stored } = this.matchStore.setLineups(matchId, {
+          home: mapLineup(lineups.home),
+          away: mapLineup(lineups.away),
+        });
 
-          this.matchInfo.set(matchId, matchData);
-          
-          const homeStarters = matchData.homeLineup.players.filter(p => !p.substitute).length;
-          const awayStarters = matchData.awayLineup.players.filter(p => !p.substitute).length;
-          
-          logger.info({ 
-            matchId, 
-            homeFormation: matchData.homeLineup.formation,
-            awayFormation: matchData.awayLineup.formation,
-            homePlayers: homeStarters,
-            awayPlayers: awayStarters
-          }, '⚽ Lineups fetched');
-        }
+        const homeStarters = stored.home.players.filter(p => !p.substitute).length;
+        const awayStarters = stored.away.players.filter(p => !p.substitute).length;
+
+        logger.info({ 
+          matchId, 
+          homeFormation: stored.home.formation,
+          awayFormation: stored.away.formation,
+          homePlayers: homeStarters,
+          awayPlayers: awayStarters
+        }, '⚽ Lineups fetched');
       }
     } catch (error) {
       logger.debug({ error: error.message, matchId }, 'Could not fetch lineups');
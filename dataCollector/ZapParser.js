@@ -1,73 +1,165 @@
 /**
  * Bet365 ZAP Protocol Parser
  * Parses Bet365's custom WebSocket protocol format
+ *
+ * A frame holds one or more messages separated by \u0008. Each message is:
+ *   <kind>TOPIC\u0001<type>|ENTITY;K=V;K=V;|ENTITY;K=V;|
+ *
+ * kind: \u0014 initial topic load, \u0015 delta
+ * type: F (full snapshot), U (update), I (insert), D (delete)
+ *
+ * F and I bodies are lists of entities (CL, CT, EV, MA, PA, ...), U bodies are
+ * plain K=V fields applied to the node identified by TOPIC, D bodies are empty.
  */
 
+export const MESSAGE_DELIMITER = '\u0008';
+export const RECORD_DELIMITER = '\u0001';
+export const INITIAL_TOPIC_LOAD = '\u0014';
+export const DELTA = '\u0015';
+
+export const MessageTypes = Object.freeze({
+  FULL: 'F',
+  UPDATE: 'U',
+  INSERT: 'I',
+  DELETE: 'D',
+});
+
+const MESSAGE_TYPE_CODES = new Set(Object.values(MessageTypes));
+
 export class ZapParser {
   /**
-   * Parse a ZAP protocol message
-   * Format: \u0014TOPIC\u0001TYPE|KEY1=VAL1;KEY2=VAL2;|
+   * Decode a full frame into every record it contains
    */
-  static parse(rawMessage) {
-    try {
-      // Check if message has the ZAP protocol markers
-      if (!rawMessage.includes('\u0001') && !rawMessage.includes('|')) {
-        return { type: 'unknown', raw: rawMessage };
-      }
+  static decode(frame) {
+    const raw = typeof frame === 'string' ? frame : frame?.toString() || '';
 
-      // Split by \u0001 to separate topic from data
-      const parts = rawMessage.split('\u0001');
+    return raw
+      .split(MESSAGE_DELIMITER)
+      .filter(message => message.length > 0)
+      .map(message => ZapParser.decodeRecord(message));
+  }
+
+  /**
+   * Decode a single message (one topic)
+   */
+  static decodeRecord(message) {
+    try {
+      const separator = message.indexOf(RECORD_DELIMITER);
 
-      if (parts.length < 2) {
-        return { type: 'connection', raw: rawMessage };
+      if (separator === -1) {
+        // Handshake / session messages: "100\u0002<session>\u0000"
+        return { type: 'connection', raw: message };
       }
 
-      // Extract topic (remove leading control chars)
+      const kind = message.charAt(0);
       // eslint-disable-next-line no-control-regex
-      const topic = parts[0].replace(/[\u0000-\u001F]/g, '');
-
-      // Extract data part (between | symbols)
-      const dataPart = parts[1];
-      const pipeMatch = dataPart.match(/\|([^|]+)\|/);
+      const topic = message.slice(0, separator).replace(/[\u0000-\u001F]/g, '');
+      const body = message.slice(separator + 1);
+      const messageType = body.charAt(0);
 
-      if (!pipeMatch) {
-        return { type: 'malformed', topic, raw: rawMessage };
+      if (!MESSAGE_TYPE_CODES.has(messageType)) {
+        return { type: 'malformed', topic, raw: message };
       }
 
-      const dataString = pipeMatch[1];
+      const chunks = body
+        .slice(1)
+        .split('|')
+        .filter(chunk => chunk.length > 0);
 
-      // Parse key-value pairs
-      const data = {};
-      const pairs = dataString.split(';').filter(p => p.trim());
-
-      pairs.forEach(pair => {
-        const [key, value] = pair.split('=');
-        if (key && value !== undefined) {
-          data[key] = value;
-        } else if (key) {
-          data[key] = true; // Flag-style key
-        }
-      });
-
-      // Get message type (F=Full, U=Update, D=Delete)
-      const messageType = dataPart.charAt(0);
-
-      return {
+      const record = {
         type: 'zap',
         messageType,
+        isDelta: kind === DELTA,
         topic,
-        data,
-        raw: rawMessage,
+        entities: [],
+        fields: {},
+        raw: message,
       };
+
+      if (messageType === MessageTypes.UPDATE) {
+        record.fields = chunks.reduce(
+          (fields, chunk) => Object.assign(fields, ZapParser.parseFields(chunk)),
+          {}
+        );
+      } else if (messageType !== MessageTypes.DELETE) {
+        record.entities = chunks.map(chunk => ZapParser.parseEntity(chunk));
+      }
+
+      return record;
     } catch (error) {
       return {
         type: 'error',
         error: error.message,
-        raw: rawMessage,
+        raw: message,
       };
     }
   }
 
+  /**
+   * Parse an entity chunk: "EV;IT=...;NA=...;"
+   */
+  static parseEntity(chunk) {
+    const separator = chunk.indexOf(';');
+    const head = separator === -1 ? chunk : chunk.slice(0, separator);
+
+    if (head.includes('=')) {
+      // No entity type prefix, just fields
+      return { type: null, fields: ZapParser.parseFields(chunk) };
+    }
+
+    return {
+      type: head,
+      fields: ZapParser.parseFields(separator === -1 ? '' : chunk.slice(separator + 1)),
+    };
+  }
+
+  /**
+   * Parse "K1=V1;K2=V2;FLAG;" into an object
+   */
+  static parseFields(str) {
+    const fields = {};
+
+    str
+      .split(';')
+      .filter(pair => pair.trim())
+      .forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator === -1) {
+          fields[pair] = true; // Flag-style key
+        } else {
+          fields[pair.slice(0, separator)] = pair.slice(separator + 1);
+        }
+      });
+
+    return fields;
+  }
+
+  /**
+   * Parse a ZAP protocol message
+   * Returns the first record of the frame in a flat { topic, data } shape
+   */
+  static parse(rawMessage) {
+    const [record] = ZapParser.decode(rawMessage);
+
+    if (!record) {
+      return { type: 'unknown', raw: rawMessage };
+    }
+
+    if (record.type !== 'zap') {
+      return record;
+    }
+
+    const [first] = record.entities;
+    const data =
+      record.messageType === MessageTypes.UPDATE
+        ? record.fields
+        : first
+          ? { ...(first.type ? { [first.type]: true } : {}), ...first.fields }
+          : {};
+
+    return { ...record, data };
+  }
+
   /**
    * Check if a message contains match event data
    */
@@ -145,7 +237,11 @@ export class ZapParser {
    */
   static format(parsed) {
     if (parsed.type === 'zap') {
-      return `[${parsed.messageType}] ${parsed.topic}: ${JSON.stringify(parsed.data)}`;
+      const body =
+        parsed.messageType === MessageTypes.UPDATE
+          ? JSON.stringify(parsed.fields)
+          : parsed.entities.map(entity => entity.type || '?').join('>');
+      return `[${parsed.messageType}] ${parsed.topic}: ${body}`;
     }
     return `[${parsed.type}] ${parsed.raw?.substring(0, 50)}`;
   }
@@ -0,0 +1,260 @@
+import { MessageTypes } from './ZapParser.js';
+
+/**
+ * Nesting depth of Bet365 entity types
+ * An entity becomes a child of the closest preceding entity with a lower level
+ * (CL classification > CT competition > EV event > MA market > PA participant)
+ */
+const ENTITY_LEVELS = {
+  CL: 1,
+  CT: 2,
+  EV: 3,
+  MA: 4,
+  TE: 4,
+  SC: 4,
+  PA: 5,
+  SL: 5,
+};
+
+const DEFAULT_LEVEL = 6;
+
+/**
+ * Bet365 Topic Tree
+ * In-memory state of every topic received over the ZAP feed.
+ * Snapshots build the tree, updates/inserts/deletes are applied to it and
+ * each call to apply() returns the list of changes it caused.
+ */
+export class ZapTopicTree {
+  constructor() {
+    this.nodes = new Map(); // IT (topic id) -> node
+  }
+
+  /**
+   * Apply a decoded record (see ZapParser.decode)
+   * Returns [{ action: 'insert' | 'update' | 'delete', node, previous }]
+   */
+  apply(record) {
+    if (!record || record.type !== 'zap') {
+      return [];
+    }
+
+    switch (record.messageType) {
+      case MessageTypes.FULL:
+        return this.applySnapshot(record);
+      case MessageTypes.UPDATE:
+        return this.applyUpdate(record);
+      case MessageTypes.INSERT:
+        return this.applyInsert(record);
+      case MessageTypes.DELETE:
+        return this.applyDelete(record);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * F: replace the whole subtree of a topic
+   * Nodes that survive the snapshot are reported as updates so state changes
+   * are not lost when the server re-sends a full topic. A nested topic keeps
+   * its type, fields and place below its ancestors.
+   */
+  applySnapshot(record) {
+    const previousFields = new Map();
+    const existing = this.nodes.get(record.topic);
+    const parent = existing?.parent || null;
+    const position = parent ? parent.children.indexOf(existing) : -1;
+
+    if (existing) {
+      this.collect(existing).forEach(node => previousFields.set(node.id, node.fields));
+      this.detach(existing);
+    }
+
+    const root = parent
+      ? this.createNode(existing.type, existing.fields)
+      : this.createNode('TOPIC', { IT: record.topic });
+    if (parent) {
+      root.parent = parent;
+      parent.children.splice(position, 0, root);
+    }
+    this.register(root);
+    this.attachEntities(root, record.entities);
+
+    const changes = [];
+    for (const node of this.collect(root)) {
+      if (node === root) continue;
+
+      const previous = previousFields.get(node.id);
+      if (previous) {
+        if (this.hasChanged(previous, node.fields)) {
+          changes.push({ action: 'update', node, previous });
+        }
+      } else {
+        changes.push({ action: 'insert', node, previous: null });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * U: merge fields into the node identified by the topic
+   */
+  applyUpdate(record) {
+    const node = this.nodes.get(record.topic);
+    if (!node) {
+      return [];
+    }
+
+    const previous = { ...node.fields };
+    Object.assign(node.fields, record.fields);
+
+    return this.hasChanged(previous, node.fields) ? [{ action: 'update', node, previous }] : [];
+  }
+
+  /**
+   * I: add entities below the node identified by the topic
+   */
+  applyInsert(record) {
+    const parent = this.nodes.get(record.topic);
+    if (!parent) {
+      return [];
+    }
+
+    return this.attachEntities(parent, record.entities).map(node => ({
+      action: 'insert',
+      node,
+      previous: null,
+    }));
+  }
+
+  /**
+   * D: remove the node identified by the topic and everything below it
+   */
+  applyDelete(record) {
+    const node = this.nodes.get(record.topic);
+    if (!node) {
+      return [];
+    }
+
+    const removed = this.collect(node);
+    this.detach(node);
+
+    return removed.map(child => ({ action: 'delete', node: child, previous: child.fields }));
+  }
+
+  /**
+   * Attach a flat entity list below parent, nesting by entity level
+   * Returns the created nodes in document order
+   */
+  attachEntities(parent, entities) {
+    const created = [];
+    const stack = [parent];
+
+    for (const entity of entities) {
+      const node = this.createNode(entity.type, entity.fields);
+      const level = this.levelOf(node);
+
+      while (stack.length > 1 && this.levelOf(stack[stack.length - 1]) >= level) {
+        stack.pop();
+      }
+
+      const owner = stack[stack.length - 1];
+      node.parent = owner;
+      owner.children.push(node);
+      this.register(node);
+      stack.push(node);
+      created.push(node);
+    }
+
+    return created;
+  }
+
+  createNode(type, fields = {}) {
+    return {
+      type,
+      id: fields.IT || null,
+      fields: { ...fields },
+      parent: null,
+      children: [],
+    };
+  }
+
+  levelOf(node) {
+    if (node.type === 'TOPIC') return 0;
+    return ENTITY_LEVELS[node.type] || DEFAULT_LEVEL;
+  }
+
+  register(node) {
+    if (node.id) {
+      this.nodes.set(node.id, node);
+    }
+  }
+
+  /**
+   * Remove node (and its subtree) from the tree and the index
+   */
+  detach(node) {
+    for (const child of this.collect(node)) {
+      if (child.id && this.nodes.get(child.id) === child) {
+        this.nodes.delete(child.id);
+      }
+    }
+
+    if (node.parent) {
+      node.parent.children = node.parent.children.filter(child => child !== node);
+      node.parent = null;
+    }
+  }
+
+  /**
+   * Depth-first list of node and its descendants
+   */
+  collect(node) {
+    const result = [node];
+    for (const child of node.children) {
+      result.push(...this.collect(child));
+    }
+    return result;
+  }
+
+  hasChanged(previous, current) {
+    const keys = new Set([...Object.keys(previous), ...Object.keys(current)]);
+    for (const key of keys) {
+      if (previous[key] !== current[key]) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get a node by topic id
+   */
+  get(topic) {
+    return this.nodes.get(topic);
+  }
+
+  /**
+   * Find the closest ancestor (or self) of a given entity type
+   */
+  findAncestor(node, type) {
+    let current = node;
+    while (current) {
+      if (current.type === type) return current;
+      current = current.parent;
+    }
+    return null;
+  }
+
+  /**
+   * Number of indexed topics
+   */
+  get size() {
+    return this.nodes.size;
+  }
+
+  /**
+   * Drop all state (e.g. after reconnecting)
+   */
+  clear() {
+    this.nodes.clear();
+  }
+}
@@ -1,3 +1,9 @@
 export { BaseCollector } from './BaseCollector.js';
 export { BwinCollector } from './BwinCollector.js';
+export { Bet365Collector } from './Bet365Collector.js';
 export { SofaScoreCollector } from './SofaScoreCollector.js';
+export { PuppeteerCollector } from './PuppeteerCollector.js';
+export { ZapParser } from './ZapParser.js';
+export { ZapTopicTree } from './ZapTopicTree.js';
+export { CollectorEvents, LIFECYCLE_EVENTS, assertCollector } from './CollectorContract.js';
+export { SPORTS, DEFAULT_SPORT, getSport } from './sports.js';
@@ -0,0 +1,135 @@
+/**
+ * Match Clock
+ * Derives the period, minute and stoppage time of a football match from
+ * SofaScore's status and time fields. Works on live frames (flattened keys
+ * such as 'time.currentPeriodStartTimestamp') and API events (nested objects).
+ *
+ * Minutes follow the broadcast convention: the first minute of play is 1',
+ * stoppage time is reported separately (45+2' → minute 45, addedTime 2).
+ */
+
+// Running periods by status code: clock start and regular length (minutes)
+// and the time field announcing the period's stoppage time
+const PERIODS = {
+  6: { period: 'first_half', start: 0, length: 45, injuryTime: 'injuryTime1' },
+  7: { period: 'second_half', start: 45, length: 45, injuryTime: 'injuryTime2' },
+  41: { period: 'extra_time_first_half', start: 90, length: 15, injuryTime: 'injuryTime3' },
+  42: { period: 'extra_time_second_half', start: 105, length: 15, injuryTime: 'injuryTime4' },
+};
+
+// Statuses with a stopped clock and the minute it shows
+const STOPPED = {
+  31: { period: 'half_time', minute: 45 },
+  32: { period: 'awaiting_extra_time', minute: 90 },
+  33: { period: 'extra_time_half_time', minute: 105 },
+  34: { period: 'awaiting_penalties', minute: 120 },
+  50: { period: 'penalties', minute: 120 },
+  100: { period: 'finished', minute: 90 },
+  110: { period: 'finished', minute: 120 }, // After extra time
+  120: { period: 'finished', minute: 120 }, // After penalties
+};
+
+// Clock field → payload paths (flattened frame key or nested API path)
+const FIELD_PATHS = {
+  statusCode: ['status.code'],
+  statusDescription: ['statusDescription', 'status.description'],
+  periodStartTimestamp: ['time.currentPeriodStartTimestamp'],
+  periodInitial: ['time.initial'],
+  periodMax: ['time.max'],
+  injuryTime1: ['time.injuryTime1'],
+  injuryTime2: ['time.injuryTime2'],
+  injuryTime3: ['time.injuryTime3'],
+  injuryTime4: ['time.injuryTime4'],
+};
+
+// Fields that belong to the current period only
+const PERIOD_FIELDS = ['statusDescription', 'periodStartTimestamp', 'periodInitial', 'periodMax'];
+
+// Displayed minute: "67", "67'", "45+2'"
+const SHOWN_MINUTE = /^(\d+)(?:\s*\+\s*(\d+))?'?$/;
+
+const readPath = (payload, path) =>
+  payload[path] ?? path.split('.').reduce((value, key) => value?.[key], payload);
+
+const toMinutes = seconds => (Number.isFinite(seconds) ? seconds / 60 : null);
+
+/**
+ * Pick the clock fields present in a frame or API event
+ */
+export function readClockFields(payload = {}) {
+  const fields = {};
+
+  Object.entries(FIELD_PATHS).forEach(([field, paths]) => {
+    const value = paths.map(path => readPath(payload, path)).find(found => found != null);
+    if (value !== undefined) fields[field] = value;
+  });
+
+  return fields;
+}
+
+/**
+ * Merge a partial update into the known clock fields
+ * A new status code drops the previous period's timing unless the update
+ * brings its own (frames announcing the second half may precede its start time)
+ */
+export function mergeClockFields(previous = {}, update = {}) {
+  const merged = { ...previous };
+
+  if (update.statusCode !== undefined && update.statusCode !== previous.statusCode) {
+    PERIOD_FIELDS.forEach(field => delete merged[field]);
+  }
+
+  return Object.assign(merged, update);
+}
+
+/**
+ * Compute the match clock from clock fields, or null if they do not tell
+ * Returns { period, minute, addedTime, announcedAddedTime, running }
+ */
+export function computeMatchClock(fields = {}, now = Date.now()) {
+  const stopped = STOPPED[fields.statusCode];
+  if (stopped) {
+    return {
+      period: stopped.period,
+      minute: stopped.minute,
+      addedTime: null,
+      announcedAddedTime: null,
+      running: false,
+    };
+  }
+
+  const phase = PERIODS[fields.statusCode];
+  const announcedAddedTime = (phase && fields[phase.injuryTime]) ?? null;
+
+  if (phase && Number.isFinite(fields.periodStartTimestamp)) {
+    // time.initial / time.max (seconds) override the default period bounds
+    const start = toMinutes(fields.periodInitial) ?? phase.start;
+    const end = toMinutes(fields.periodMax) ?? start + phase.length;
+    const elapsed = Math.max(0, Math.floor((now / 1000 - fields.periodStartTimestamp) / 60));
+    const minute = start + elapsed + 1;
+
+    return {
+      period: phase.period,
+      minute: Math.min(minute, end),
+      addedTime: minute > end ? minute - end : null,
+      announcedAddedTime,
+      running: true,
+    };
+  }
+
+  // No period start time: fall back to the minute SofaScore displays
+  const shown = String(fields.statusDescription ?? '').match(SHOWN_MINUTE);
+  if (shown) {
+    return {
+      period: phase?.period ?? null,
+      minute: parseInt(shown[1], 10),
+      addedTime: shown[2] ? parseInt(shown[2], 10) : null,
+      announcedAddedTime,
+      running: true,
+    };
+  }
+
+  return phase
+    ? { period: phase.period, minute: null, addedTime: null, announcedAddedTime, running: true }
+    : null;
+}
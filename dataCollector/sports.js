@@ -0,0 +1,126 @@
+/**
+ * Sports
+ * SofaScore sports the collector can follow (SOFASCORE_SPORTS), how each one
+ * scores and how its alerts are presented:
+ *
+ *   goals   football, ice hockey: score changes are goals
+ *   points  basketball: score changes feed scoring runs
+ *   sets    tennis: the score counts sets, period scores count games
+ */
+export const SPORTS = Object.freeze({
+  football: { name: 'Football', icon: '⚽', scoring: 'goals' },
+  'ice-hockey': { name: 'Ice hockey', icon: '🏒', scoring: 'goals' },
+  basketball: { name: 'Basketball', icon: '🏀', scoring: 'points', runThreshold: 10 },
+  tennis: { name: 'Tennis', icon: '🎾', scoring: 'sets' },
+});
+
+export const DEFAULT_SPORT = 'football';
+
+// Period score fields: homeScore.period1 ... homeScore.period5
+const MAX_PERIODS = 5;
+
+const OTHER_TEAM = { home: 'away', away: 'home' };
+
+/**
+ * Sport profile by SofaScore slug (football when unknown)
+ */
+export const getSport = slug => SPORTS[slug] || SPORTS[DEFAULT_SPORT];
+
+/**
+ * Tennis server of a game (0-based across the match), or null if unknown
+ */
+const serverOfGame = (firstToServe, gameNumber) => {
+  if (firstToServe !== 1 && firstToServe !== 2) return null;
+  const first = firstToServe === 1 ? 'home' : 'away';
+  return gameNumber % 2 === 0 ? first : OTHER_TEAM[first];
+};
+
+/**
+ * Per-period scores present in a frame or API event
+ * ({ home: { 1: 6, 2: 3 }, away: { 1: 4, 2: 2 } }, keyed by period number),
+ * or null
+ */
+export function readPeriodScores(payload = {}) {
+  let found = false;
+  const scores = { home: {}, away: {} };
+
+  ['home', 'away'].forEach(team => {
+    for (let period = 1; period <= MAX_PERIODS; period++) {
+      const value =
+        payload[`${team}Score.period${period}`] ?? payload[`${team}Score`]?.[`period${period}`];
+      if (typeof value === 'number') {
+        scores[team][period] = value;
+        found = true;
+      }
+    }
+  });
+
+  return found ? scores : null;
+}
+
+/**
+ * Update a basketball scoring run with the points each team just scored
+ * Returns the run ({ team, points, startScore }); both teams scoring ends it
+ */
+export function updateScoringRun(run, scored, score) {
+  const teams = ['home', 'away'].filter(team => scored[team] > 0);
+  if (teams.length !== 1) {
+    return teams.length === 0 ? run : null;
+  }
+
+  const [team] = teams;
+  if (run?.team === team) {
+    return { ...run, points: run.points + scored[team] };
+  }
+
+  return {
+    team,
+    points: scored[team],
+    startScore: {
+      home: score.home - scored.home,
+      away: score.away - scored.away,
+    },
+  };
+}
+
+/**
+ * Tennis games won since the previous period scores:
+ * [{ team, set, games: { home, away }, server, isBreak }]
+ * The server alternates every game from firstToServe (1 home, 2 away); a
+ * tiebreak counts as one game and is never a break. Without firstToServe the
+ * server is unknown (server and isBreak null).
+ */
+export function findTennisGames(previous, current, firstToServe) {
+  if (!previous) return [];
+
+  const games = [];
+  let played = 0;
+
+  for (let set = 1; set <= MAX_PERIODS; set++) {
+    const before = { home: previous.home[set] ?? 0, away: previous.away[set] ?? 0 };
+    const after = {
+      home: current.home[set] ?? before.home,
+      away: current.away[set] ?? before.away,
+    };
+
+    ['home', 'away'].forEach(team => {
+      const other = OTHER_TEAM[team];
+      if (after[team] !== before[team] + 1 || after[other] !== before[other]) return;
+
+      const isTiebreak = before.home === 6 && before.away === 6;
+      const server = serverOfGame(firstToServe, played + before.home + before.away);
+
+      games.push({
+        team,
+        set,
+        games: after,
+        server,
+        isBreak: server === null ? null : !isTiebreak && server !== team,
+      });
+    });
+
+    played += after.home + after.away;
+  }
+
+  return games;
+}
@@ -0,0 +1,69 @@
+/**
+ * Watch List
+ * Matches the SofaScore collector follows (SOFASCORE_WATCH_*). Entries are
+ * IDs or names, compared case-insensitively:
+ *
+ *   tournaments  tournament or unique tournament ID, or exact tournament name
+ *   teams        either team's ID, or part of its name (like /follow)
+ *   countries    tournament country name or alpha-2 code
+ *   matches      match ID
+ *
+ * A match is watched when any entry matches; an empty watch list watches all.
+ */
+const KEYS = ['tournaments', 'teams', 'countries', 'matches'];
+
+const normalize = entries => (entries || []).map(entry => String(entry).trim().toLowerCase());
+
+const sameId = (id, entry) => id !== undefined && id !== null && String(id) === entry;
+
+/**
+ * Normalized watch list from { tournaments, teams, countries, matches }
+ */
+export function createWatchList(options = {}) {
+  return Object.fromEntries(KEYS.map(key => [key, normalize(options[key]).filter(Boolean)]));
+}
+
+/**
+ * Check if a watch list lets every match through
+ */
+export const isWatchingAll = watchList => KEYS.every(key => watchList[key].length === 0);
+
+/**
+ * Check a match against the watch list
+ * Returns true or false, or null when the match info does not tell yet
+ * (teams unknown and not listed by ID)
+ */
+export function matchesWatchList(watchList, matchId, info = {}) {
+  if (isWatchingAll(watchList) || watchList.matches.includes(String(matchId))) {
+    return true;
+  }
+
+  const { tournaments, teams, countries } = watchList;
+  if (tournaments.length + teams.length + countries.length === 0) {
+    return false;
+  }
+
+  if (!info.homeTeam || info.homeTeam === 'Unknown') {
+    return null;
+  }
+
+  const tournament = String(info.tournament || '').toLowerCase();
+  const names = [info.homeTeam, info.awayTeam].filter(Boolean).map(name => name.toLowerCase());
+  const country = [info.country, info.countryCode].filter(Boolean).map(name => name.toLowerCase());
+
+  return (
+    tournaments.some(
+      entry =>
+        sameId(info.tournamentId, entry) ||
+        sameId(info.uniqueTournamentId, entry) ||
+        tournament === entry
+    ) ||
+    teams.some(
+      entry =>
+        sameId(info.homeTeamId, entry) ||
+        sameId(info.awayTeamId, entry) ||
+        names.some(name => name.includes(entry))
+    ) ||
+    countries.some(entry => country.includes(entry))
+  );
+}
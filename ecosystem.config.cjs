@@ -1,7 +1,7 @@
 module.exports = {
   apps: [{
     name: 'footsc',
-    script: './examples/test-end-to-end.js',
+    script: './src/server.js',
     instances: 1,
     autorestart: true,
     watch: false,
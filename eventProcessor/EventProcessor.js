@@ -1,5 +1,45 @@
 import EventEmitter from 'events';
 import { logger } from '../src/utils/logger.js';
+import { matchStore, parseScore } from '../matchState/index.js';
+import { perfMonitor } from '../src/utils/performance.js';
+import { markStage } from '../src/utils/tracing.js';
+import { escapeHtml } from '../src/utils/validation.js';
+import { LIFECYCLE_EVENTS } from '../dataCollector/CollectorContract.js';
+import { DEFAULT_SPORT, getSport } from '../dataCollector/sports.js';
+
+// Alert title and severity per lifecycle event
+const LIFECYCLE_ALERTS = {
+  kickoff: { title: '🟢 <b>KICK-OFF</b>', severity: 'low' },
+  half_time: { title: '⏸️ <b>HALF-TIME</b>', severity: 'low' },
+  second_half: { title: '▶️ <b>SECOND HALF</b>', severity: 'low' },
+  extra_time: { title: '⏱️ <b>EXTRA TIME</b>', severity: 'low' },
+  penalty_shootout: { title: '🎯 <b>PENALTY SHOOTOUT</b>', severity: 'medium' },
+  full_time: { title: '🏁 <b>FULL TIME</b>', severity: 'medium' },
+  postponed: { title: '📅 <b>POSTPONED</b>', severity: 'medium' },
+  abandoned: { title: '⛔ <b>ABANDONED</b>', severity: 'medium' },
+};
+
+// Outside football a match starts and ends without kick-off or full-time whistle
+const MATCH_TITLES = {
+  kickoff: '🟢 <b>MATCH STARTED</b>',
+  full_time: '🏁 <b>FINAL</b>',
+};
+
+const GOAL_LABELS = {
+  penalty: ' (pen)',
+  own_goal: ' (OG)',
+  power_play: ' (PP)',
+  short_handed: ' (SH)',
+  empty_net: ' (EN)',
+};
+
+// Ice hockey goal types
+const GOAL_TYPE_LINES = {
+  power_play: '⚡ POWER-PLAY GOAL',
+  short_handed: '🛡️ SHORT-HANDED GOAL',
+  empty_net: '🥅 EMPTY-NET GOAL',
+  penalty_shot: '🎯 PENALTY SHOT GOAL',
+};
 
 /**
  * Event Processor
@@ -10,13 +50,23 @@ export class EventProcessor extends EventEmitter {
   constructor(options = {}) {
     super();
     this.rules = new Map();
+    this.disabledRules = new Set(options.disabledRules || []);
     this.eventCache = new Map(); // For deduplication
+    this.alertCache = new Map(); // For alert deduplication (core + rule alerts)
     this.cacheTimeout = options.cacheTimeout || 5000; // 5 seconds
+    this.matchStore = options.matchStore || matchStore;
     this.enabledEvents = options.enabledEvents || {
       goals: true,
       redCards: true,
       yellowCards: true,
+      lifecycle: false,
     };
+
+    // Operator controls (see notificationDispatcher/TelegramCommands.js)
+    this.paused = false;
+    this.mutedMatches = new Set();
+    this.followedTeams = new Set();
+    this.suppressedAlerts = 0;
   }
 
   /**
@@ -42,6 +92,9 @@ export class EventProcessor extends EventEmitter {
       // Cache event for deduplication
       this.cacheEvent(event);
 
+      // Record in the shared match timeline
+      this.matchStore.recordEvent(event);
+
       // Process based on event type
       const alert = await this.processEventType(event);
 
@@ -52,8 +105,13 @@ export class EventProcessor extends EventEmitter {
           matchId: event.matchId,
         });
 
-        // Emit alert
-        this.emit('alert', alert);
+        this.emitAlert(alert);
+      }
+
+      // Custom rules produce their own alerts
+      const ruleResults = await this.applyRules(event);
+      for (const { rule, result } of ruleResults) {
+        this.emitAlert(this.buildRuleAlert(rule, result, event));
       }
     } catch (error) {
       logger.error(`Event processing error: ${error.message}`, error);
@@ -82,6 +140,94 @@ export class EventProcessor extends EventEmitter {
     return `${event.source}:${event.matchId}:${event.eventType}:${event.minute}:${event.timestamp}`;
   }
 
+  /**
+   * Generate alert key for deduplication
+   * Identical alerts (same match, type, rule, minute, team, player, score)
+   * within the cache window are dropped
+   */
+  getAlertKey(alert) {
+    const { data = {} } = alert;
+    return [
+      alert.matchId,
+      alert.type,
+      alert.rule || 'core',
+      data.minute ?? '',
+      data.team ?? '',
+      data.player ?? '',
+      typeof data.score === 'object' ? JSON.stringify(data.score) : (data.score ?? ''),
+    ].join(':');
+  }
+
+  /**
+   * Check operator controls: paused, muted match, followed teams only
+   */
+  getSuppressionReason(alert) {
+    if (this.paused) {
+      return 'paused';
+    }
+
+    const matchId = String(alert.matchId);
+    if (this.mutedMatches.has(matchId)) {
+      return 'muted';
+    }
+
+    if (this.followedTeams.size > 0) {
+      const state = this.matchStore.get(matchId);
+      const teams = [
+        state?.homeTeam || alert.data?.homeTeam,
+        state?.awayTeam || alert.data?.awayTeam,
+      ]
+        .filter(Boolean)
+        .map(team => team.toLowerCase());
+
+      const followed = Array.from(this.followedTeams).some(name =>
+        teams.some(team => team.includes(name))
+      );
+      if (!followed) {
+        return 'not followed';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Deduplicate and emit an alert
+   */
+  emitAlert(alert) {
+    const suppression = this.getSuppressionReason(alert);
+    if (suppression) {
+      this.suppressedAlerts++;
+      logger.debug(`Alert suppressed (${suppression})`, {
+        matchId: alert.matchId,
+        type: alert.type,
+      });
+      this.emit('suppressed', alert, suppression);
+      return false;
+    }
+
+    const key = this.getAlertKey(alert);
+    alert.id = alert.id || key;
+
+    if (this.alertCache.has(key)) {
+      logger.debug('Duplicate alert ignored', { matchId: alert.matchId, type: alert.type });
+      return false;
+    }
+
+    this.alertCache.set(key, alert.timestamp);
+    setTimeout(() => {
+      this.alertCache.delete(key);
+    }, this.cacheTimeout);
+
+    const trace = markStage(alert, 'processed');
+    if (trace) {
+      alert.traceId = trace.id;
+    }
+
+    this.emit('alert', alert);
+    return true;
+  }
+
   /**
    * Cache event to prevent duplicates
    */
@@ -109,7 +255,31 @@ export class EventProcessor extends EventEmitter {
       case 'yellow_card':
         return this.enabledEvents.yellowCards ? this.processYellowCard(event) : null;
 
+      case 'goal_update':
+        return this.enabledEvents.goals ? this.processGoalUpdate(event) : null;
+
+      case 'score_correction':
+        return this.enabledEvents.goals ? this.processScoreCorrection(event) : null;
+
+      case 'goal_cancelled':
+        return this.enabledEvents.goals ? this.processGoalCancelled(event) : null;
+
+      case 'missed_penalty':
+        return this.enabledEvents.goals ? this.processMissedPenalty(event) : null;
+
+      case 'points_run':
+        return this.enabledEvents.goals ? this.processPointsRun(event) : null;
+
+      case 'set_won':
+        return this.enabledEvents.goals ? this.processSetWon(event) : null;
+
+      case 'break_of_serve':
+        return this.enabledEvents.goals ? this.processBreakOfServe(event) : null;
+
       default:
+        if (LIFECYCLE_EVENTS.includes(event.eventType)) {
+          return this.enabledEvents.lifecycle ? this.processLifecycle(event) : null;
+        }
         logger.debug(`Unhandled event type: ${event.eventType}`);
         return null;
     }
@@ -119,40 +289,338 @@ export class EventProcessor extends EventEmitter {
    * Process goal event
    */
   processGoal(event) {
-    const { goalData = {}, homeTeam, awayTeam, score, minute, player, assistBy, teamName } = event;
+    const data = this.getGoalData(event);
 
     const alert = {
+      id: this.getGoalAlertId(event.matchId, event.score),
       type: 'goal',
       severity: 'high',
       timestamp: Date.now(),
       matchId: event.matchId,
       source: event.source,
+      data,
+      message: this.formatGoalMessage(event),
+      raw: event,
+    };
+
+    logger.info('⚽ GOAL detected', {
+      match: `${data.homeTeam} vs ${data.awayTeam}`,
+      score: data.score,
+      minute: data.minute,
+      player: data.player,
+    });
+
+    return alert;
+  }
+
+  /**
+   * Process goal details that arrived after the goal alert
+   * Notifiers that can edit replace the goal message with replacementMessage,
+   * others post message as a follow-up
+   */
+  processGoalUpdate(event) {
+    const data = this.getGoalData(event);
+    const goalAlertId = this.getGoalAlertId(event.matchId, event.score);
+
+    const alert = {
+      id: goalAlertId && `${goalAlertId}:details`,
+      type: 'goal_update',
+      severity: 'high',
+      timestamp: Date.now(),
+      matchId: event.matchId,
+      source: event.source,
+      updatesAlertId: goalAlertId,
+      data,
+      message: this.formatGoalMessage(event, 'Goal details'),
+      replacementMessage: this.formatGoalMessage(event),
+      raw: event,
+    };
+
+    logger.info('📝 GOAL details', {
+      match: `${data.homeTeam} vs ${data.awayTeam}`,
+      score: data.score,
+      player: data.player,
+    });
+
+    return alert;
+  }
+
+  /**
+   * Alert data of a goal or goal update
+   */
+  getGoalData(event) {
+    const { goalData = {}, homeTeam, awayTeam, score, minute, player, assistBy, teamName } = event;
+
+    return {
+      homeTeam,
+      awayTeam,
+      score,
+      minute,
+      addedTime: event.addedTime,
+      team: goalData.team || event.team,
+      teamName: teamName,
+      player: player || goalData.player,
+      assistBy: assistBy || goalData.assistBy,
+      goalType: goalData.goalType || 'regular',
+      isPenalty: goalData.isPenalty || false,
+      isOwnGoal: goalData.isOwnGoal || false,
+      varConfirmed: goalData.varConfirmed || false,
+    };
+  }
+
+  /**
+   * Stable ID of the goal alert that produced a score
+   * Corrections use it to find the alert they revise
+   */
+  getGoalAlertId(matchId, score) {
+    const parsed = parseScore(score);
+    return parsed ? `${matchId}:goal:${parsed.home}-${parsed.away}` : undefined;
+  }
+
+  /**
+   * Process score correction (goal disallowed, score reversed)
+   */
+  processScoreCorrection(event) {
+    const { correction = {}, homeTeam, awayTeam, score, previousScore, minute } = event;
+
+    const alert = {
+      id: `${event.matchId}:score_correction:${previousScore}>${score}`,
+      type: 'score_correction',
+      severity: 'high',
+      timestamp: Date.now(),
+      matchId: event.matchId,
+      source: event.source,
+      correctsAlertId: this.getGoalAlertId(event.matchId, previousScore),
       data: {
         homeTeam,
         awayTeam,
         score,
+        previousScore,
+        team: event.team,
+        player: correction.player,
+        minute: correction.minute ?? minute,
+        reason: correction.reason,
+      },
+      message: this.formatCorrectionMessage(event),
+      raw: event,
+    };
+
+    logger.info('🚫 SCORE CORRECTION detected', {
+      match: `${homeTeam} vs ${awayTeam}`,
+      score: `${previousScore} → ${score}`,
+    });
+
+    return alert;
+  }
+
+  /**
+   * Process a goal disallowed by VAR before it counted (no score change)
+   */
+  processGoalCancelled(event) {
+    const { homeTeam, awayTeam, minute, player, teamName } = event;
+
+    const alert = {
+      type: 'goal_cancelled',
+      severity: 'high',
+      timestamp: Date.now(),
+      matchId: event.matchId,
+      source: event.source,
+      data: {
+        homeTeam,
+        awayTeam,
         minute,
-        team: goalData.team || event.team,
-        teamName: teamName,
-        player: player || goalData.player,
-        assistBy: assistBy || goalData.assistBy,
-        isPenalty: goalData.isPenalty || false,
-        isOwnGoal: goalData.isOwnGoal || false,
+        team: event.team,
+        teamName,
+        player,
+        decision: event.var?.decision,
+        reason: event.var?.reason,
       },
-      message: this.formatGoalMessage(event),
+      message: this.formatGoalCancelledMessage(event),
       raw: event,
     };
 
-    logger.info('⚽ GOAL detected', {
+    logger.info('🚫 GOAL CANCELLED detected', {
       match: `${homeTeam} vs ${awayTeam}`,
-      score: score,
+      player,
       minute,
-      player: player || goalData.player,
     });
 
     return alert;
   }
 
+  /**
+   * Process missed (or saved) penalty
+   */
+  processMissedPenalty(event) {
+    const { homeTeam, awayTeam, minute, player, teamName, reason } = event;
+
+    const alert = {
+      type: 'missed_penalty',
+      severity: 'medium',
+      timestamp: Date.now(),
+      matchId: event.matchId,
+      source: event.source,
+      data: {
+        homeTeam,
+        awayTeam,
+        minute,
+        team: event.team,
+        teamName,
+        player,
+        reason,
+      },
+      message: this.formatMissedPenaltyMessage(event),
+      raw: event,
+    };
+
+    logger.info('❌ MISSED PENALTY detected', {
+      match: `${homeTeam} vs ${awayTeam}`,
+      player,
+      minute,
+    });
+
+    return alert;
+  }
+
+  /**
+   * Process match lifecycle event (kickoff, half-time, ..., full-time)
+   * Full-time alerts carry the final score and the goal scorers
+   */
+  processLifecycle(event) {
+    const { homeTeam, awayTeam, eventType } = event;
+    const score = parseScore(event.score) || this.matchStore.get(event.matchId)?.score;
+    const scorers =
+      eventType === 'full_time'
+        ? this.matchStore.getIncidents(event.matchId, { types: 'goal' }).map(goal => ({
+            player: goal.player || 'Unknown',
+            team: goal.team,
+            minute: goal.minute,
+            addedTime: goal.addedTime,
+            goalType: goal.goalType,
+          }))
+        : undefined;
+
+    const alert = {
+      type: eventType,
+      severity: LIFECYCLE_ALERTS[eventType].severity,
+      timestamp: Date.now(),
+      matchId: event.matchId,
+      source: event.source,
+      data: {
+        sport: event.sport || DEFAULT_SPORT,
+        homeTeam,
+        awayTeam,
+        score: score ? `${score.home}-${score.away}` : undefined,
+        status: event.status?.description,
+        scorers,
+      },
+      message: this.formatLifecycleMessage(event, score, scorers),
+      raw: event,
+    };
+
+    logger.info(`🏁 ${eventType} detected`, { match: `${homeTeam} vs ${awayTeam}` });
+
+    return alert;
+  }
+
+  /**
+   * Process basketball scoring run (unanswered points)
+   */
+  processPointsRun(event) {
+    const { homeTeam, awayTeam, teamName, score, run = {} } = event;
+
+    const alert = {
+      type: 'points_run',
+      severity: 'medium',
+      timestamp: Date.now(),
+      matchId: event.matchId,
+      source: event.source,
+      data: {
+        sport: event.sport,
+        homeTeam,
+        awayTeam,
+        team: event.team,
+        teamName,
+        score,
+        points: run.points,
+        startScore: run.startScore,
+      },
+      message: this.formatPointsRunMessage(event),
+      raw: event,
+    };
+
+    logger.info('🏀 SCORING RUN detected', {
+      match: `${homeTeam} vs ${awayTeam}`,
+      team: teamName,
+      points: run.points,
+    });
+
+    return alert;
+  }
+
+  /**
+   * Process tennis set won
+   */
+  processSetWon(event) {
+    const { homeTeam, awayTeam, teamName, score, set, games } = event;
+
+    const alert = {
+      type: 'set_won',
+      severity: 'medium',
+      timestamp: Date.now(),
+      matchId: event.matchId,
+      source: event.source,
+      data: {
+        sport: event.sport,
+        homeTeam,
+        awayTeam,
+        team: event.team,
+        teamName,
+        score,
+        set,
+        games,
+      },
+      message: this.formatSetWonMessage(event),
+      raw: event,
+    };
+
+    logger.info('🎾 SET WON detected', { match: `${homeTeam} vs ${awayTeam}`, set, score });
+
+    return alert;
+  }
+
+  /**
+   * Process tennis break of serve
+   */
+  processBreakOfServe(event) {
+    const { homeTeam, awayTeam, teamName, set, games } = event;
+
+    const alert = {
+      type: 'break_of_serve',
+      severity: 'low',
+      timestamp: Date.now(),
+      matchId: event.matchId,
+      source: event.source,
+      data: {
+        sport: event.sport,
+        homeTeam,
+        awayTeam,
+        team: event.team,
+        teamName,
+        set,
+        games,
+        // Games identify the break (the alert key includes the score)
+        score: games ? `${games.home}-${games.away}` : undefined,
+      },
+      message: this.formatBreakOfServeMessage(event),
+      raw: event,
+    };
+
+    logger.info('🎾 BREAK OF SERVE detected', { match: `${homeTeam} vs ${awayTeam}`, set });
+
+    return alert;
+  }
+
   /**
    * Process red card event
    */
@@ -173,6 +641,7 @@ export class EventProcessor extends EventEmitter {
         teamName: teamName,
         player: player || cardData.player,
         reason: cardData.reason,
+        secondYellow: cardData.secondYellow || false,
       },
       message: this.formatRedCardMessage(event),
       raw: event,
@@ -224,7 +693,7 @@ export class EventProcessor extends EventEmitter {
   /**
    * Format goal message
    */
-  formatGoalMessage(event) {
+  formatGoalMessage(event, title = 'GOAL!') {
     const {
       goalData = {},
       homeTeam,
@@ -237,14 +706,15 @@ export class EventProcessor extends EventEmitter {
       tournament,
     } = event;
 
-    let message = `⚽ <b>GOAL!</b>\n\n`;
+    const { icon } = getSport(event.sport);
+    let message = `${icon} <b>${title}</b>\n\n`;
 
     if (homeTeam && awayTeam) {
-      message += `🏟️ ${homeTeam} vs ${awayTeam}\n`;
+      message += `🏟️ ${escapeHtml(homeTeam)} vs ${escapeHtml(awayTeam)}\n`;
     }
 
     if (score) {
-      message += `📊 Score: <b>${score}</b>\n`;
+      message += `📊 Score: <b>${escapeHtml(score)}</b>\n`;
     }
 
     if (minute) {
@@ -256,15 +726,15 @@ export class EventProcessor extends EventEmitter {
     }
 
     if (player || goalData.player) {
-      message += `⚽ <b>${player || goalData.player}</b>`;
+      message += `${icon} <b>${escapeHtml(player || goalData.player)}</b>`;
       if (teamName) {
-        message += ` (${teamName})`;
+        message += ` (${escapeHtml(teamName)})`;
       }
       message += '\n';
     }
 
     if (assistBy || goalData.assistBy) {
-      message += `🎯 Assist: ${assistBy || goalData.assistBy}\n`;
+      message += `🎯 Assist: ${escapeHtml(assistBy || goalData.assistBy)}\n`;
     }
 
     if (goalData.isPenalty) {
@@ -275,8 +745,242 @@ export class EventProcessor extends EventEmitter {
       message += '😱 OWN GOAL\n';
     }
 
+    if (GOAL_TYPE_LINES[goalData.goalType]) {
+      message += `${GOAL_TYPE_LINES[goalData.goalType]}\n`;
+    }
+
+    if (goalData.varConfirmed) {
+      message += '📺 Confirmed by VAR\n';
+    }
+
+    if (tournament) {
+      message += `\n🏆 ${escapeHtml(tournament)}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Format score correction message
+   */
+  formatCorrectionMessage(event) {
+    const { correction = {}, homeTeam, awayTeam, score, previousScore, tournament } = event;
+
+    let message = `🚫 <b>${escapeHtml(correction.label || 'Goal disallowed (VAR)')}</b>\n\n`;
+
+    if (homeTeam && awayTeam) {
+      message += `🏟️ ${escapeHtml(homeTeam)} vs ${escapeHtml(awayTeam)}\n`;
+    }
+
+    message += `📊 Score: <s>${escapeHtml(previousScore)}</s> → <b>${escapeHtml(score)}</b>\n`;
+
+    if (correction.player) {
+      message += `⚽ ${escapeHtml(correction.player)}`;
+      if (correction.minute) {
+        message += ` (${correction.minute}')`;
+      }
+      message += '\n';
+    }
+
+    if (tournament) {
+      message += `\n🏆 ${escapeHtml(tournament)}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Format VAR-cancelled goal message
+   */
+  formatGoalCancelledMessage(event) {
+    const { homeTeam, awayTeam, minute, player, teamName, tournament } = event;
+
+    let message = `🚫 <b>GOAL DISALLOWED (VAR)</b>\n\n`;
+
+    if (homeTeam && awayTeam) {
+      message += `🏟️ ${escapeHtml(homeTeam)} vs ${escapeHtml(awayTeam)}\n`;
+    }
+
+    if (minute) {
+      message += `⏱️ ${minute}'`;
+      if (event.addedTime) {
+        message += ` +${event.addedTime}`;
+      }
+      message += '\n';
+    }
+
+    if (player || teamName) {
+      message += `⚽ <b>${escapeHtml(player || teamName)}</b>`;
+      if (player && teamName) {
+        message += ` (${escapeHtml(teamName)})`;
+      }
+      message += '\n';
+    }
+
+    if (event.var?.reason) {
+      message += `📝 ${escapeHtml(event.var.reason)}\n`;
+    }
+
+    if (tournament) {
+      message += `\n🏆 ${escapeHtml(tournament)}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Format missed penalty message
+   */
+  formatMissedPenaltyMessage(event) {
+    const { homeTeam, awayTeam, minute, player, teamName, reason, tournament } = event;
+
+    let message = `❌ <b>PENALTY MISSED!</b>\n\n`;
+
+    if (homeTeam && awayTeam) {
+      message += `🏟️ ${escapeHtml(homeTeam)} vs ${escapeHtml(awayTeam)}\n`;
+    }
+
+    if (minute) {
+      message += `⏱️ ${minute}'`;
+      if (event.addedTime) {
+        message += ` +${event.addedTime}`;
+      }
+      message += '\n';
+    }
+
+    if (player) {
+      message += `👤 <b>${escapeHtml(player)}</b>`;
+      if (teamName) {
+        message += ` (${escapeHtml(teamName)})`;
+      }
+      message += '\n';
+    }
+
+    if (reason) {
+      message += `📝 ${escapeHtml(reason)}\n`;
+    }
+
+    if (tournament) {
+      message += `\n🏆 ${escapeHtml(tournament)}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Format lifecycle message (scorers listed at full time)
+   */
+  formatLifecycleMessage(event, score, scorers = []) {
+    const { eventType, homeTeam, awayTeam, tournament } = event;
+
+    const sport = event.sport || DEFAULT_SPORT;
+    const title =
+      (sport !== DEFAULT_SPORT && MATCH_TITLES[eventType]) || LIFECYCLE_ALERTS[eventType].title;
+    let message = `${title}\n\n`;
+
+    if (homeTeam && awayTeam) {
+      message += score
+        ? `🏟️ ${escapeHtml(homeTeam)} <b>${score.home} - ${score.away}</b> ${escapeHtml(awayTeam)}\n`
+        : `🏟️ ${escapeHtml(homeTeam)} vs ${escapeHtml(awayTeam)}\n`;
+    }
+
+    if (scorers.length > 0) {
+      message += '\n';
+      scorers.forEach(({ player, team, minute, addedTime, goalType }) => {
+        const teamName = team === 'away' ? awayTeam : homeTeam;
+        message += `${getSport(sport).icon} ${escapeHtml(player)}${GOAL_LABELS[goalType] || ''}`;
+        if (minute) {
+          message += ` ${minute}'${addedTime ? ` +${addedTime}` : ''}`;
+        }
+        message += teamName ? ` (${escapeHtml(teamName)})\n` : '\n';
+      });
+    }
+
+    if (tournament) {
+      message += `\n🏆 ${escapeHtml(tournament)}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Format basketball scoring run message
+   */
+  formatPointsRunMessage(event) {
+    const { homeTeam, awayTeam, teamName, score, run = {}, tournament } = event;
+
+    let message = `🏀 <b>${run.points}-0 RUN!</b>\n\n`;
+
+    if (homeTeam && awayTeam) {
+      message += `🏟️ ${escapeHtml(homeTeam)} vs ${escapeHtml(awayTeam)}\n`;
+    }
+
+    if (score) {
+      message += `📊 Score: <b>${escapeHtml(score)}</b>\n`;
+    }
+
+    if (teamName) {
+      message += `🔥 <b>${escapeHtml(teamName)}</b> scored ${run.points} unanswered points`;
+      message += run.startScore ? ` (from ${escapeHtml(run.startScore)})\n` : '\n';
+    }
+
+    if (tournament) {
+      message += `\n🏆 ${escapeHtml(tournament)}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Format tennis set won message
+   */
+  formatSetWonMessage(event) {
+    const { homeTeam, awayTeam, teamName, score, set, games, tournament } = event;
+
+    let message = `🎾 <b>SET ${set}</b>\n\n`;
+
+    if (homeTeam && awayTeam) {
+      message += `🏟️ ${escapeHtml(homeTeam)} vs ${escapeHtml(awayTeam)}\n`;
+    }
+
+    if (teamName) {
+      message += `👤 <b>${escapeHtml(teamName)}</b> wins the set`;
+      message += games?.home != null ? ` ${games.home}-${games.away}\n` : '\n';
+    }
+
+    if (score) {
+      message += `📊 Sets: <b>${escapeHtml(score)}</b>\n`;
+    }
+
     if (tournament) {
-      message += `\n🏆 ${tournament}`;
+      message += `\n🏆 ${escapeHtml(tournament)}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Format tennis break of serve message
+   */
+  formatBreakOfServeMessage(event) {
+    const { homeTeam, awayTeam, teamName, set, games, tournament } = event;
+
+    let message = `🎾 <b>BREAK OF SERVE</b>\n\n`;
+
+    if (homeTeam && awayTeam) {
+      message += `🏟️ ${escapeHtml(homeTeam)} vs ${escapeHtml(awayTeam)}\n`;
+    }
+
+    if (teamName) {
+      message += `👤 <b>${escapeHtml(teamName)}</b> breaks serve\n`;
+    }
+
+    if (games) {
+      message += `📊 Set ${set}: <b>${games.home}-${games.away}</b>\n`;
+    }
+
+    if (tournament) {
+      message += `\n🏆 ${escapeHtml(tournament)}`;
     }
 
     return message;
@@ -291,7 +995,7 @@ export class EventProcessor extends EventEmitter {
     let message = `🟥 <b>RED CARD!</b>\n\n`;
 
     if (homeTeam && awayTeam) {
-      message += `🏟️ ${homeTeam} vs ${awayTeam}\n`;
+      message += `🏟️ ${escapeHtml(homeTeam)} vs ${escapeHtml(awayTeam)}\n`;
     }
 
     if (minute) {
@@ -303,19 +1007,23 @@ export class EventProcessor extends EventEmitter {
     }
 
     if (player || cardData.player) {
-      message += `👤 <b>${player || cardData.player}</b>`;
+      message += `👤 <b>${escapeHtml(player || cardData.player)}</b>`;
       if (teamName) {
-        message += ` (${teamName})`;
+        message += ` (${escapeHtml(teamName)})`;
       }
       message += '\n';
     }
 
     if (cardData.reason) {
-      message += `📝 ${cardData.reason}\n`;
+      message += `📝 ${escapeHtml(cardData.reason)}\n`;
+    }
+
+    if (cardData.secondYellow) {
+      message += `🟨🟥 Second yellow\n`;
     }
 
     if (tournament) {
-      message += `\n🏆 ${tournament}`;
+      message += `\n🏆 ${escapeHtml(tournament)}`;
     }
 
     return message;
@@ -330,7 +1038,7 @@ export class EventProcessor extends EventEmitter {
     let message = `🟨 <b>YELLOW CARD!</b>\n\n`;
 
     if (homeTeam && awayTeam) {
-      message += `🏟️ ${homeTeam} vs ${awayTeam}\n`;
+      message += `🏟️ ${escapeHtml(homeTeam)} vs ${escapeHtml(awayTeam)}\n`;
     }
 
     if (minute) {
@@ -342,24 +1050,62 @@ export class EventProcessor extends EventEmitter {
     }
 
     if (player || cardData.player) {
-      message += `👤 <b>${player || cardData.player}</b>`;
+      message += `👤 <b>${escapeHtml(player || cardData.player)}</b>`;
       if (teamName) {
-        message += ` (${teamName})`;
+        message += ` (${escapeHtml(teamName)})`;
       }
       message += '\n';
     }
 
     if (cardData.reason) {
-      message += `📝 ${cardData.reason}\n`;
+      message += `📝 ${escapeHtml(cardData.reason)}\n`;
     }
 
     if (tournament) {
-      message += `\n🏆 ${tournament}`;
+      message += `\n🏆 ${escapeHtml(tournament)}`;
     }
 
     return message;
   }
 
+  /**
+   * Build an alert from a custom rule result
+   * Rules return { type, message, severity?, ...data }
+   */
+  buildRuleAlert(rule, result, event) {
+    const { homeTeam, awayTeam, minute, tournament } = event;
+    const { type, message, severity, ...details } = result;
+
+    let text = message || `📢 ${rule}`;
+    if (homeTeam && awayTeam) {
+      text += `\n\n🏟️ ${escapeHtml(homeTeam)} vs ${escapeHtml(awayTeam)}`;
+    }
+    if (minute) {
+      text += `\n⏱️ ${minute}'`;
+    }
+    if (tournament) {
+      text += `\n🏆 ${escapeHtml(tournament)}`;
+    }
+
+    return {
+      type: type || rule,
+      severity: severity || 'medium',
+      timestamp: Date.now(),
+      matchId: event.matchId,
+      source: event.source,
+      rule,
+      data: {
+        homeTeam,
+        awayTeam,
+        minute,
+        team: event.team,
+        ...details,
+      },
+      message: text,
+      raw: event,
+    };
+  }
+
   /**
    * Add custom rule
    */
@@ -376,6 +1122,53 @@ export class EventProcessor extends EventEmitter {
     logger.info(`Rule removed: ${name}`);
   }
 
+  /**
+   * Enable a rule
+   */
+  enableRule(name) {
+    this.disabledRules.delete(name);
+    logger.info(`Rule enabled: ${name}`);
+  }
+
+  /**
+   * Disable a rule (it stays registered but is skipped)
+   */
+  disableRule(name) {
+    this.disabledRules.add(name);
+    logger.info(`Rule disabled: ${name}`);
+  }
+
+  /**
+   * Check if a rule is enabled
+   */
+  isRuleEnabled(name) {
+    return !this.disabledRules.has(name);
+  }
+
+  /**
+   * Replace alert toggles and disabled rules at runtime
+   * settings: { enabledEvents, disabledRules }
+   */
+  updateSettings({ enabledEvents, disabledRules } = {}) {
+    if (enabledEvents) {
+      this.enabledEvents = { ...this.enabledEvents, ...enabledEvents };
+    }
+
+    if (disabledRules) {
+      this.disabledRules = new Set(disabledRules);
+    }
+  }
+
+  /**
+   * List registered rules
+   */
+  getRules() {
+    return Array.from(this.rules.keys()).map(name => ({
+      name,
+      enabled: this.isRuleEnabled(name),
+    }));
+  }
+
   /**
    * Apply custom rules
    */
@@ -383,24 +1176,100 @@ export class EventProcessor extends EventEmitter {
     const results = [];
 
     for (const [name, ruleFn] of this.rules) {
+      if (!this.isRuleEnabled(name)) {
+        continue;
+      }
+
+      const span = perfMonitor.start(`rule:${name}`);
+
       try {
-        const result = await ruleFn(event);
+        const result = await ruleFn(event, this.matchStore);
         if (result) {
           results.push({ rule: name, result });
         }
+        span.end();
       } catch (error) {
         logger.error(`Rule execution error: ${name}`, error);
+        span.fail();
       }
     }
 
     return results;
   }
 
+  /**
+   * Pause all match alerts (events are still processed and tracked)
+   */
+  pause() {
+    this.paused = true;
+    logger.info('⏸️ Alerts paused');
+  }
+
+  /**
+   * Resume match alerts
+   */
+  resume() {
+    this.paused = false;
+    logger.info('▶️ Alerts resumed');
+  }
+
+  /**
+   * Mute alerts for one match
+   */
+  muteMatch(matchId) {
+    this.mutedMatches.add(String(matchId));
+    logger.info(`🔇 Match muted: ${matchId}`);
+  }
+
+  /**
+   * Unmute a match
+   */
+  unmuteMatch(matchId) {
+    const removed = this.mutedMatches.delete(String(matchId));
+    if (removed) {
+      logger.info(`🔊 Match unmuted: ${matchId}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Follow a team: once any team is followed, only alerts for matches
+   * involving a followed team are emitted (case-insensitive substring match)
+   */
+  followTeam(team) {
+    this.followedTeams.add(team.trim().toLowerCase());
+    logger.info(`⭐ Following team: ${team}`);
+  }
+
+  /**
+   * Stop following a team
+   */
+  unfollowTeam(team) {
+    const removed = this.followedTeams.delete(team.trim().toLowerCase());
+    if (removed) {
+      logger.info(`Unfollowed team: ${team}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Get operator control state
+   */
+  getControls() {
+    return {
+      paused: this.paused,
+      mutedMatches: Array.from(this.mutedMatches),
+      followedTeams: Array.from(this.followedTeams),
+      suppressedAlerts: this.suppressedAlerts,
+    };
+  }
+
   /**
    * Clear event cache
    */
   clearCache() {
     this.eventCache.clear();
+    this.alertCache.clear();
     logger.info('Event cache cleared');
   }
 
@@ -410,6 +1279,7 @@ export class EventProcessor extends EventEmitter {
   getCacheStats() {
     return {
       size: this.eventCache.size,
+      alerts: this.alertCache.size,
       timeout: this.cacheTimeout,
     };
   }
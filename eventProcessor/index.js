@@ -1,2 +1,9 @@
 export { EventProcessor } from './EventProcessor.js';
 export { defaultRules } from './rules.js';
+export {
+  compileRule,
+  compileRules,
+  loadRulesFile,
+  registerRules,
+  RuleValidationError,
+} from './ruleCompiler.js';
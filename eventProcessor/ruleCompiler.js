@@ -0,0 +1,416 @@
+import fs from 'fs';
+import { matchStore, parseScore } from '../matchState/index.js';
+import { escapeHtml } from '../src/utils/validation.js';
+
+/**
+ * Declarative Rule Compiler
+ * Turns JSON rule definitions into rule functions for EventProcessor.addRule()
+ *
+ * {
+ *   "rules": [
+ *     {
+ *       "name": "late_equaliser",
+ *       "when": { "eventType": "goal", "minute": { "gte": 80 }, "score": { "diff": 0 } },
+ *       "window": { "count": 3, "minutes": 10, "eventType": ["yellow_card", "red_card"] },
+ *       "alert": { "type": "late_equaliser", "severity": "high", "message": "Equaliser {{score}}" }
+ *     }
+ *   ]
+ * }
+ */
+
+const FIELDS = [
+  'eventType',
+  'minute',
+  'score',
+  'team',
+  'teamName',
+  'tournament',
+  'homeTeam',
+  'awayTeam',
+  'player',
+  'source',
+  'matchId',
+];
+
+const SCORE_PARTS = ['home', 'away', 'total', 'diff'];
+const OPERATORS = ['eq', 'ne', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte', 'contains', 'matches'];
+const SEVERITIES = ['info', 'low', 'medium', 'high'];
+const RULE_KEYS = ['name', 'enabled', 'description', 'when', 'window', 'alert'];
+
+/**
+ * Raised when a rule document is invalid
+ * `errors` holds { path, message } entries pointing at the offending rule
+ */
+export class RuleValidationError extends Error {
+  constructor(errors, source = 'rules') {
+    super(
+      `Invalid ${source}:\n` + errors.map(error => `  ${error.path}: ${error.message}`).join('\n')
+    );
+    this.name = 'RuleValidationError';
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const normalize = value => (typeof value === 'string' ? value.toLowerCase() : value);
+
+/**
+ * Compile a single condition ({ gte: 80 }, "goal", ["home", "away"], ...)
+ */
+function compileCondition(condition, path, errors) {
+  if (Array.isArray(condition)) {
+    return compileCondition({ in: condition }, path, errors);
+  }
+
+  if (!isPlainObject(condition)) {
+    return compileCondition({ eq: condition }, path, errors);
+  }
+
+  const checks = [];
+
+  for (const [operator, expected] of Object.entries(condition)) {
+    const opPath = `${path}.${operator}`;
+
+    if (!OPERATORS.includes(operator)) {
+      errors.push({ path: opPath, message: `unknown operator (expected ${OPERATORS.join(', ')})` });
+      continue;
+    }
+
+    switch (operator) {
+      case 'eq':
+        checks.push(value => normalize(value) === normalize(expected));
+        break;
+      case 'ne':
+        checks.push(value => normalize(value) !== normalize(expected));
+        break;
+      case 'in':
+      case 'notIn': {
+        if (!Array.isArray(expected)) {
+          errors.push({ path: opPath, message: 'expected an array' });
+          break;
+        }
+        const values = expected.map(normalize);
+        const negate = operator === 'notIn';
+        checks.push(value => values.includes(normalize(value)) !== negate);
+        break;
+      }
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte': {
+        if (typeof expected !== 'number') {
+          errors.push({ path: opPath, message: 'expected a number' });
+          break;
+        }
+        const compare = {
+          gt: value => value > expected,
+          gte: value => value >= expected,
+          lt: value => value < expected,
+          lte: value => value <= expected,
+        }[operator];
+        checks.push(value => typeof value === 'number' && compare(value));
+        break;
+      }
+      case 'contains':
+        if (typeof expected !== 'string') {
+          errors.push({ path: opPath, message: 'expected a string' });
+          break;
+        }
+        checks.push(
+          value => typeof value === 'string' && normalize(value).includes(normalize(expected))
+        );
+        break;
+      case 'matches': {
+        let pattern;
+        try {
+          pattern = new RegExp(expected, 'i');
+        } catch (error) {
+          errors.push({ path: opPath, message: `invalid regular expression: ${error.message}` });
+          break;
+        }
+        checks.push(value => typeof value === 'string' && pattern.test(value));
+        break;
+      }
+    }
+  }
+
+  return value => checks.every(check => check(value));
+}
+
+/**
+ * Compile a score condition: "1-1" or { home, away, total, diff }
+ */
+function compileScoreCondition(condition, path, errors) {
+  if (!isPlainObject(condition)) {
+    const expected = parseScore(condition);
+    if (!expected) {
+      errors.push({ path, message: 'expected a score like "1-1" or { home, away, total, diff }' });
+      return () => false;
+    }
+    return score => score?.home === expected.home && score?.away === expected.away;
+  }
+
+  const parts = [];
+  for (const [part, partCondition] of Object.entries(condition)) {
+    if (!SCORE_PARTS.includes(part)) {
+      errors.push({
+        path: `${path}.${part}`,
+        message: `unknown score field (expected ${SCORE_PARTS.join(', ')})`,
+      });
+      continue;
+    }
+    parts.push({ part, check: compileCondition(partCondition, `${path}.${part}`, errors) });
+  }
+
+  return score => {
+    if (!score) return false;
+    const values = {
+      home: score.home,
+      away: score.away,
+      total: score.home + score.away,
+      diff: Math.abs(score.home - score.away),
+    };
+    return parts.every(({ part, check }) => check(values[part]));
+  };
+}
+
+/**
+ * Compile the "when" block
+ */
+function compileWhen(when, path, errors) {
+  if (when === undefined) return () => true;
+
+  if (!isPlainObject(when)) {
+    errors.push({ path, message: 'expected an object of field conditions' });
+    return () => false;
+  }
+
+  const checks = [];
+
+  for (const [field, condition] of Object.entries(when)) {
+    const fieldPath = `${path}.${field}`;
+
+    if (!FIELDS.includes(field)) {
+      errors.push({ path: fieldPath, message: `unknown field (expected ${FIELDS.join(', ')})` });
+      continue;
+    }
+
+    if (field === 'score') {
+      const check = compileScoreCondition(condition, fieldPath, errors);
+      checks.push(event => check(parseScore(event.score)));
+    } else {
+      const check = compileCondition(condition, fieldPath, errors);
+      checks.push(event => check(resolveField(event, field)));
+    }
+  }
+
+  return event => checks.every(check => check(event));
+}
+
+/**
+ * Read a field from a normalized event (including nested goal/card data)
+ */
+function resolveField(event, field) {
+  if (field === 'player') {
+    return event.player || event.goalData?.player || event.cardData?.player;
+  }
+  if (field === 'team') {
+    return event.team || event.goalData?.team || event.cardData?.team;
+  }
+  return event[field];
+}
+
+/**
+ * Compile the "window" block: N matching incidents within M minutes
+ */
+function compileWindow(window, when, path, errors) {
+  if (window === undefined) return null;
+
+  if (!isPlainObject(window)) {
+    errors.push({ path, message: 'expected { count, minutes, eventType? }' });
+    return null;
+  }
+
+  if (!Number.isInteger(window.count) || window.count < 1) {
+    errors.push({ path: `${path}.count`, message: 'expected a positive integer' });
+  }
+
+  if (typeof window.minutes !== 'number' || window.minutes <= 0) {
+    errors.push({ path: `${path}.minutes`, message: 'expected a positive number' });
+  }
+
+  const eventTypes = window.eventType ?? when?.eventType;
+  if (eventTypes === undefined || (typeof eventTypes !== 'string' && !Array.isArray(eventTypes))) {
+    errors.push({
+      path: `${path}.eventType`,
+      message: 'expected an event type or list of event types',
+    });
+  }
+
+  const types = [].concat(eventTypes ?? []);
+
+  return (event, store) => {
+    if (typeof event.minute !== 'number') return null;
+
+    const incidents = store
+      .getIncidents(event.matchId, { types })
+      .filter(
+        incident =>
+          event.minute - incident.minute <= window.minutes && incident.minute <= event.minute
+      );
+
+    // Only the incident that reaches the count fires, later ones in the window do not
+    return incidents.length === window.count ? incidents.length : null;
+  };
+}
+
+/**
+ * Fill {{field}} placeholders
+ * Values are HTML-escaped, the template itself may contain Telegram HTML
+ */
+export function renderTemplate(template, context) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_match, key) => escapeHtml(context[key]));
+}
+
+/**
+ * Compile one rule definition
+ * Returns { name, enabled, definition, fn } and pushes validation problems into errors
+ */
+export function compileRule(definition, index = 0, errors = [], options = {}) {
+  const path = `rules[${index}]`;
+  const store = options.matchStore || matchStore;
+
+  if (!isPlainObject(definition)) {
+    errors.push({ path, message: 'expected a rule object' });
+    return null;
+  }
+
+  const label = definition.name ? `${path} (${definition.name})` : path;
+
+  Object.keys(definition)
+    .filter(key => !RULE_KEYS.includes(key))
+    .forEach(key => errors.push({ path: `${label}.${key}`, message: 'unknown property' }));
+
+  if (typeof definition.name !== 'string' || !definition.name.trim()) {
+    errors.push({ path: `${label}.name`, message: 'expected a non-empty string' });
+  }
+
+  const { alert } = definition;
+  if (!isPlainObject(alert)) {
+    errors.push({ path: `${label}.alert`, message: 'expected { message, type?, severity? }' });
+  } else {
+    if (typeof alert.message !== 'string' || !alert.message.trim()) {
+      errors.push({ path: `${label}.alert.message`, message: 'expected a non-empty string' });
+    }
+    if (alert.severity !== undefined && !SEVERITIES.includes(alert.severity)) {
+      errors.push({
+        path: `${label}.alert.severity`,
+        message: `expected one of ${SEVERITIES.join(', ')}`,
+      });
+    }
+  }
+
+  const matches = compileWhen(definition.when, `${label}.when`, errors);
+  const windowCount = compileWindow(definition.window, definition.when, `${label}.window`, errors);
+
+  // EventProcessor passes its own match store, options.matchStore is the fallback
+  const fn = (event, eventStore = store) => {
+    if (!matches(event)) return null;
+
+    let count = null;
+    if (windowCount) {
+      count = windowCount(event, eventStore);
+      if (count === null) return null;
+    }
+
+    const score = parseScore(event.score);
+    const context = {
+      ...event,
+      player: resolveField(event, 'player'),
+      team: resolveField(event, 'team'),
+      score: score ? `${score.home}-${score.away}` : event.score,
+      count,
+      minutes: definition.window?.minutes,
+      rule: definition.name,
+    };
+
+    return {
+      type: alert.type || definition.name,
+      severity: alert.severity || 'medium',
+      message: renderTemplate(alert.message, context),
+      ...(count !== null ? { count } : {}),
+    };
+  };
+
+  return {
+    name: definition.name,
+    enabled: definition.enabled !== false,
+    description: definition.description,
+    definition,
+    fn,
+  };
+}
+
+/**
+ * Compile a rules document ({ rules: [...] } or a bare array)
+ * Throws RuleValidationError listing every problem found
+ */
+export function compileRules(document, options = {}) {
+  const errors = [];
+  const definitions = Array.isArray(document) ? document : document?.rules;
+
+  if (!Array.isArray(definitions)) {
+    throw new RuleValidationError(
+      [{ path: 'rules', message: 'expected an array of rule definitions' }],
+      options.source
+    );
+  }
+
+  const compiled = definitions.map((definition, index) =>
+    compileRule(definition, index, errors, options)
+  );
+
+  const seen = new Set();
+  compiled.forEach((rule, index) => {
+    if (!rule?.name) return;
+    if (seen.has(rule.name)) {
+      errors.push({ path: `rules[${index}] (${rule.name}).name`, message: 'duplicate rule name' });
+    }
+    seen.add(rule.name);
+  });
+
+  if (errors.length > 0) {
+    throw new RuleValidationError(errors, options.source);
+  }
+
+  return compiled;
+}
+
+/**
+ * Load and compile a JSON rules file
+ */
+export function loadRulesFile(filePath, options = {}) {
+  const source = `rules file ${filePath}`;
+  let document;
+
+  try {
+    document = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new RuleValidationError([{ path: filePath, message: error.message }], source);
+  }
+
+  return compileRules(document, { ...options, source });
+}
+
+/**
+ * Register compiled rules on an EventProcessor
+ */
+export function registerRules(processor, rules) {
+  rules.forEach(rule => {
+    processor.addRule(rule.name, rule.fn);
+    if (!rule.enabled) {
+      processor.disableRule(rule.name);
+    }
+  });
+}
@@ -1,18 +1,24 @@
 import { logger } from '../src/utils/logger.js';
+import { escapeHtml } from '../src/utils/validation.js';
+import { matchStore, parseScore } from '../matchState/index.js';
 
 /**
  * Custom Rules for Event Processing
  * Add your own business logic here
+ * Rules run after EventProcessor has recorded the event in the match store,
+ * so match history comes from the store instead of private state. The
+ * processor passes its own store as the second argument.
  */
 
 /**
  * Example: Early goal rule (goal in first 15 minutes)
  */
 export const earlyGoalRule = event => {
-  if (event.eventType === 'goal' && event.minute <= 15) {
+  if (event.eventType === 'goal' && typeof event.minute === 'number' && event.minute <= 15) {
     logger.info('🚀 Early goal detected!');
     return {
       type: 'early_goal',
+      severity: 'medium',
       message: '🚀 EARLY GOAL!',
       minute: event.minute,
     };
@@ -28,6 +34,7 @@ export const lateGoalRule = event => {
     logger.info('⏰ Late goal detected!');
     return {
       type: 'late_goal',
+      severity: 'high',
       message: '⏰ LATE GOAL!',
       minute: event.minute,
     };
@@ -38,65 +45,71 @@ export const lateGoalRule = event => {
 /**
  * Example: Multiple cards in short time
  */
-export const multipleCardsRule = (() => {
-  const cardHistory = new Map();
-
-  return event => {
-    if (event.eventType !== 'yellow_card' && event.eventType !== 'red_card') {
-      return null;
-    }
-
-    const matchId = event.matchId;
-    if (!cardHistory.has(matchId)) {
-      cardHistory.set(matchId, []);
-    }
-
-    const cards = cardHistory.get(matchId);
-    cards.push({ minute: event.minute, type: event.eventType });
-
-    // Check for 3+ cards in 10 minutes
-    const recentCards = cards.filter(c => event.minute - c.minute <= 10);
-
-    if (recentCards.length >= 3) {
-      logger.info('🔥 Multiple cards detected!');
-      return {
-        type: 'card_storm',
-        message: '🔥 CARD STORM! Multiple cards in short time',
-        count: recentCards.length,
-      };
-    }
-
+export const multipleCardsRule = (event, store = matchStore) => {
+  if (event.eventType !== 'yellow_card' && event.eventType !== 'red_card') {
     return null;
-  };
-})();
+  }
+
+  const cards = store.getIncidents(event.matchId, { types: ['yellow_card', 'red_card'] });
+
+  // Check for 3+ cards in 10 minutes
+  const recentCards = cards.filter(c => event.minute - c.minute <= 10);
+
+  if (recentCards.length >= 3) {
+    logger.info('🔥 Multiple cards detected!');
+    return {
+      type: 'card_storm',
+      severity: 'medium',
+      message: '🔥 CARD STORM! Multiple cards in short time',
+      count: recentCards.length,
+    };
+  }
+
+  return null;
+};
+
+// Players that already got a hat-trick alert, per match state (dropped with it)
+const hatTricks = new WeakMap();
 
 /**
  * Example: Hat-trick detection
+ * SofaScore goals arrive without a scorer, which follows in a goal_update,
+ * so both count once the scorer is known. Details of earlier goals can still
+ * arrive after the third one, so each player is alerted once per match.
  */
-export const hatTrickRule = (() => {
-  const playerGoals = new Map();
-
-  return event => {
-    if (event.eventType !== 'goal' || !event.goalData?.player) {
-      return null;
-    }
-
-    const key = `${event.matchId}:${event.goalData.player}`;
-    const count = (playerGoals.get(key) || 0) + 1;
-    playerGoals.set(key, count);
-
-    if (count === 3) {
-      logger.info('🎩 Hat-trick detected!');
-      return {
-        type: 'hat_trick',
-        message: `🎩 HAT-TRICK! ${event.goalData.player}`,
-        player: event.goalData.player,
-      };
-    }
-
+export const hatTrickRule = (event, store = matchStore) => {
+  const player = event.player || event.goalData?.player;
+  if (!['goal', 'goal_update'].includes(event.eventType) || !player) {
     return null;
+  }
+
+  const goals = store.getIncidents(event.matchId, { types: 'goal', player });
+
+  // Only an event whose goal (identified by its score) is one of the player's
+  const scored = parseScore(event.score);
+  const isThisGoal = goal => {
+    const score = parseScore(goal.score);
+    return !scored || (score?.home === scored.home && score?.away === scored.away);
   };
-})();
+
+  const state = store.get(event.matchId);
+  const alerted = hatTricks.get(state) || new Set();
+
+  if (goals.length >= 3 && goals.some(isThisGoal) && !alerted.has(player)) {
+    alerted.add(player);
+    hatTricks.set(state, alerted);
+
+    logger.info('🎩 Hat-trick detected!');
+    return {
+      type: 'hat_trick',
+      severity: 'high',
+      message: `🎩 HAT-TRICK! ${escapeHtml(player)}`,
+      player,
+    };
+  }
+
+  return null;
+};
 
 /**
  * Export all rules
@@ -0,0 +1,109 @@
+/**
+ * Card Incident Test
+ * Drives SofaScoreCollector's card detection with SofaScore counter frames
+ * and a stubbed incidents feed (no browser). Checks team attribution, second
+ * yellows, cards without an incident, and that a counter change arriving
+ * while an earlier card is still being looked up gets its own incident.
+ * Run with: node examples/test-card-incidents.js
+ */
+
+import { SofaScoreCollector } from '../dataCollector/SofaScoreCollector.js';
+import { CollectorEvents } from '../dataCollector/CollectorContract.js';
+import { MatchStateStore } from '../matchState/index.js';
+import { logger } from '../src/utils/index.js';
+
+const MATCH_ID = '9';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const store = new MatchStateStore();
+store.upsert(MATCH_ID, { source: 'sofascore', homeTeam: 'Arsenal', awayTeam: 'Chelsea' });
+
+const collector = new SofaScoreCollector({ matchStore: store, enrichmentDelays: [0, 30, 30] });
+collector.isRunning = true;
+
+let incidents = [];
+collector.fetchIncidents = async () => ({ incidents });
+
+const card = (id, incidentClass, isHome, player, time) => ({
+  id,
+  incidentType: 'card',
+  incidentClass,
+  isHome,
+  player: { name: player },
+  time,
+});
+
+let cards = [];
+collector.on(CollectorEvents.DATA, event => cards.push(event));
+
+const frame = counters => collector.handleMatchUpdate({ id: Number(MATCH_ID), ...counters });
+
+// Waits for every card enrichment started by the frames
+const collect = async (frames, wait = 150) => {
+  cards = [];
+  for (const counters of frames) await frame(counters);
+  await sleep(wait);
+  return cards.map(event => `${event.eventType}:${event.team}:${event.player}`).sort();
+};
+
+const check = (label, passed, details = '') => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}${passed ? '' : ` ${details}`}`);
+  return passed;
+};
+
+const same = (actual, expected) => JSON.stringify(actual) === JSON.stringify([...expected].sort());
+
+const passed = [];
+
+// First counters are a baseline
+let result = await collect([
+  { homeYellowCards: 0, awayYellowCards: 0, homeRedCards: 0, awayRedCards: 0 },
+]);
+passed.push(check('Baseline counters emit nothing', result.length === 0, JSON.stringify(result)));
+
+incidents = [card(1, 'yellow', false, 'Caicedo', 30)];
+result = await collect([{ awayYellowCards: 1 }]);
+passed.push(
+  check('Away yellow', same(result, ['yellow_card:away:Caicedo']), JSON.stringify(result))
+);
+
+// A home and an away yellow: the home incident is there at once, the away
+// one lags. Another home yellow (whose incident never shows up) arrives while
+// the first frame is still retrying; it must not take the first one's incident.
+incidents = [card(1, 'yellow', false, 'Caicedo', 30), card(2, 'yellow', true, 'Rice', 40)];
+setTimeout(() => {
+  incidents = [...incidents, card(3, 'yellow', false, 'Palmer', 41)];
+}, 20);
+cards = [];
+await frame({ homeYellowCards: 1, awayYellowCards: 2 });
+await sleep(10);
+const secondFrameAt = Date.now();
+result = await collect([{ homeYellowCards: 2 }]);
+const rice = cards.find(event => event.player === 'Rice');
+passed.push(
+  check(
+    'Card incidents claimed during retries',
+    same(result, [
+      'yellow_card:away:Palmer',
+      'yellow_card:home:Rice',
+      'yellow_card:home:Unknown',
+    ]) && rice.frameTimestamp < secondFrameAt,
+    JSON.stringify(result)
+  )
+);
+
+// A second yellow raises both away counters: one red card, no extra yellow
+incidents = [...incidents, card(4, 'yellowRed', false, 'Caicedo', 60)];
+result = await collect([{ awayYellowCards: 3, awayRedCards: 1 }]);
+passed.push(
+  check('Second yellow', same(result, ['red_card:away:Caicedo']), JSON.stringify(result)) &&
+    check('Second yellow flag', cards[0]?.cardData?.secondYellow === true)
+);
+
+// No incident ever shows up: the card is still emitted
+result = await collect([{ homeRedCards: 1 }], 200);
+passed.push(
+  check('Card without incident', same(result, ['red_card:home:Unknown']), JSON.stringify(result))
+);
+
+process.exit(passed.every(Boolean) ? 0 : 1);
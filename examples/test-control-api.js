@@ -0,0 +1,151 @@
+/**
+ * Control API Test
+ * Serves the ControlApi on a local port with a stub pipeline and its own
+ * match store, and checks auth, routing, parameter errors, collector
+ * restarts and rule toggles.
+ * Run with: node examples/test-control-api.js
+ */
+
+import http from 'http';
+import { ControlApi } from '../src/api.js';
+import { EventProcessor, defaultRules } from '../eventProcessor/index.js';
+import { MatchStateStore } from '../matchState/index.js';
+import { logger } from '../src/utils/index.js';
+
+const TOKEN = 'test-token';
+
+const store = new MatchStateStore();
+store.upsert('1', { homeTeam: 'Arsenal', awayTeam: 'Chelsea' });
+store.addIncident('1', { type: 'goal', team: 'home', minute: 12 });
+
+const processor = new EventProcessor({ matchStore: store });
+processor.addRule('hatTrickRule', defaultRules.hatTrickRule);
+
+const alerts = [1000, 2000, 3000].map(timestamp => ({ type: 'goal', timestamp }));
+const restarted = [];
+const pipeline = {
+  processor,
+  collectors: [{ name: 'sofascore' }],
+  getStatus: () => ({ running: true }),
+  getRecentAlerts: ({ since = 0, limit = 200 } = {}) =>
+    alerts.filter(alert => alert.timestamp >= since).slice(-limit),
+  restartCollector: async name => {
+    restarted.push(name);
+    return { connected: true };
+  },
+};
+
+const api = new ControlApi({ token: TOKEN, matchStore: store });
+const disabled = new ControlApi({ matchStore: store, pipeline });
+
+const server = http.createServer(async (req, res) => {
+  const target = req.url.startsWith('/disabled') ? disabled : api;
+  req.url = req.url.replace(/^\/disabled/, '');
+  if (!(await target.handle(req, res))) {
+    res.writeHead(404);
+    res.end();
+  }
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+const request = async (method, path, token = TOKEN) => {
+  const response = await fetch(`${base}${path}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+};
+
+const check = (label, passed, details = '') => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}${passed ? '' : ` ${details}`}`);
+  return passed;
+};
+
+const passed = [];
+
+let response = await request('GET', '/disabled/status');
+passed.push(check('No API_TOKEN disables the API', response.status === 503));
+
+response = await request('GET', '/status', null);
+passed.push(check('Missing token is rejected', response.status === 401));
+
+response = await request('GET', '/status', 'wrong-token');
+passed.push(check('Wrong token is rejected', response.status === 401));
+
+response = await request('GET', '/status');
+passed.push(check('Pipeline still starting', response.status === 503, JSON.stringify(response)));
+
+api.setPipeline(pipeline);
+
+response = await request('GET', '/status');
+passed.push(check('Status', response.status === 200 && response.body.running === true));
+
+response = await request('GET', '/matches');
+passed.push(
+  check(
+    'Matches without incidents',
+    response.body.count === 1 &&
+      response.body.matches[0].incidentCount === 1 &&
+      !response.body.matches[0].incidents,
+    JSON.stringify(response.body)
+  )
+);
+
+response = await request('GET', '/matches/1');
+passed.push(check('One match with incidents', response.body.incidents?.length === 1));
+
+response = await request('GET', '/matches/404');
+passed.push(check('Unknown match', response.status === 404));
+
+response = await request('GET', '/alerts?since=2000&limit=1');
+passed.push(
+  check(
+    'Alerts since and limit',
+    response.body.count === 1 && response.body.alerts[0].timestamp === 3000,
+    JSON.stringify(response.body)
+  )
+);
+
+response = await request('GET', '/alerts?since=yesterday');
+passed.push(check('Bad since', response.status === 400));
+
+response = await request('GET', '/alerts?limit=0');
+passed.push(check('Bad limit', response.status === 400));
+
+response = await request('GET', '/collectors/sofascore/restart');
+passed.push(check('Wrong method', response.status === 405));
+
+response = await request('POST', '/collectors/sofascore/restart');
+passed.push(
+  check(
+    'Collector restart',
+    response.status === 200 && restarted.join() === 'sofascore',
+    JSON.stringify(response)
+  )
+);
+
+response = await request('POST', '/collectors/bwin/restart');
+passed.push(check('Unknown collector', response.status === 404));
+
+response = await request('POST', '/collectors/%E0/restart');
+passed.push(check('Malformed path parameter', response.status === 400, JSON.stringify(response)));
+
+response = await request('POST', '/rules/hatTrickRule/disable');
+passed.push(
+  check(
+    'Rule disabled',
+    response.body.enabled === false && !processor.isRuleEnabled('hatTrickRule'),
+    JSON.stringify(response.body)
+  )
+);
+
+response = await request('POST', '/rules/hatTrickRule/enable');
+passed.push(check('Rule enabled', response.body.enabled === true));
+
+response = await request('POST', '/rules/noSuchRule/enable');
+passed.push(check('Unknown rule', response.status === 404));
+
+server.close();
+process.exit(passed.every(Boolean) ? 0 : 1);
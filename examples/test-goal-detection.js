@@ -0,0 +1,84 @@
+/**
+ * Goal Detection Test
+ * Drives SofaScoreCollector's score tracking with SofaScore frames and a
+ * stubbed incidents feed (no browser). Checks frames that carry only one
+ * side's score, frames that raise both scores, and that a goal arriving with a
+ * score correction is emitted before the correction.
+ * Run with: node examples/test-goal-detection.js
+ */
+
+import { SofaScoreCollector } from '../dataCollector/SofaScoreCollector.js';
+import { CollectorEvents } from '../dataCollector/CollectorContract.js';
+import { MatchStateStore } from '../matchState/index.js';
+import { logger } from '../src/utils/index.js';
+
+const MATCH_ID = '9';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const store = new MatchStateStore();
+store.upsert(MATCH_ID, { source: 'sofascore', homeTeam: 'Arsenal', awayTeam: 'Chelsea' });
+
+const collector = new SofaScoreCollector({ matchStore: store, enrichmentDelays: [0] });
+collector.isRunning = true;
+
+// Incident lookups are slow, like the real API
+collector.fetchIncidents = async () => {
+  await sleep(30);
+  return { incidents: [] };
+};
+
+let events = [];
+collector.on(CollectorEvents.DATA, event => {
+  if (['goal', 'score_correction'].includes(event.eventType)) events.push(event);
+});
+
+const collect = async (frame, wait = 100) => {
+  events = [];
+  await collector.handleMatchUpdate({ id: Number(MATCH_ID), ...frame });
+  await sleep(wait);
+  return events.map(event => `${event.eventType}:${event.team}:${event.score}`);
+};
+
+const check = (label, passed, details = '') => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}${passed ? '' : ` ${details}`}`);
+  return passed;
+};
+
+const same = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
+const passed = [];
+
+// First score is a baseline
+let result = await collect({ 'homeScore.current': 0, 'awayScore.current': 1 });
+passed.push(check('Baseline score emits nothing', result.length === 0, JSON.stringify(result)));
+
+// Frames with only the side that changed
+result = await collect({ 'homeScore.current': 1 });
+passed.push(
+  check('Home goal in a partial frame', same(result, ['goal:home:1-1']), JSON.stringify(result))
+);
+
+result = await collect({ 'awayScore.current': 1 });
+passed.push(check('Unchanged side emits nothing', result.length === 0, JSON.stringify(result)));
+
+// Both scores up in one frame
+result = await collect({ 'homeScore.current': 2, 'awayScore.current': 2 });
+passed.push(
+  check(
+    'One goal per team',
+    same(result, ['goal:home:2-1', 'goal:away:2-2']),
+    JSON.stringify(result)
+  )
+);
+
+// Home goal disallowed while the away side scores
+result = await collect({ 'homeScore.current': 1, 'awayScore.current': 3 });
+passed.push(
+  check(
+    'Goal first, then the correction',
+    same(result, ['goal:away:1-3', 'score_correction:home:1-3']),
+    JSON.stringify(result)
+  )
+);
+
+process.exit(passed.every(Boolean) ? 0 : 1);
@@ -0,0 +1,107 @@
+/**
+ * Hat-trick Rule Test
+ * Feeds goals through EventProcessor the way SofaScore sends them: the goal
+ * first without a scorer, its details later in a goal_update. Checks that the
+ * hat-trick alert fires once, on the update that names the third goal's scorer,
+ * also when goal details arrive late or out of order.
+ * Run with: node examples/test-hat-trick.js
+ */
+
+import { EventProcessor, defaultRules } from '../eventProcessor/index.js';
+import { MatchStateStore } from '../matchState/index.js';
+import { logger } from '../src/utils/index.js';
+
+const MATCH_ID = 'hat-trick-test';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Own match store (the rule must read the processor's store, not the shared
+// one) and a short dedup window, so late updates are not dropped as duplicates
+const store = new MatchStateStore();
+const processor = new EventProcessor({ cacheTimeout: 1, matchStore: store });
+processor.addRule('hatTrickRule', defaultRules.hatTrickRule);
+
+const hatTricks = [];
+processor.on('alert', alert => {
+  if (alert.type === 'hat_trick') hatTricks.push(alert);
+});
+
+let timestamp = Date.now();
+const base = {
+  matchId: MATCH_ID,
+  source: 'sofascore',
+  homeTeam: 'Arsenal',
+  awayTeam: 'Chelsea',
+};
+
+const goal = (score, minute, team = 'home') =>
+  processor.process({
+    ...base,
+    timestamp: timestamp++,
+    eventType: 'goal',
+    team,
+    score,
+    minute,
+  });
+
+const goalUpdate = (score, minute, player, team = 'home') =>
+  processor.process({
+    ...base,
+    timestamp: timestamp++,
+    eventType: 'goal_update',
+    team,
+    score,
+    minute,
+    player,
+    goalData: { goalType: 'regular' },
+  });
+
+const check = (label, passed, details = '') => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}${passed ? '' : ` ${details}`}`);
+  return passed;
+};
+
+const passed = [];
+
+await goal('1-0', 12);
+await goalUpdate('1-0', 12, 'Saka');
+await goal('2-0', 34);
+await goalUpdate('2-0', 34, 'Saka');
+await goal('3-0', 71);
+passed.push(check('No hat-trick before the third scorer is known', hatTricks.length === 0));
+
+await goalUpdate('3-0', 71, 'Saka');
+passed.push(
+  check(
+    'Hat-trick on the third goal update',
+    hatTricks.length === 1 && hatTricks[0].data.player === 'Saka',
+    JSON.stringify(hatTricks.map(alert => alert.data))
+  )
+);
+
+// Another player's goal leaves the count at three
+await goal('4-0', 80);
+await goalUpdate('4-0', 80, 'Odegaard');
+passed.push(check('No repeat on later goals', hatTricks.length === 1));
+
+// Enrichment retries can deliver an earlier goal's details again much later
+await sleep(5);
+await goalUpdate('2-0', 34, 'Saka');
+passed.push(check('No repeat on a late update of an earlier goal', hatTricks.length === 1));
+
+// Details of the away side's second goal arrive after the third goal's
+await goal('4-1', 81, 'away');
+await goalUpdate('4-1', 81, 'Palmer', 'away');
+await goal('4-2', 84, 'away');
+await goal('4-3', 88, 'away');
+await goalUpdate('4-3', 88, 'Palmer', 'away');
+await goalUpdate('4-2', 84, 'Palmer', 'away');
+passed.push(
+  check(
+    'Hat-trick when goal details arrive out of order',
+    hatTricks.length === 2 && hatTricks[1].data.player === 'Palmer',
+    JSON.stringify(hatTricks.map(alert => alert.data))
+  )
+);
+
+process.exit(passed.every(Boolean) ? 0 : 1);
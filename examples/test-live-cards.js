@@ -0,0 +1,140 @@
+/**
+ * Live Match Cards Test
+ * Drives LiveMatchCards from match store updates with a stub notifier (no
+ * Telegram). Checks which matches get a card, that the card is sent and
+ * pinned once, then edited (throttled, HTML escaped), that card alerts are
+ * folded into it, and that it is unpinned at full time or when the match
+ * expires from the store without finishing.
+ * Run with: node examples/test-live-cards.js
+ */
+
+import { LiveMatchCards } from '../notificationDispatcher/LiveMatchCards.js';
+import { MatchStateStore } from '../matchState/index.js';
+import { logger } from '../src/utils/index.js';
+
+const CHAT_ID = '-100';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const calls = [];
+const notifier = {
+  chatId: CHAT_ID,
+  enqueue: async (chatId, text) => {
+    calls.push({ method: 'send', chatId, text });
+    return { message_id: 7 };
+  },
+  enqueueEdit: async (chatId, messageId, text) => {
+    calls.push({ method: 'edit', chatId, messageId, text });
+  },
+  pinMessage: async (chatId, messageId) => calls.push({ method: 'pin', chatId, messageId }),
+  unpinMessage: async (chatId, messageId) => calls.push({ method: 'unpin', chatId, messageId }),
+};
+
+const store = new MatchStateStore();
+const processor = { followedTeams: ['girona'], mutedMatches: new Set(['3']) };
+const cards = new LiveMatchCards(notifier, {
+  matchStore: store,
+  processor,
+  teams: ['Arsenal'],
+  editInterval: 200,
+});
+cards.start();
+
+const check = (label, passed, details = '') => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}${passed ? '' : ` ${details}`}`);
+  return passed;
+};
+
+const methods = () => calls.map(call => call.method);
+const lastText = () => calls.filter(call => call.text).at(-1)?.text || '';
+
+const passed = [];
+
+// Which matches are followed
+store.upsert('1', { homeTeam: 'Arsenal', awayTeam: 'Chelsea', tournament: 'Premier League' });
+store.upsert('2', { homeTeam: 'Barcelona', awayTeam: 'Girona' });
+store.upsert('3', { homeTeam: 'Arsenal', awayTeam: 'Spurs' });
+store.upsert('4', { homeTeam: 'Lyon', awayTeam: 'Nice' });
+
+passed.push(
+  check(
+    'LIVE_CARD_TEAMS, /follow and /mute decide the followed matches',
+    ['1', '2', '3', '4'].map(id => cards.isFollowed(store.get(id))).join() ===
+      'true,true,false,false'
+  )
+);
+
+// First update sends and pins the card
+store.setScore('1', '0-0');
+await sleep(20);
+passed.push(
+  check(
+    'Card is sent and pinned',
+    methods().join() === 'send,pin' && calls[0].chatId === CHAT_ID,
+    JSON.stringify(calls)
+  )
+);
+
+// Cards for the followed match are folded into it, in its chat only
+passed.push(
+  check(
+    'Card alerts are folded into the card',
+    cards.covers({ type: 'yellow_card', matchId: '1' }, CHAT_ID) &&
+      !cards.covers({ type: 'yellow_card', matchId: '1' }, '-200') &&
+      !cards.covers({ type: 'goal', matchId: '1' }, CHAT_ID) &&
+      !cards.covers({ type: 'yellow_card', matchId: '4' }, CHAT_ID)
+  )
+);
+
+// Incidents edit after the 1s minimum, clock ticks are coalesced
+calls.length = 0;
+store.setScore('1', '1-0');
+store.addIncident('1', { type: 'goal', team: 'home', player: 'Saka <Jr>', minute: 12 });
+store.addIncident('1', { type: 'yellow_card', team: 'away', player: 'Palmer', minute: 20 });
+store.setClock('1', { minute: 21 });
+await sleep(500);
+passed.push(check('Edits wait for the next slot', calls.length === 0, methods()));
+
+await sleep(800);
+const text = lastText();
+passed.push(
+  check(
+    'One edit with the goal and the card',
+    methods().join() === 'edit' &&
+      text.includes('Arsenal 1 - 0 Chelsea') &&
+      text.includes("⚽ Saka &lt;Jr&gt; 12' (Arsenal)") &&
+      text.includes("🟨 Palmer 20' (Chelsea)"),
+    JSON.stringify(calls)
+  )
+);
+
+// Full time: last edit, then unpin
+calls.length = 0;
+store.setStatus('1', { type: 'finished', description: 'Ended' });
+await sleep(1200);
+passed.push(
+  check(
+    'Full time edits and unpins the card',
+    methods().join() === 'edit,unpin' &&
+      lastText().includes('FULL TIME') &&
+      cards.getStatus().matches.length === 0,
+    JSON.stringify(calls)
+  )
+);
+
+// A match that expires without finishing drops its card and pending edit
+store.setScore('2', '0-0');
+await sleep(20);
+calls.length = 0;
+store.setClock('2', { minute: 30 });
+store.sweep(Date.now() + 365 * 24 * 60 * 60 * 1000);
+await sleep(1200);
+passed.push(
+  check(
+    'Expired match drops its card',
+    methods().join() === 'unpin' && cards.getStatus().matches.length === 0,
+    JSON.stringify({ calls, matches: cards.getStatus().matches })
+  )
+);
+
+cards.stop();
+process.exit(passed.every(Boolean) ? 0 : 1);
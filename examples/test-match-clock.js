@@ -0,0 +1,123 @@
+/**
+ * Match Clock Test
+ * Runs SofaScore frame and API fixtures through dataCollector/matchClock.js
+ * at fixed times and checks period, minute and stoppage time.
+ * Run with: node examples/test-match-clock.js
+ */
+
+import {
+  computeMatchClock,
+  mergeClockFields,
+  readClockFields,
+} from '../dataCollector/matchClock.js';
+import { logger } from '../src/utils/index.js';
+
+const FIRST_HALF_START = 1700000000; // SofaScore timestamps are in seconds
+const SECOND_HALF_START = FIRST_HALF_START + 62 * 60;
+const EXTRA_TIME_START = SECOND_HALF_START + 55 * 60;
+
+const at = (periodStart, minutes, seconds = 0) => (periodStart + minutes * 60 + seconds) * 1000;
+
+// [label, payload, now, expected clock fields]
+const fixtures = [
+  [
+    'Live frame, first half',
+    { id: 1, 'status.code': 6, 'time.currentPeriodStartTimestamp': FIRST_HALF_START },
+    at(FIRST_HALF_START, 22, 30),
+    { period: 'first_half', minute: 23, addedTime: null, running: true },
+  ],
+  [
+    'Live frame, first-half stoppage time',
+    {
+      'status.code': 6,
+      'time.currentPeriodStartTimestamp': FIRST_HALF_START,
+      'time.injuryTime1': 3,
+    },
+    at(FIRST_HALF_START, 47, 10),
+    { period: 'first_half', minute: 45, addedTime: 3, announcedAddedTime: 3 },
+  ],
+  [
+    'API event, second half with period bounds',
+    {
+      status: { code: 7, description: '2nd half', type: 'inprogress' },
+      time: { currentPeriodStartTimestamp: SECOND_HALF_START, initial: 2700, max: 5400 },
+    },
+    at(SECOND_HALF_START, 20),
+    { period: 'second_half', minute: 66, addedTime: null },
+  ],
+  [
+    'API event, second-half stoppage time',
+    {
+      status: { code: 7 },
+      time: { currentPeriodStartTimestamp: SECOND_HALF_START, injuryTime2: 5 },
+    },
+    at(SECOND_HALF_START, 49, 5),
+    { period: 'second_half', minute: 90, addedTime: 5, announcedAddedTime: 5 },
+  ],
+  [
+    'Half-time break',
+    { 'status.code': 31, statusDescription: 'Halftime' },
+    at(FIRST_HALF_START, 50),
+    { period: 'half_time', minute: 45, running: false },
+  ],
+  [
+    'Extra time with stoppage',
+    {
+      status: { code: 41 },
+      time: { currentPeriodStartTimestamp: EXTRA_TIME_START, initial: 5400, max: 6300 },
+    },
+    at(EXTRA_TIME_START, 16),
+    { period: 'extra_time_first_half', minute: 105, addedTime: 2 },
+  ],
+  [
+    'Penalty shootout',
+    { 'status.code': 50 },
+    at(EXTRA_TIME_START, 40),
+    { period: 'penalties', minute: 120, running: false },
+  ],
+  [
+    'Displayed minute without a period start',
+    { 'status.code': 6, statusDescription: "45+2'" },
+    at(FIRST_HALF_START, 48),
+    { period: 'first_half', minute: 45, addedTime: 2 },
+  ],
+];
+
+const check = (label, passed, details = '') => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}${passed ? '' : ` ${details}`}`);
+  return passed;
+};
+
+const matches = (clock, expected) =>
+  clock !== null && Object.entries(expected).every(([field, value]) => clock[field] === value);
+
+const passed = fixtures.map(([label, payload, now, expected]) => {
+  const clock = computeMatchClock(readClockFields(payload), now);
+  return check(label, matches(clock, expected), JSON.stringify(clock));
+});
+
+// Second-half restart: the status frame arrives before the new period start time
+let fields = readClockFields({
+  'status.code': 6,
+  'time.currentPeriodStartTimestamp': FIRST_HALF_START,
+});
+fields = mergeClockFields(fields, readClockFields({ 'status.code': 7 }));
+const beforeStart = computeMatchClock(fields, at(SECOND_HALF_START, 0, 5));
+
+fields = mergeClockFields(
+  fields,
+  readClockFields({ 'time.currentPeriodStartTimestamp': SECOND_HALF_START })
+);
+const afterStart = computeMatchClock(fields, at(SECOND_HALF_START, 0, 30));
+
+passed.push(
+  check(
+    'Second-half restart',
+    matches(beforeStart, { period: 'second_half', minute: null }) &&
+      matches(afterStart, { period: 'second_half', minute: 46, addedTime: null }),
+    JSON.stringify({ beforeStart, afterStart })
+  ),
+  check('Not started', computeMatchClock(readClockFields({ 'status.code': 0 })) === null)
+);
+
+process.exit(passed.every(Boolean) ? 0 : 1);
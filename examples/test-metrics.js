@@ -0,0 +1,93 @@
+/**
+ * Metrics Endpoint Test
+ * Serves the ControlApi on a local port before any pipeline is attached and
+ * scrapes /metrics like Prometheus: open without METRICS_TOKEN, bearer token
+ * when one is set, counters and histograms in the text format.
+ * Run with: node examples/test-metrics.js
+ */
+
+import http from 'http';
+import { ControlApi } from '../src/api.js';
+import { logger, pipelineMetrics } from '../src/utils/index.js';
+
+const check = (label, passed, details = '') => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}${passed ? '' : ` ${details}`}`);
+  return passed;
+};
+
+// One API without tokens, one with API_TOKEN and METRICS_TOKEN, no pipeline yet
+const open = new ControlApi();
+const guarded = new ControlApi({ token: 'api-token', metricsToken: 'scrape-token' });
+
+const server = http.createServer(async (req, res) => {
+  const api = req.url.startsWith('/guarded') ? guarded : open;
+  req.url = req.url.replace(/^\/guarded/, '');
+  if (!(await api.handle(req, res))) {
+    res.writeHead(404);
+    res.end();
+  }
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+const get = async (path, token) => {
+  const response = await fetch(`${base}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  return {
+    status: response.status,
+    type: response.headers.get('content-type'),
+    body: await response.text(),
+  };
+};
+
+pipelineMetrics.events.inc({ source: 'sofascore', event_type: 'goal' });
+pipelineMetrics.events.inc({ source: 'sofascore', event_type: 'goal' });
+pipelineMetrics.latency.observe({ stage: 'frame_to_delivered', outcome: 'success' }, 0.12);
+
+const passed = [];
+
+let response = await get('/metrics');
+passed.push(
+  check(
+    'Metrics without API_TOKEN or pipeline',
+    response.status === 200 && response.type.startsWith('text/plain'),
+    `${response.status} ${response.body}`
+  )
+);
+passed.push(
+  check(
+    'Counter in text format',
+    response.body.includes('# TYPE sports_events_total counter') &&
+      response.body.includes('sports_events_total{source="sofascore",event_type="goal"} 2'),
+    response.body
+  )
+);
+passed.push(
+  check(
+    'Histogram buckets, sum and count',
+    response.body.includes(
+      'sports_pipeline_latency_seconds_bucket{stage="frame_to_delivered",outcome="success",le="0.2"} 1'
+    ) &&
+      response.body.includes(
+        'sports_pipeline_latency_seconds_count{stage="frame_to_delivered",outcome="success"} 1'
+      ),
+    response.body
+  )
+);
+
+response = await get('/status');
+passed.push(check('Other routes still need API_TOKEN', response.status === 503, response.body));
+
+response = await get('/guarded/metrics');
+passed.push(check('METRICS_TOKEN required when set', response.status === 401, response.body));
+
+response = await get('/guarded/metrics', 'api-token');
+passed.push(check('API_TOKEN does not open /metrics', response.status === 401, response.body));
+
+response = await get('/guarded/metrics', 'scrape-token');
+passed.push(check('METRICS_TOKEN accepted', response.status === 200, response.body));
+
+server.close();
+process.exit(passed.every(Boolean) ? 0 : 1);
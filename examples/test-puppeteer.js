@@ -22,12 +22,12 @@ async function testPuppeteer() {
 
   // Listen for WebSocket messages
   let messageCount = 0;
-  collector.on('data', ({ source, data }) => {
+  collector.on('frame', ({ source, payload }) => {
     messageCount++;
     logger.info(`\n📨 Message #${messageCount} from ${source}:`);
 
     // Show the parsed data
-    const dataStr = JSON.stringify(data, null, 2);
+    const dataStr = JSON.stringify(payload, null, 2);
     if (dataStr.length > 1000) {
       logger.info(dataStr.substring(0, 1000) + '... (truncated)');
     } else {
@@ -0,0 +1,169 @@
+/**
+ * Rule Compiler Test
+ * Compiles declarative rules (examples/rules.example.json and inline
+ * definitions) and checks validation errors, `when` matching, templates and
+ * `window` counting against a match store of its own.
+ * Run with: node examples/test-rule-compiler.js
+ */
+
+import { fileURLToPath } from 'url';
+import {
+  compileRules,
+  loadRulesFile,
+  RuleValidationError,
+} from '../eventProcessor/ruleCompiler.js';
+import { MatchStateStore } from '../matchState/index.js';
+import { logger } from '../src/utils/index.js';
+
+const MATCH_ID = 'rules-test';
+
+const store = new MatchStateStore();
+store.upsert(MATCH_ID, { homeTeam: 'Arsenal', awayTeam: 'Chelsea' });
+
+const check = (label, passed, details = '') => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}${passed ? '' : ` ${details}`}`);
+  return passed;
+};
+
+// Validation problems as "path: message" lines (empty when the document compiles)
+const problems = document => {
+  try {
+    compileRules(document, { matchStore: store });
+    return [];
+  } catch (error) {
+    return error instanceof RuleValidationError
+      ? error.errors.map(({ path, message }) => `${path}: ${message}`)
+      : [`unexpected ${error.message}`];
+  }
+};
+
+const passed = [];
+
+// Parsing the example file
+const example = loadRulesFile(fileURLToPath(new URL('./rules.example.json', import.meta.url)), {
+  matchStore: store,
+});
+passed.push(
+  check(
+    'Example rules file compiles',
+    example.map(rule => `${rule.name}:${rule.enabled}`).join() ===
+      'card_storm:true,late_equaliser:true,big_league_early_goal:false',
+    JSON.stringify(example.map(rule => rule.name))
+  )
+);
+
+// Validation errors point at the offending rule
+passed.push(
+  check(
+    'Document without rules is rejected',
+    problems({ rule: [] }).join() === 'rules: expected an array of rule definitions'
+  )
+);
+
+const errors = problems([
+  {
+    name: 'late_goal',
+    when: { minute: { gtee: 80 }, weather: 'rain' },
+    alert: { message: 'x', severity: 'urgent' },
+  },
+  { name: 'late_goal', alert: { message: 'again' } },
+  { name: 'bad_window', window: { count: 0, minutes: 10 }, alert: {} },
+]);
+const expected = [
+  'rules[0] (late_goal).when.minute.gtee: unknown operator',
+  'rules[0] (late_goal).when.weather: unknown field',
+  'rules[0] (late_goal).alert.severity: expected one of',
+  'rules[2] (bad_window).alert.message: expected a non-empty string',
+  'rules[2] (bad_window).window.count: expected a positive integer',
+  'rules[2] (bad_window).window.eventType: expected an event type',
+  'rules[1] (late_goal).name: duplicate rule name',
+];
+passed.push(
+  check(
+    'Every validation problem is listed by path',
+    errors.length === expected.length &&
+      expected.every(prefix => errors.some(error => error.startsWith(prefix))),
+    JSON.stringify(errors, null, 2)
+  )
+);
+
+// `when` matching and templates
+const [lateEqualiser] = example.filter(rule => rule.name === 'late_equaliser');
+const goal = fields => ({
+  matchId: MATCH_ID,
+  eventType: 'goal',
+  homeTeam: 'Arsenal',
+  awayTeam: 'Chelsea',
+  ...fields,
+});
+
+let result = lateEqualiser.fn(goal({ minute: 85, score: '1-1', goalData: { player: 'Saka <7>' } }));
+passed.push(
+  check(
+    'Matching event renders the escaped template',
+    result?.type === 'late_equaliser' &&
+      result.severity === 'high' &&
+      result.message === "⚖️ <b>LATE EQUALISER!</b> Saka &lt;7&gt; levels it at 1-1 (85')",
+    JSON.stringify(result)
+  )
+);
+passed.push(
+  check(
+    'Non-matching events are skipped',
+    lateEqualiser.fn(goal({ minute: 85, score: '2-1' })) === null &&
+      lateEqualiser.fn(goal({ minute: 70, score: '1-1' })) === null &&
+      lateEqualiser.fn(goal({ eventType: 'red_card', minute: 85, score: '1-1' })) === null
+  )
+);
+
+const [bigLeague] = example.filter(rule => rule.name === 'big_league_early_goal');
+passed.push(
+  check(
+    'String conditions are case-insensitive',
+    bigLeague.fn(goal({ minute: 3, score: '1-0', tournament: 'premier league' })) !== null &&
+      bigLeague.fn(goal({ minute: 3, score: '1-0', tournament: 'Ligue 1' })) === null
+  )
+);
+
+const [pattern] = compileRules([
+  {
+    name: 'derby',
+    when: { homeTeam: { matches: '^(arsenal|spurs)$' }, team: ['away'] },
+    alert: { message: '{{teamName}}' },
+  },
+]);
+passed.push(
+  check(
+    'Regex and list conditions',
+    pattern.fn(goal({ team: 'away', teamName: 'Chelsea' }))?.message === 'Chelsea' &&
+      pattern.fn(goal({ team: 'home' })) === null
+  )
+);
+
+// `window`: fires once, on the card that reaches the count
+const [cardStorm] = example.filter(rule => rule.name === 'card_storm');
+const card = minute => {
+  const event = { matchId: MATCH_ID, eventType: 'yellow_card', minute };
+  store.addIncident(MATCH_ID, { type: 'yellow_card', team: 'home', minute });
+  return cardStorm.fn(event);
+};
+
+const fired = [10, 15, 18, 19, 40, 60, 62, 65].map(minute => card(minute)?.count ?? null);
+passed.push(
+  check(
+    'Window fires once per burst of cards',
+    JSON.stringify(fired) === JSON.stringify([null, null, 3, null, null, null, null, 3]),
+    JSON.stringify(fired)
+  )
+);
+
+// EventProcessor passes its own store, which wins over the compile-time one
+const otherStore = new MatchStateStore();
+otherStore.upsert(MATCH_ID, { homeTeam: 'Arsenal', awayTeam: 'Chelsea' });
+[10, 12, 14].forEach(minute =>
+  otherStore.addIncident(MATCH_ID, { type: 'red_card', team: 'away', minute })
+);
+result = cardStorm.fn({ matchId: MATCH_ID, eventType: 'red_card', minute: 14 }, otherStore);
+passed.push(check('Window reads the store passed by the processor', result?.count === 3));
+
+process.exit(passed.every(Boolean) ? 0 : 1);
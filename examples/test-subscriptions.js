@@ -0,0 +1,109 @@
+/**
+ * Subscription Filtering Test
+ * Checks SubscriptionStore validation, per-chat filters (teams, tournaments,
+ * event types, severity, quiet hours) and that subscriptions survive a reload.
+ * Uses a temporary file and its own match store.
+ * Run with: node examples/test-subscriptions.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SubscriptionStore } from '../notificationDispatcher/SubscriptionStore.js';
+import { MatchStateStore } from '../matchState/index.js';
+import { logger } from '../src/utils/index.js';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'subscriptions-'));
+const filePath = path.join(directory, 'subscriptions.json');
+
+const store = new MatchStateStore();
+store.upsert('1', { homeTeam: 'Arsenal', awayTeam: 'Chelsea', tournament: 'Premier League' });
+store.upsert('2', { homeTeam: 'Barcelona', awayTeam: 'Girona', tournament: 'LaLiga' });
+
+const subscriptions = new SubscriptionStore({ filePath, matchStore: store });
+
+const check = (label, passed, details = '') => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}${passed ? '' : ` ${details}`}`);
+  return passed;
+};
+
+const rejects = filters => {
+  try {
+    subscriptions.normalize({ chatId: 1, ...filters });
+    return false;
+  } catch {
+    return true;
+  }
+};
+
+const passed = [];
+
+// Validation
+passed.push(check('Missing chatId is rejected', rejects({ chatId: undefined })));
+passed.push(check('Unknown field is rejected', rejects({ team: 'Arsenal' })));
+passed.push(check('Unknown severity is rejected', rejects({ minSeverity: 'urgent' })));
+passed.push(
+  check('Bad quiet hours are rejected', rejects({ quietHours: { start: '7', end: '9' } }))
+);
+passed.push(
+  check(
+    'Unknown timezone is rejected',
+    rejects({ quietHours: { start: '23:00', end: '07:00', timezone: 'Mars/Olympus' } })
+  )
+);
+
+subscriptions.set('100', { name: 'Everything' });
+subscriptions.set('200', { teams: 'arsenal, Liverpool', eventTypes: ['goal'] });
+subscriptions.set('300', { tournaments: ['laliga'], minSeverity: 'high' });
+subscriptions.set('400', {
+  quietHours: { start: '23:00', end: '07:00', timezone: 'Europe/London' },
+});
+
+const noon = new Date('2025-11-15T12:00:00Z');
+const midnight = new Date('2025-11-15T23:30:00Z');
+
+const recipients = (alert, now = noon) => subscriptions.getRecipients(alert, now).sort();
+
+const same = (actual, expected) => JSON.stringify(actual) === JSON.stringify(expected);
+
+let result = recipients({ type: 'goal', severity: 'high', matchId: '1' });
+passed.push(check('Team filter uses the match store', same(result, ['100', '200', '400']), result));
+
+result = recipients({ type: 'goal_update', severity: 'medium', matchId: '1' });
+passed.push(check('Goal details follow the goal preference', result.includes('200'), result));
+
+result = recipients({ type: 'yellow_card', severity: 'low', matchId: '1' });
+passed.push(check('Event type filter', !result.includes('200'), result));
+
+result = recipients({ type: 'red_card', severity: 'high', matchId: '2' });
+passed.push(check('Tournament filter', same(result, ['100', '300', '400']), result));
+
+result = recipients({ type: 'goal', severity: 'medium', matchId: '2' });
+passed.push(check('Severity filter', !result.includes('300'), result));
+
+result = recipients({ type: 'goal', severity: 'high', matchId: '1' }, midnight);
+passed.push(check('Quiet hours wrap past midnight', !result.includes('400'), result));
+
+result = recipients({
+  type: 'goal',
+  severity: 'high',
+  matchId: '3',
+  data: { homeTeam: 'Liverpool FC', awayTeam: 'Everton' },
+});
+passed.push(check('Team filter uses the alert data', result.includes('200'), result));
+
+// Persistence
+subscriptions.remove('100');
+const reloaded = new SubscriptionStore({ filePath, matchStore: store }).load();
+passed.push(
+  check(
+    'Subscriptions survive a reload',
+    reloaded.size === 3 &&
+      !reloaded.has('100') &&
+      same(reloaded.get('200').teams, ['arsenal', 'Liverpool']),
+    JSON.stringify(reloaded.list())
+  )
+);
+
+fs.rmSync(directory, { recursive: true, force: true });
+process.exit(passed.every(Boolean) ? 0 : 1);
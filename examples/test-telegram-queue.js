@@ -0,0 +1,118 @@
+/**
+ * Telegram Queue Test
+ * Drives the TelegramNotifier outbound queue with a stub bot (no network).
+ * Checks that chats are served concurrently, that priorities jump the queue,
+ * that a 429 holds only its own chat and keeps that chat's messages in order,
+ * and that drain() waits for the queue to empty.
+ * Run with: node examples/test-telegram-queue.js
+ */
+
+import { TelegramNotifier, MessagePriority } from '../notificationDispatcher/TelegramNotifier.js';
+import { logger } from '../src/utils/index.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const delivered = [];
+const slowChats = new Set();
+const rateLimited = new Set();
+
+const notifier = new TelegramNotifier('test-token', { chatInterval: 0, groupInterval: 0 });
+let messageId = 0;
+notifier.bot = {
+  sendMessage: async (chatId, text) => {
+    if (slowChats.has(chatId)) await sleep(300);
+
+    if (rateLimited.delete(text)) {
+      const error = new Error('Too Many Requests');
+      error.response = { statusCode: 429, body: { parameters: { retry_after: 1 } } };
+      throw error;
+    }
+
+    delivered.push(`${chatId}:${text}`);
+    return { message_id: ++messageId };
+  },
+};
+
+const check = (label, passed, details = '') => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}${passed ? '' : ` ${details}`}`);
+  return passed;
+};
+
+const passed = [];
+
+// A slow chat does not hold up the others
+slowChats.add('slow');
+const slow = notifier.enqueue('slow', 'first');
+const fast = notifier.enqueue('fast', 'first');
+await fast;
+passed.push(
+  check('Chats are served concurrently', delivered.join() === 'fast:first', delivered.join())
+);
+await slow;
+slowChats.clear();
+
+// Queued behind a call in flight, critical messages go before normal ones
+delivered.length = 0;
+slowChats.add('busy');
+const busy = [notifier.enqueue('busy', 'in flight')];
+busy.push(notifier.enqueue('busy', 'normal', {}, MessagePriority.NORMAL));
+busy.push(notifier.enqueue('busy', 'goal', {}, MessagePriority.CRITICAL));
+await Promise.all(busy);
+passed.push(
+  check(
+    'Priorities jump the queue',
+    delivered.join() === 'busy:in flight,busy:goal,busy:normal',
+    delivered.join()
+  )
+);
+slowChats.clear();
+
+// 429 on one chat: it waits retry_after, keeps its order, the others go on
+delivered.length = 0;
+rateLimited.add('one');
+const startedAt = Date.now();
+const limited = [
+  notifier.enqueue('limited', 'one'),
+  notifier.enqueue('limited', 'two'),
+  notifier.enqueue('other', 'free'),
+];
+await limited[2];
+const otherDelay = Date.now() - startedAt;
+await Promise.all(limited);
+passed.push(
+  check(
+    'Rate-limited chat is held alone',
+    otherDelay < 500 && Date.now() - startedAt >= 1000,
+    `${otherDelay}ms / ${Date.now() - startedAt}ms`
+  )
+);
+passed.push(
+  check(
+    'Rate-limited chat keeps its order',
+    delivered.join() === 'other:free,limited:one,limited:two',
+    delivered.join()
+  )
+);
+
+// drain() waits for everything queued
+delivered.length = 0;
+slowChats.add('drain');
+['a', 'b', 'c'].forEach(text => notifier.enqueue('drain', text));
+const drained = await notifier.drain(5000);
+const stats = notifier.getQueueStats();
+passed.push(
+  check(
+    'Drain empties the queue',
+    drained && delivered.length === 3 && stats.depth === 0 && stats.inFlight === 0,
+    JSON.stringify({ delivered, stats })
+  )
+);
+passed.push(
+  check(
+    'Queue stats',
+    stats.sent === 11 && stats.rateLimited === 1 && stats.failed === 0,
+    JSON.stringify(stats)
+  )
+);
+
+process.exit(passed.every(Boolean) ? 0 : 1);
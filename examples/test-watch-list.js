@@ -0,0 +1,102 @@
+/**
+ * Watch List Test
+ * Checks matchesWatchList entries (IDs, names, countries) and that
+ * SofaScoreCollector keeps unwatched matches out of the shared match store:
+ * their details are looked up once, then the match is ignored (no browser).
+ * Run with: node examples/test-watch-list.js
+ */
+
+import { SofaScoreCollector } from '../dataCollector/SofaScoreCollector.js';
+import { createWatchList, matchesWatchList } from '../dataCollector/watchList.js';
+import { MatchStateStore } from '../matchState/index.js';
+import { logger } from '../src/utils/index.js';
+
+const check = (label, passed, details = '') => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}${passed ? '' : ` ${details}`}`);
+  return passed;
+};
+
+const passed = [];
+
+// Watch list entries
+const arsenal = {
+  homeTeam: 'Arsenal',
+  awayTeam: 'Chelsea',
+  homeTeamId: 42,
+  tournament: 'Premier League',
+  uniqueTournamentId: 17,
+  country: 'England',
+  countryCode: 'EN',
+};
+
+const cases = [
+  ['Empty list watches all', {}, '1', {}, true],
+  ['Match ID', { matches: ['1'] }, '1', {}, true],
+  ['Team name part', { teams: ['arsen'] }, '1', arsenal, true],
+  ['Team ID', { teams: ['42'] }, '1', arsenal, true],
+  ['Unique tournament ID', { tournaments: ['17'] }, '1', arsenal, true],
+  ['Tournament name', { tournaments: [' premier league'] }, '1', arsenal, true],
+  ['Country code', { countries: ['en'] }, '1', arsenal, true],
+  ['Other team', { teams: ['Barcelona'] }, '1', arsenal, false],
+  ['Teams not known yet', { teams: ['Barcelona'] }, '1', { homeTeam: 'Unknown' }, null],
+  ['Only other match IDs', { matches: ['2'] }, '1', arsenal, false],
+];
+
+for (const [label, options, matchId, info, expected] of cases) {
+  const actual = matchesWatchList(createWatchList(options), matchId, info);
+  passed.push(check(label, actual === expected, `expected ${expected}, got ${actual}`));
+}
+
+// Collector: only watched matches reach the store
+const store = new MatchStateStore();
+const collector = new SofaScoreCollector({ matchStore: store, watchList: { teams: ['Arsenal'] } });
+collector.isRunning = true;
+
+const details = {
+  1: { homeTeam: { name: 'Arsenal' }, awayTeam: { name: 'Chelsea' } },
+  2: { homeTeam: { name: 'Barcelona' }, awayTeam: { name: 'Girona' } },
+};
+const lookups = [];
+collector.page = {
+  evaluate: async (fn, matchId) => {
+    lookups.push(matchId);
+    return details[matchId] || null;
+  },
+};
+
+await collector.handleMatchUpdate({ id: 1 });
+passed.push(check('Watched match is stored', store.get('1')?.homeTeam === 'Arsenal'));
+
+await collector.handleMatchUpdate({ id: 2 });
+await collector.handleMatchUpdate({ id: 2 });
+passed.push(
+  check(
+    'Unwatched match is looked up once and not stored',
+    !store.get('2') && lookups.filter(id => id === '2').length === 1,
+    JSON.stringify({ stored: store.get('2'), lookups })
+  )
+);
+
+await collector.handleMatchUpdate({
+  id: 3,
+  homeTeam: { name: 'Real Madrid' },
+  awayTeam: { name: 'Sevilla' },
+});
+passed.push(
+  check(
+    'Unwatched team data from WebSocket is not stored',
+    !store.get('3') && !lookups.includes('3') && collector.ignoredMatches.has('3')
+  )
+);
+
+await collector.handleMatchUpdate({ id: 4 });
+await collector.handleMatchUpdate({ id: 4 });
+passed.push(
+  check(
+    'Failed lookup is ignored, not stored',
+    !store.get('4') && lookups.filter(id => id === '4').length === 1,
+    JSON.stringify({ stored: store.get('4'), lookups })
+  )
+);
+
+process.exit(passed.every(Boolean) ? 0 : 1);
@@ -0,0 +1,105 @@
+/**
+ * Webhook Notifiers Test
+ * Starts a local HTTP stand-in for Discord, Slack and a generic webhook,
+ * fans one alert out through the NotificationDispatcher and checks each payload.
+ * Run with: node examples/test-webhook-notifiers.js
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import {
+  DiscordNotifier,
+  SlackNotifier,
+  WebhookNotifier,
+  NotificationDispatcher,
+} from '../notificationDispatcher/index.js';
+import { logger } from '../src/utils/index.js';
+
+const SECRET = 'test-secret';
+const received = {};
+
+// Local stand-in: /discord, /slack, /webhook accept, /broken always fails
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => (body += chunk));
+  req.on('end', () => {
+    const name = req.url.slice(1);
+    received[name] = { headers: req.headers, body };
+
+    if (name === 'broken') {
+      res.writeHead(500);
+      res.end('stand-in failure');
+      return;
+    }
+
+    res.writeHead(name === 'discord' ? 204 : 200);
+    res.end(name === 'slack' ? 'ok' : '');
+  });
+});
+
+const alert = {
+  id: 'test-1:goal:1-0',
+  type: 'goal',
+  severity: 'high',
+  timestamp: Date.now(),
+  matchId: 'test-1',
+  source: 'test',
+  message: '⚽ <b>GOAL!</b>\n\n🏟️ Team A &amp; Sons 1 - 0 Team B\n👤 <s>O&#039;Neil</s>',
+  data: { homeTeam: 'Team A & Sons', awayTeam: 'Team B', score: '1-0' },
+};
+
+const check = (label, passed) => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}`);
+  return passed;
+};
+
+async function run() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const dispatcher = new NotificationDispatcher([
+    new DiscordNotifier(`${base}/discord`),
+    new SlackNotifier(`${base}/slack`),
+    new WebhookNotifier(`${base}/webhook`, { secret: SECRET }),
+    new WebhookNotifier(`${base}/broken`, { name: 'broken', retryAttempts: 2, retryDelay: 10 }),
+  ]);
+
+  const results = await dispatcher.dispatch(alert);
+  logger.info('Dispatch results', { results });
+
+  const discord = JSON.parse(received.discord.body);
+  const slack = JSON.parse(received.slack.body);
+  const webhook = received.webhook;
+  const signedAt = Number(webhook.headers['x-signature-timestamp']);
+  const expectedSignature = `sha256=${crypto
+    .createHmac('sha256', SECRET)
+    .update(`${signedAt}.${webhook.body}`)
+    .digest('hex')}`;
+
+  const passed = [
+    check(
+      'Discord embed',
+      discord.embeds[0].description.startsWith('⚽ **GOAL!**') &&
+        discord.embeds[0].description.includes("Team A & Sons 1 - 0 Team B\n👤 ~~O'Neil~~")
+    ),
+    check('Slack mrkdwn', slack.text.includes('*GOAL!*') && slack.text.includes('&amp; Sons')),
+    check('Webhook HMAC signature', webhook.headers['x-signature-256'] === expectedSignature),
+    check('Webhook signature timestamp', Math.abs(Date.now() / 1000 - signedAt) <= 300),
+    check('Webhook body', JSON.parse(webhook.body).id === alert.id),
+    check(
+      'Independent failure',
+      results.filter(result => result.success).length === 3 &&
+        results.find(result => result.notifier === 'broken')?.success === false
+    ),
+  ];
+
+  logger.info('Notifier stats', dispatcher.getStats());
+  server.close();
+  process.exit(passed.every(Boolean) ? 0 : 1);
+}
+
+run().catch(error => {
+  logger.error(`❌ Webhook notifier test failed: ${error.message}`);
+  server.close();
+  process.exit(1);
+});
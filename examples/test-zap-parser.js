@@ -4,6 +4,7 @@
  */
 
 import { ZapParser } from '../dataCollector/ZapParser.js';
+import { Bet365Collector } from '../dataCollector/Bet365Collector.js';
 import { logger } from '../src/utils/logger.js';
 
 // Example messages we've captured
@@ -44,6 +45,31 @@ testMessages.forEach((msg, index) => {
   logger.info('─'.repeat(80));
 });
 
+// Multi-record frames: snapshot of the CL > CT > EV > MA > PA hierarchy, then deltas
+const frames = [
+  '\u0014OVInPlay_1_3\u0001F|CL;IT=C1;NA=Soccer;|CT;IT=CT1;NA=Premier League;|' +
+    'EV;IT=E1;ID=123;NA=Arsenal v Chelsea;SS=0-0;YC=0-0;RC=0-0;TM=10;|MA;IT=M1;NA=Fulltime Result;|' +
+    'PA;IT=P1;NA=Arsenal;|PA;IT=P2;NA=Chelsea;|',
+  '\u0015E1\u0001U|SS=1-0;TM=12;|\u0008\u0015P2\u0001D|',
+  '\u0015E1\u0001U|YC=0-1;TM=31;|\u0008\u0015M1\u0001I|PA;IT=P3;NA=Draw;|',
+];
+
+logger.info('\n🌳 Testing topic tree with multi-record frames\n');
+
+const collector = new Bet365Collector('wss://example.invalid/zap');
+
+frames.forEach((frame, index) => {
+  const records = ZapParser.decode(frame);
+  logger.info(`\n📦 Frame #${index + 1}: ${records.map(record => ZapParser.format(record)).join(' | ')}`);
+
+  const events = collector.parseCustomFormat(frame);
+  events.forEach(event => {
+    logger.info(`🎯 ${event.eventType} (${event.teamName}) ${event.score} ${event.minute}'`);
+  });
+});
+
+logger.info(`\nTopics tracked: ${collector.topicTree.size}`);
+
 logger.info('\n✅ Parser test complete!');
 logger.info('\n💡 Next Steps:');
 logger.info(
@@ -0,0 +1,73 @@
+/**
+ * ZAP Topic Tree Test
+ * Applies Bet365 ZAP snapshots and deltas to a ZapTopicTree and checks the
+ * reported changes, including a snapshot of a nested topic (a market below
+ * its match) that must stay linked to its ancestors.
+ * Run with: node examples/test-zap-topic-tree.js
+ */
+
+import { ZapParser } from '../dataCollector/ZapParser.js';
+import { ZapTopicTree } from '../dataCollector/ZapTopicTree.js';
+import { logger } from '../src/utils/logger.js';
+
+const tree = new ZapTopicTree();
+
+const apply = frame =>
+  ZapParser.decode(frame).flatMap(record =>
+    tree.apply(record).map(({ action, node }) => `${action}:${node.id}`)
+  );
+
+const check = (label, passed, details = '') => {
+  logger.info(`${label}: ${passed ? '✅ PASS' : '❌ FAIL'}${passed ? '' : ` ${details}`}`);
+  return passed;
+};
+
+const passed = [];
+
+let changes = apply(
+  '\u0014OVInPlay_1_3\u0001F|CL;IT=C1;NA=Soccer;|CT;IT=CT1;NA=Premier League;|' +
+    'EV;IT=E1;NA=Arsenal v Chelsea;SS=0-0;|MA;IT=M1;NA=Fulltime Result;|' +
+    'PA;IT=P1;NA=Arsenal;|PA;IT=P2;NA=Chelsea;|'
+);
+passed.push(
+  check(
+    'Snapshot inserts every entity',
+    changes.join() === 'insert:C1,insert:CT1,insert:E1,insert:M1,insert:P1,insert:P2',
+    changes.join()
+  )
+);
+
+changes = apply('\u0015E1\u0001U|SS=1-0;|');
+passed.push(check('Update of a match', changes.join() === 'update:E1', changes.join()));
+
+// The server re-sends the market as a snapshot of its own
+changes = apply('\u0014M1\u0001F|PA;IT=P1;NA=Arsenal;OD=2/1;|PA;IT=P3;NA=Draw;|');
+passed.push(
+  check('Nested snapshot changes', changes.join() === 'update:P1,insert:P3', changes.join())
+);
+
+const market = tree.get('M1');
+passed.push(
+  check(
+    'Nested snapshot stays below its match',
+    market.type === 'MA' &&
+      market.fields.NA === 'Fulltime Result' &&
+      market.parent === tree.get('E1') &&
+      tree.get('E1').children.includes(market) &&
+      tree.findAncestor(tree.get('P3'), 'EV') === tree.get('E1')
+  )
+);
+
+// Deleting the match reaches the re-sent market through its ancestor
+changes = apply('\u0015E1\u0001D|');
+passed.push(
+  check(
+    'Delete through the ancestor',
+    changes.join() === 'delete:E1,delete:M1,delete:P1,delete:P3' && !tree.get('P3'),
+    changes.join()
+  )
+);
+
+passed.push(check('Only the remaining topics are indexed', tree.size === 3, `${tree.size}`));
+
+process.exit(passed.every(Boolean) ? 0 : 1);
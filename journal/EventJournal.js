@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../src/utils/logger.js';
+
+export const JournalKinds = Object.freeze({
+  FRAME: 'frame',
+  EVENT: 'event',
+  ALERT: 'alert',
+});
+
+/**
+ * Event Journal
+ * Append-only JSONL log of raw collector frames, normalized events and alerts.
+ * One file per day: <directory>/journal-YYYY-MM-DD.jsonl
+ * Each line: { ts, kind, source, matchId, payload }
+ */
+export class EventJournal {
+  constructor(options = {}) {
+    this.directory = options.directory || 'data/journal';
+    this.recordFrames = options.recordFrames !== false;
+    this.stream = null;
+    this.currentDate = null;
+    this.recordsWritten = 0;
+    this.writeErrors = 0;
+  }
+
+  /**
+   * Path of the journal file for a given date
+   */
+  getFilePath(date = new Date()) {
+    return path.join(this.directory, `journal-${date.toISOString().split('T')[0]}.jsonl`);
+  }
+
+  /**
+   * Open (or rotate to) the file for today
+   */
+  ensureStream(now = new Date()) {
+    const date = now.toISOString().split('T')[0];
+
+    if (this.stream && this.currentDate === date) {
+      return this.stream;
+    }
+
+    if (this.stream) {
+      this.stream.end();
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.currentDate = date;
+    this.stream = fs.createWriteStream(this.getFilePath(now), { flags: 'a' });
+    this.stream.on('error', error => {
+      this.writeErrors++;
+      logger.error(`Journal write error: ${error.message}`);
+    });
+
+    logger.info(`📓 Journal recording to ${this.getFilePath(now)}`);
+    return this.stream;
+  }
+
+  /**
+   * Append a record
+   */
+  write(kind, payload, meta = {}) {
+    try {
+      const now = new Date();
+      const line = JSON.stringify({
+        ts: now.getTime(),
+        kind,
+        source: meta.source ?? payload?.source ?? null,
+        matchId: meta.matchId ?? payload?.matchId ?? null,
+        payload,
+      });
+
+      this.ensureStream(now).write(line + '\n');
+      this.recordsWritten++;
+    } catch (error) {
+      this.writeErrors++;
+      logger.error(`Failed to journal ${kind}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a raw collector frame
+   */
+  recordFrame(frame) {
+    if (this.recordFrames) {
+      this.write(JournalKinds.FRAME, frame);
+    }
+  }
+
+  /**
+   * Record a normalized event
+   */
+  recordEvent(event) {
+    this.write(JournalKinds.EVENT, event);
+  }
+
+  /**
+   * Record an alert (without the embedded source event, which is journaled separately)
+   */
+  recordAlert(alert) {
+    const record = { ...alert };
+    delete record.raw;
+    this.write(JournalKinds.ALERT, record);
+  }
+
+  /**
+   * Get journal statistics
+   */
+  getStats() {
+    return {
+      file: this.currentDate ? this.getFilePath(new Date(this.currentDate)) : null,
+      recordsWritten: this.recordsWritten,
+      writeErrors: this.writeErrors,
+    };
+  }
+
+  /**
+   * Flush and close the current file
+   */
+  close() {
+    return new Promise(resolve => {
+      if (!this.stream) {
+        resolve();
+        return;
+      }
+
+      this.stream.end(resolve);
+      this.stream = null;
+      this.currentDate = null;
+    });
+  }
+}
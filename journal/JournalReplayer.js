@@ -0,0 +1,100 @@
+import fs from 'fs';
+import readline from 'readline';
+import EventEmitter from 'events';
+import { logger } from '../src/utils/logger.js';
+import { JournalKinds } from './EventJournal.js';
+
+/**
+ * Read journal records one by one
+ * Malformed lines are skipped with a warning instead of aborting the replay
+ */
+export async function* readJournal(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf-8' }),
+    crlfDelay: Infinity,
+  });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      logger.warn(`Skipping malformed journal line ${lineNumber}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Journal Replayer
+ * Feeds recorded events back through an EventProcessor, preserving the
+ * original spacing between events (divided by `speed`).
+ * speed: 1 = real time, 10 = ten times faster, 0 = as fast as possible
+ */
+export class JournalReplayer extends EventEmitter {
+  constructor(processor, options = {}) {
+    super();
+    this.processor = processor;
+    this.speed = options.speed ?? 1;
+    this.matchId = options.matchId ? String(options.matchId) : null;
+    this.maxDelay = options.maxDelay ?? 60000; // Cap idle gaps (e.g. half-time)
+    this.stopped = false;
+    this.stats = {
+      events: 0,
+      recordedAlerts: 0,
+      skipped: 0,
+    };
+  }
+
+  /**
+   * Replay a journal file
+   */
+  async replay(filePath) {
+    logger.info(`⏪ Replaying ${filePath} at ${this.speed === 0 ? 'max' : `${this.speed}x`} speed`);
+
+    let previousTs = null;
+
+    for await (const record of readJournal(filePath)) {
+      if (this.stopped) break;
+
+      if (this.matchId && String(record.matchId) !== this.matchId) {
+        this.stats.skipped++;
+        continue;
+      }
+
+      if (record.kind === JournalKinds.ALERT) {
+        this.stats.recordedAlerts++;
+        this.emit('recordedAlert', record.payload);
+        continue;
+      }
+
+      if (record.kind !== JournalKinds.EVENT) {
+        continue;
+      }
+
+      if (previousTs !== null && this.speed > 0) {
+        const gap = Math.min((record.ts - previousTs) / this.speed, this.maxDelay);
+        if (gap > 0) {
+          await new Promise(resolve => setTimeout(resolve, gap));
+        }
+      }
+      previousTs = record.ts;
+
+      this.stats.events++;
+      this.emit('event', record.payload);
+      await this.processor.process(record.payload);
+    }
+
+    logger.info('⏹️ Replay finished', this.stats);
+    return this.stats;
+  }
+
+  /**
+   * Stop after the current record
+   */
+  stop() {
+    this.stopped = true;
+  }
+}
@@ -0,0 +1,2 @@
+export { EventJournal, JournalKinds } from './EventJournal.js';
+export { JournalReplayer, readJournal } from './JournalReplayer.js';
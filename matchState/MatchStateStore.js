@@ -0,0 +1,436 @@
+import EventEmitter from 'events';
+import { logger } from '../src/utils/logger.js';
+
+const TEAMS = ['home', 'away'];
+const CARD_TYPES = {
+  yellow_card: 'yellow',
+  red_card: 'red',
+};
+
+/**
+ * Parse a score in any of the shapes collectors produce ("2-1", "2:1", { home, away })
+ */
+export function parseScore(score) {
+  if (!score && score !== 0) return null;
+
+  if (typeof score === 'object') {
+    const home = Number(score.home);
+    const away = Number(score.away);
+    return Number.isFinite(home) && Number.isFinite(away) ? { home, away } : null;
+  }
+
+  const match = String(score).match(/^\s*(\d+)\s*[-:]\s*(\d+)\s*$/);
+  return match ? { home: parseInt(match[1], 10), away: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Match State Store
+ * Central per-match state (teams, score, period, minute, cards, incidents,
+ * lineups, status) shared across pipeline stages.
+ * Collectors write feed state, EventProcessor records the incident timeline,
+ * rules and notifiers query it. Finished and stale matches expire automatically.
+ */
+export class MatchStateStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.matches = new Map();
+    this.finishedTtl = options.finishedTtl ?? 30 * 60 * 1000; // 30 minutes after full time
+    this.staleTtl = options.staleTtl ?? 6 * 60 * 60 * 1000; // 6 hours without updates
+    this.sweepInterval = options.sweepInterval ?? 60 * 1000;
+    this.maxIncidents = options.maxIncidents ?? 200;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Normalize match IDs (feeds mix numbers and strings)
+   */
+  key(matchId) {
+    return String(matchId);
+  }
+
+  /**
+   * Create an empty match state
+   */
+  createState(matchId) {
+    const now = Date.now();
+    return {
+      matchId: this.key(matchId),
+      source: null,
+      sport: null, // SofaScore sport slug ('football', 'basketball', ...)
+      homeTeam: null,
+      awayTeam: null,
+      homeTeamShort: null,
+      awayTeamShort: null,
+      homeTeamId: null,
+      awayTeamId: null,
+      tournament: null,
+      tournamentId: null,
+      score: null,
+      periodScores: null, // Per-period scores: quarters, periods, tennis set games
+      period: null,
+      minute: null,
+      status: null,
+      cards: {
+        home: { yellow: 0, red: 0 },
+        away: { yellow: 0, red: 0 },
+      },
+      cardCounts: null, // Source's own per-team totals (see setCardCounts)
+      incidents: [],
+      lineups: { home: null, away: null },
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+  }
+
+  /**
+   * Check if a match is tracked
+   */
+  has(matchId) {
+    return this.matches.has(this.key(matchId));
+  }
+
+  /**
+   * Get match state (live reference, do not mutate)
+   */
+  get(matchId) {
+    return this.matches.get(this.key(matchId));
+  }
+
+  /**
+   * Check if team names are known for a match
+   */
+  hasDetails(matchId) {
+    const state = this.get(matchId);
+    return Boolean(state?.homeTeam && state.homeTeam !== 'Unknown');
+  }
+
+  /**
+   * Create or update a match with the given fields
+   * Undefined values are ignored so partial feed updates never erase state
+   */
+  upsert(matchId, patch = {}) {
+    const key = this.key(matchId);
+    let state = this.matches.get(key);
+    const isNew = !state;
+
+    if (isNew) {
+      state = this.createState(key);
+      this.matches.set(key, state);
+    }
+
+    for (const [field, value] of Object.entries(patch)) {
+      if (value !== undefined) {
+        state[field] = value;
+      }
+    }
+
+    state.updatedAt = Date.now();
+    this.emit(isNew ? 'created' : 'updated', state);
+
+    return state;
+  }
+
+  /**
+   * Set the current score, returns the previous one (or null)
+   */
+  setScore(matchId, score) {
+    const parsed = parseScore(score);
+    if (!parsed) return this.get(matchId)?.score || null;
+
+    const previous = this.get(matchId)?.score || null;
+    this.upsert(matchId, { score: parsed });
+    return previous;
+  }
+
+  /**
+   * Merge the source's per-team card totals ({ home: { yellow, red }, away },
+   * partial updates allowed), returns the previous totals (or null)
+   * `cards` counts the card incidents recorded in the timeline instead
+   */
+  setCardCounts(matchId, counts) {
+    const previous = this.get(matchId)?.cardCounts || null;
+    this.upsert(matchId, {
+      cardCounts: {
+        home: { ...previous?.home, ...counts.home },
+        away: { ...previous?.away, ...counts.away },
+      },
+    });
+    return previous;
+  }
+
+  /**
+   * Merge per-period scores ({ home: { 1: 6, 2: 3 }, away: { 1: 4, 2: 2 } },
+   * partial updates allowed), returns the previous scores (or null)
+   */
+  setPeriodScores(matchId, scores) {
+    const previous = this.get(matchId)?.periodScores || null;
+    this.upsert(matchId, {
+      periodScores: {
+        home: { ...previous?.home, ...scores.home },
+        away: { ...previous?.away, ...scores.away },
+      },
+    });
+    return previous;
+  }
+
+  /**
+   * Set match clock
+   */
+  setClock(matchId, { minute, period } = {}) {
+    return this.upsert(matchId, { minute: minute ?? undefined, period: period ?? undefined });
+  }
+
+  /**
+   * Set match status ({ code, type, description })
+   * Finished matches are scheduled for expiry
+   */
+  setStatus(matchId, status) {
+    const state = this.upsert(matchId, { status: { ...this.get(matchId)?.status, ...status } });
+
+    if (state.status.type === 'finished' && !state.finishedAt) {
+      state.finishedAt = Date.now();
+      this.emit('finished', state);
+    }
+
+    return state;
+  }
+
+  /**
+   * Set lineups ({ home, away })
+   */
+  setLineups(matchId, lineups) {
+    return this.upsert(matchId, { lineups: { ...this.get(matchId)?.lineups, ...lineups } });
+  }
+
+  /**
+   * Append an incident to the match timeline
+   * Card incidents also update the per-team card counters
+   */
+  addIncident(matchId, incident) {
+    const state = this.get(matchId) || this.upsert(matchId);
+    const entry = { timestamp: Date.now(), ...incident };
+
+    state.incidents.push(entry);
+    if (state.incidents.length > this.maxIncidents) {
+      state.incidents.shift();
+    }
+
+    const cardColor = CARD_TYPES[entry.type];
+    if (cardColor && TEAMS.includes(entry.team)) {
+      state.cards[entry.team][cardColor]++;
+    }
+
+    state.updatedAt = Date.now();
+    this.emit('incident', state, entry);
+
+    return entry;
+  }
+
+  /**
+   * Record a normalized pipeline event: fills match details and adds the
+   * event to the incident timeline
+   */
+  recordEvent(event) {
+    const { goalData = {}, cardData = {} } = event;
+
+    this.upsert(event.matchId, {
+      source: this.get(event.matchId)?.source || event.source,
+      homeTeam: this.hasDetails(event.matchId) ? undefined : event.homeTeam,
+      awayTeam: this.hasDetails(event.matchId) ? undefined : event.awayTeam,
+      tournament: event.tournament,
+      minute: typeof event.minute === 'number' ? event.minute : undefined,
+    });
+
+    if (event.score !== undefined) {
+      this.setScore(event.matchId, event.score);
+    }
+
+    // Sources without a status feed end the match with their full_time event
+    if (event.eventType === 'full_time') {
+      this.setStatus(event.matchId, { type: 'finished' });
+    }
+
+    if (event.eventType === 'score_correction') {
+      this.cancelGoal(event.matchId, event.correction || {});
+    }
+
+    // Late goal details complete the goal already on the timeline
+    if (event.eventType === 'goal_update') {
+      return this.updateGoal(event.matchId, event, {
+        incidentId: event.incidentId,
+        player: event.player || goalData.player,
+        assistBy: event.assistBy || goalData.assistBy,
+        minute: event.minute,
+        addedTime: event.addedTime,
+        goalType: goalData.goalType,
+      });
+    }
+
+    return this.addIncident(event.matchId, {
+      type: event.eventType,
+      incidentId: event.incidentId,
+      team: event.team || goalData.team || cardData.team,
+      teamName: event.teamName,
+      player: event.player || goalData.player || cardData.player,
+      assistBy: event.assistBy || goalData.assistBy,
+      minute: event.minute ?? goalData.minute ?? cardData.minute,
+      addedTime: event.addedTime,
+      score: event.eventType === 'goal' ? event.score : undefined,
+      goalType: goalData.goalType,
+      source: event.source,
+      timestamp: event.timestamp || Date.now(),
+    });
+  }
+
+  /**
+   * Fill in a recorded goal's details (undefined values are ignored)
+   * Matches the latest goal that produced the score, otherwise the team's latest goal
+   * Returns the updated incident or null
+   */
+  updateGoal(matchId, { score, team } = {}, details = {}) {
+    const goals = this.getIncidents(matchId, { types: 'goal', team, includeCancelled: true });
+    const produced = parseScore(score);
+    const goal =
+      (produced &&
+        goals.findLast(incident => {
+          const incidentScore = parseScore(incident.score);
+          return incidentScore?.home === produced.home && incidentScore?.away === produced.away;
+        })) ||
+      goals[goals.length - 1];
+
+    if (!goal) return null;
+
+    Object.entries(details).forEach(([key, value]) => {
+      if (value !== undefined) goal[key] = value;
+    });
+    this.emit('incident', this.get(matchId), goal);
+    return goal;
+  }
+
+  /**
+   * Mark a goal as cancelled (VAR, score reversal)
+   * Matches by feed incident ID, otherwise the latest goal of the team
+   * Returns the cancelled incident or null
+   */
+  cancelGoal(matchId, { incidentId, team } = {}) {
+    const goals = this.getIncidents(matchId, { types: 'goal' });
+    const goal =
+      (incidentId !== undefined && goals.find(incident => incident.incidentId === incidentId)) ||
+      goals.filter(incident => !team || incident.team === team).pop();
+
+    if (!goal) return null;
+
+    goal.cancelled = true;
+    this.emit('incident', this.get(matchId), goal);
+    return goal;
+  }
+
+  /**
+   * Query the incident timeline
+   * filter: { types, team, player, sinceMinute, includeCancelled }
+   * Cancelled goals are left out unless includeCancelled is set
+   */
+  getIncidents(matchId, filter = {}) {
+    const incidents = this.get(matchId)?.incidents || [];
+    const types = filter.types ? [].concat(filter.types) : null;
+
+    return incidents.filter(incident => {
+      if (incident.cancelled && !filter.includeCancelled) return false;
+      if (types && !types.includes(incident.type)) return false;
+      if (filter.team && incident.team !== filter.team) return false;
+      if (filter.player && incident.player !== filter.player) return false;
+      if (filter.sinceMinute !== undefined && !(incident.minute >= filter.sinceMinute)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Get card counters per team
+   */
+  getCards(matchId) {
+    return this.get(matchId)?.cards || this.createState(matchId).cards;
+  }
+
+  /**
+   * List tracked matches, optionally by status type ('inprogress', 'finished', ...)
+   */
+  list(statusType) {
+    const matches = Array.from(this.matches.values());
+    return statusType ? matches.filter(state => state.status?.type === statusType) : matches;
+  }
+
+  /**
+   * Number of tracked matches
+   */
+  get size() {
+    return this.matches.size;
+  }
+
+  /**
+   * Remove a match
+   */
+  remove(matchId) {
+    const key = this.key(matchId);
+    const state = this.matches.get(key);
+    if (!state) return false;
+
+    this.matches.delete(key);
+    this.emit('expired', state);
+    return true;
+  }
+
+  /**
+   * Drop finished matches after finishedTtl and idle matches after staleTtl
+   */
+  sweep(now = Date.now()) {
+    let removed = 0;
+
+    for (const state of Array.from(this.matches.values())) {
+      const finishedExpired = state.finishedAt && now - state.finishedAt > this.finishedTtl;
+      const stale = now - state.updatedAt > this.staleTtl;
+
+      if (finishedExpired || stale) {
+        this.remove(state.matchId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.debug(`Match state sweep removed ${removed} matches (${this.matches.size} tracked)`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Start periodic expiry
+   */
+  startExpiry() {
+    this.stopExpiry();
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Stop periodic expiry
+   */
+  stopExpiry() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Remove all state
+   */
+  clear() {
+    this.matches.clear();
+  }
+}
+
+/**
+ * Global match state store instance
+ */
+export const matchStore = new MatchStateStore();
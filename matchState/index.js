@@ -0,0 +1 @@
+export { MatchStateStore, matchStore, parseScore } from './MatchStateStore.js';
@@ -0,0 +1,149 @@
+import { logger } from '../src/utils/logger.js';
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#039;': "'" };
+
+/**
+ * Notifier error carrying the HTTP status and Retry-After (seconds) if any
+ */
+export class NotifierError extends Error {
+  constructor(message, statusCode = null, retryAfter = null) {
+    super(message);
+    this.name = 'NotifierError';
+    this.statusCode = statusCode;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Base Notifier
+ * Common interface for every alert destination:
+ *   initialize()      - connect / verify configuration
+ *   sendAlert(alert)  - deliver to the notifier's default destination
+ *   dispatch(alert)   - deliver a routed alert, resolves to [{ target, success, result|error }]
+ *   stop()            - release resources
+ *
+ * Also provides JSON POST with retries for the webhook-based notifiers.
+ */
+export class BaseNotifier {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.retryAttempts = options.retryAttempts || 3;
+    this.retryDelay = options.retryDelay || 1000;
+    this.timeout = options.timeout || 5000;
+    this.maxRateLimitRetries = options.maxRateLimitRetries ?? 5;
+  }
+
+  /**
+   * Prepare the notifier (nothing to do for plain webhooks)
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Deliver an alert to the default destination
+   */
+  async sendAlert() {
+    throw new Error(`${this.constructor.name} must implement sendAlert()`);
+  }
+
+  /**
+   * Deliver a routed alert
+   * Single-destination notifiers report one result
+   */
+  async dispatch(alert) {
+    try {
+      const result = await this.sendAlert(alert);
+      return [{ target: this.name, success: true, result }];
+    } catch (error) {
+      logger.error(`${this.name} delivery failed: ${error.message}`);
+      return [{ target: this.name, success: false, error: error.message }];
+    }
+  }
+
+  /**
+   * Release resources
+   */
+  stop() {}
+
+  /**
+   * Convert the Telegram HTML alert message to another markup
+   * markup: { bold, italic, strike, code } wrappers, keepEntities leaves &amp; &lt; &gt; escaped
+   */
+  convertMessage(message, markup = {}, keepEntities = false) {
+    const wrap = (tag, marker) => {
+      const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+      return text =>
+        text.replace(pattern, (match, inner) => (marker ? `${marker}${inner}${marker}` : inner));
+    };
+
+    let text = [
+      wrap('b', markup.bold),
+      wrap('i', markup.italic),
+      wrap('s', markup.strike),
+      wrap('code', markup.code),
+    ].reduce((result, convert) => convert(result), message || '');
+
+    text = text.replace(/<[^>]+>/g, '');
+
+    if (keepEntities) {
+      return text.replace(/&quot;|&#039;/g, entity => ENTITIES[entity]);
+    }
+    return text.replace(/&(amp|lt|gt|quot|#039);/g, entity => ENTITIES[entity]);
+  }
+
+  /**
+   * POST a JSON body with retry logic
+   * 429: wait Retry-After
+   * Other 4xx: permanent, no retry
+   * Network / 5xx / timeout: exponential backoff up to retryAttempts
+   */
+  async postJson(url, payload, headers = {}, attempt = 1, rateLimitRetries = 0) {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body,
+        signal: AbortSignal.timeout(this.timeout),
+      });
+
+      const text = await response.text();
+      if (!response.ok) {
+        const retryAfter = parseFloat(response.headers.get('retry-after')) || null;
+        throw new NotifierError(
+          `${this.name} responded ${response.status}: ${text.slice(0, 200)}`,
+          response.status,
+          retryAfter
+        );
+      }
+
+      return { statusCode: response.status, body: text };
+    } catch (error) {
+      const { statusCode, retryAfter } = error;
+
+      if (statusCode === 429 && retryAfter && rateLimitRetries < this.maxRateLimitRetries) {
+        logger.warn(`${this.name} rate limit hit, retrying after ${retryAfter}s`);
+        await this.delay(retryAfter * 1000);
+        return this.postJson(url, body, headers, attempt, rateLimitRetries + 1);
+      }
+
+      if ((statusCode >= 400 && statusCode < 500) || attempt >= this.retryAttempts) {
+        throw error;
+      }
+
+      logger.warn(`${this.name} retry attempt ${attempt} for message delivery`);
+      await this.delay(this.retryDelay * 2 ** (attempt - 1));
+
+      return this.postJson(url, body, headers, attempt + 1, rateLimitRetries);
+    }
+  }
+
+  /**
+   * Delay helper
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
@@ -0,0 +1,55 @@
+import { BaseNotifier } from './BaseNotifier.js';
+
+const SEVERITY_COLORS = {
+  high: 0xe74c3c,
+  medium: 0xf1c40f,
+  low: 0x3498db,
+  info: 0x95a5a6,
+};
+
+const MAX_DESCRIPTION = 4096;
+
+/**
+ * Discord Notifier
+ * Posts alerts to a channel through a Discord webhook as one embed,
+ * coloured by severity
+ */
+export class DiscordNotifier extends BaseNotifier {
+  constructor(webhookUrl, options = {}) {
+    super(options.name || 'discord', options);
+    this.webhookUrl = webhookUrl;
+    this.username = options.username || 'Sports Alerts';
+  }
+
+  /**
+   * Build the webhook payload
+   */
+  formatPayload(alert) {
+    const description = this.convertMessage(alert.message || `Alert: ${alert.type}`, {
+      bold: '**',
+      italic: '*',
+      strike: '~~',
+      code: '`',
+    });
+
+    return {
+      username: this.username,
+      allowed_mentions: { parse: [] },
+      embeds: [
+        {
+          description: description.slice(0, MAX_DESCRIPTION),
+          color: SEVERITY_COLORS[alert.severity] ?? SEVERITY_COLORS.info,
+          timestamp: new Date(alert.timestamp || Date.now()).toISOString(),
+          footer: { text: [alert.type, alert.source].filter(Boolean).join(' · ') },
+        },
+      ],
+    };
+  }
+
+  /**
+   * Post an alert to the webhook
+   */
+  async sendAlert(alert) {
+    return this.postJson(this.webhookUrl, this.formatPayload(alert));
+  }
+}
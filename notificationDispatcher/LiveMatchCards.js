@@ -0,0 +1,281 @@
+import { logger } from '../src/utils/logger.js';
+import { escapeHtml } from '../src/utils/validation.js';
+import { matchStore } from '../matchState/index.js';
+import { MessagePriority } from './TelegramNotifier.js';
+
+// Alert types shown on the card instead of as separate messages in the card's chat
+const FOLDED_TYPES = ['yellow_card', 'red_card'];
+
+const CARD_ICONS = {
+  yellow_card: '🟨',
+  red_card: '🟥',
+};
+
+const GOAL_LABELS = {
+  penalty: ' (pen)',
+  own_goal: ' (OG)',
+};
+
+const formatMinute = incident =>
+  incident.minute === undefined || incident.minute === null
+    ? ''
+    : ` ${incident.minute}${incident.addedTime ? `+${incident.addedTime}` : ''}'`;
+
+/**
+ * Live Match Cards
+ * One pinned Telegram message per followed match, edited as the game
+ * progresses (score, minute, scorers, cards). Built from the match store, so
+ * it shows the player details the collectors fetch for goal and card events.
+ *
+ * Matches are followed when a team matches /follow or LIVE_CARD_TEAMS.
+ * Goal alerts are still pushed; card alerts for those matches are folded into
+ * the card. Edits are throttled per match (editInterval) to stay within
+ * Telegram's per-chat limits.
+ */
+export class LiveMatchCards {
+  constructor(notifier, options = {}) {
+    this.notifier = notifier;
+    this.chatId = String(options.chatId || notifier.chatId);
+    this.matchStore = options.matchStore || matchStore;
+    this.processor = options.processor || null;
+    this.teams = (options.teams || []).map(team => team.toLowerCase());
+    this.editInterval = options.editInterval ?? 30000;
+    this.cards = new Map(); // matchId -> { messageId, text, lastEditAt, timer, pending, stale }
+    this.listeners = {
+      incident: state => this.schedule(state.matchId, true),
+      updated: state => this.schedule(state.matchId),
+      finished: state => this.finish(state.matchId),
+      expired: state => this.forget(state.matchId),
+    };
+  }
+
+  /**
+   * Start following match store updates
+   */
+  start() {
+    Object.entries(this.listeners).forEach(([event, listener]) =>
+      this.matchStore.on(event, listener)
+    );
+    logger.info(`📌 Live match cards enabled for chat ${this.chatId}`);
+  }
+
+  /**
+   * Stop following updates (cards stay pinned)
+   */
+  stop() {
+    Object.entries(this.listeners).forEach(([event, listener]) =>
+      this.matchStore.off(event, listener)
+    );
+    this.cards.forEach(card => clearTimeout(card.timer));
+  }
+
+  /**
+   * Check if a match gets a live card
+   */
+  isFollowed(state) {
+    if (!state?.homeTeam || this.processor?.mutedMatches?.has(state.matchId)) {
+      return false;
+    }
+
+    const teams = [...this.teams, ...(this.processor?.followedTeams || [])];
+    const names = [state.homeTeam, state.awayTeam].filter(Boolean).map(name => name.toLowerCase());
+
+    return teams.some(team => names.some(name => name.includes(team)));
+  }
+
+  /**
+   * Check if an alert is covered by a live card in a chat
+   * (the notifier skips sending it there)
+   */
+  covers(alert, chatId) {
+    return (
+      String(chatId) === this.chatId &&
+      FOLDED_TYPES.includes(alert.type) &&
+      this.cards.has(String(alert.matchId))
+    );
+  }
+
+  /**
+   * Schedule a card update; incidents update immediately when allowed,
+   * clock ticks wait for the next edit slot
+   */
+  schedule(matchId, urgent = false) {
+    const key = String(matchId);
+    const card = this.cards.get(key);
+
+    if (!card) {
+      if (this.isFollowed(this.matchStore.get(key))) {
+        this.cards.set(key, { messageId: null, text: null, lastEditAt: 0, timer: null });
+        this.update(key);
+      }
+      return;
+    }
+
+    if (card.timer) return;
+    if (card.pending) {
+      card.stale = true;
+      return;
+    }
+
+    const wait = urgent ? 0 : this.editInterval;
+    const delay = Math.max(0, card.lastEditAt + Math.max(wait, 1000) - Date.now());
+    card.timer = setTimeout(() => {
+      card.timer = null;
+      this.update(key);
+    }, delay);
+  }
+
+  /**
+   * Send or edit a match's card
+   */
+  async update(matchId) {
+    const card = this.cards.get(matchId);
+    const state = this.matchStore.get(matchId);
+    if (!card || !state) return;
+
+    const text = this.render(state);
+    if (text === card.text) return;
+
+    const options = { parse_mode: 'HTML', disable_web_page_preview: true };
+    card.pending = true;
+
+    try {
+      if (card.messageId) {
+        await this.notifier.enqueueEdit(
+          this.chatId,
+          card.messageId,
+          text,
+          options,
+          MessagePriority.NORMAL
+        );
+      } else {
+        const message = await this.notifier.enqueue(
+          this.chatId,
+          text,
+          { ...options, disable_notification: true },
+          MessagePriority.NORMAL
+        );
+        card.messageId = message.message_id;
+        await this.pin(card);
+      }
+
+      card.text = text;
+    } catch (error) {
+      // Telegram rejects edits that change nothing
+      if (!/message is not modified/i.test(error.message)) {
+        logger.error(`Failed to update live card for match ${matchId}: ${error.message}`);
+      }
+    } finally {
+      card.lastEditAt = Date.now();
+      card.pending = false;
+    }
+
+    // Changes that arrived while the message was in flight
+    if (card.stale && this.cards.get(matchId) === card) {
+      card.stale = false;
+      this.schedule(matchId, true);
+    }
+  }
+
+  /**
+   * Pin a new card (needs pin rights in groups and channels)
+   */
+  async pin(card) {
+    try {
+      await this.notifier.pinMessage(this.chatId, card.messageId);
+    } catch (error) {
+      logger.warn(`Could not pin live card: ${error.message}`);
+    }
+  }
+
+  /**
+   * Final update at full time, then unpin
+   */
+  async finish(matchId) {
+    const key = String(matchId);
+    const card = this.cards.get(key);
+    if (!card) return;
+
+    clearTimeout(card.timer);
+    await this.update(key);
+    this.cards.delete(key);
+
+    if (card.messageId) {
+      try {
+        await this.notifier.unpinMessage(this.chatId, card.messageId);
+      } catch (error) {
+        logger.warn(`Could not unpin live card: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Drop the card of a match that expired from the store without finishing
+   * (no final edit, the message is unpinned as last sent)
+   */
+  async forget(matchId) {
+    const key = String(matchId);
+    const card = this.cards.get(key);
+    if (!card) return;
+
+    clearTimeout(card.timer);
+    this.cards.delete(key);
+
+    if (card.messageId) {
+      try {
+        await this.notifier.unpinMessage(this.chatId, card.messageId);
+      } catch (error) {
+        logger.warn(`Could not unpin live card: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Render a match state as Telegram HTML
+   */
+  render(state) {
+    const score = state.score ? `${state.score.home} - ${state.score.away}` : 'vs';
+    const finished = state.status?.type === 'finished';
+
+    let message = finished ? '🏁 <b>FULL TIME</b>' : '🔴 <b>LIVE</b>';
+    if (state.tournament) {
+      message += ` · ${escapeHtml(state.tournament)}`;
+    }
+    message += `\n\n<b>${escapeHtml(state.homeTeam)} ${score} ${escapeHtml(state.awayTeam)}</b>\n`;
+    if (!finished) {
+      message += `⏱️ ${state.minute ? `${state.minute}'` : escapeHtml(state.status?.description || 'Live')}\n`;
+    }
+
+    const teamName = incident =>
+      escapeHtml(incident.team === 'away' ? state.awayTeam : state.homeTeam);
+
+    const goals = state.incidents.filter(incident => incident.type === 'goal');
+    if (goals.length > 0) {
+      message += '\n';
+      goals.forEach(goal => {
+        const line = `⚽ ${escapeHtml(goal.player || 'Unknown')}${GOAL_LABELS[goal.goalType] || ''}${formatMinute(goal)} (${teamName(goal)})`;
+        message += goal.cancelled ? `<s>${line}</s> VAR\n` : `${line}\n`;
+      });
+    }
+
+    const cards = state.incidents.filter(incident => CARD_ICONS[incident.type]);
+    if (cards.length > 0) {
+      message += '\n';
+      cards.forEach(card => {
+        message += `${CARD_ICONS[card.type]} ${escapeHtml(card.player || 'Unknown')}${formatMinute(card)} (${teamName(card)})\n`;
+      });
+    }
+
+    return message.trimEnd();
+  }
+
+  /**
+   * Live card status
+   */
+  getStatus() {
+    return {
+      chatId: this.chatId,
+      matches: Array.from(this.cards.keys()),
+    };
+  }
+}
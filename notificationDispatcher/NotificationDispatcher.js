@@ -0,0 +1,137 @@
+import { logger } from '../src/utils/logger.js';
+import { perfMonitor } from '../src/utils/performance.js';
+import { pipelineMetrics } from '../src/utils/metrics.js';
+import { tracer } from '../src/utils/tracing.js';
+
+/**
+ * Notification Dispatcher
+ * Fans each alert out to every configured notifier. Notifiers run in
+ * parallel and fail independently: a Slack outage never delays or drops
+ * the Telegram copy.
+ */
+export class NotificationDispatcher {
+  constructor(notifiers = []) {
+    this.notifiers = [];
+    this.stats = new Map(); // notifier name -> { sent, failed, lastError }
+    notifiers.forEach(notifier => this.add(notifier));
+  }
+
+  /**
+   * Register a notifier (names must be unique)
+   */
+  add(notifier) {
+    if (this.stats.has(notifier.name)) {
+      throw new Error(`Notifier "${notifier.name}" is already registered`);
+    }
+
+    this.notifiers.push(notifier);
+    this.stats.set(notifier.name, { sent: 0, failed: 0, lastError: null });
+    return this;
+  }
+
+  /**
+   * Get a notifier by name
+   */
+  get(name) {
+    return this.notifiers.find(notifier => notifier.name === name) || null;
+  }
+
+  /**
+   * Route an alert through every notifier
+   * Returns one result per delivery: { notifier, success, result|error, ... }
+   */
+  async dispatch(alert) {
+    return this.fanOut(async notifier => {
+      const results = await notifier.dispatch(alert);
+      if (results.some(result => result.success)) {
+        this.observeDelivery(alert);
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Record delivery latency of one notifier (alert created / frame received → delivered)
+   * The first delivery completes the alert's trace
+   */
+  observeDelivery(alert) {
+    const now = Date.now();
+    perfMonitor.record('alert_to_delivered', now - alert.timestamp);
+
+    const frameAt = alert.raw?.trace?.stages.frame_received ?? alert.raw?.timestamp;
+    if (frameAt) {
+      perfMonitor.record('frame_to_delivered', now - frameAt);
+    }
+
+    tracer.complete(alert, now);
+  }
+
+  /**
+   * Send an alert to every notifier's default destination (system messages)
+   */
+  async sendAlert(alert) {
+    return this.fanOut(async notifier => {
+      try {
+        return [{ success: true, result: await notifier.sendAlert(alert) }];
+      } catch (error) {
+        return [{ success: false, error: error.message }];
+      }
+    });
+  }
+
+  /**
+   * Run a delivery on all notifiers in parallel and collect per-notifier results
+   */
+  async fanOut(deliver) {
+    const settled = await Promise.allSettled(this.notifiers.map(notifier => deliver(notifier)));
+
+    return settled.flatMap((outcome, index) => {
+      const notifier = this.notifiers[index];
+      let results = outcome.value;
+
+      if (outcome.status === 'rejected') {
+        logger.error(`${notifier.name} notifier failed: ${outcome.reason.message}`);
+        results = [{ success: false, error: outcome.reason.message }];
+      }
+
+      return results.map(result => {
+        this.record(notifier.name, result);
+        return { notifier: notifier.name, ...result };
+      });
+    });
+  }
+
+  /**
+   * Update per-notifier counters
+   */
+  record(name, result) {
+    pipelineMetrics.notifications.inc({
+      notifier: name,
+      outcome: result.success ? 'success' : 'failure',
+    });
+
+    const stats = this.stats.get(name);
+    if (!stats) return;
+
+    if (result.success) {
+      stats.sent++;
+    } else {
+      stats.failed++;
+      stats.lastError = result.error;
+    }
+  }
+
+  /**
+   * Per-notifier delivery statistics
+   */
+  getStats() {
+    return Object.fromEntries(this.stats);
+  }
+
+  /**
+   * Stop every notifier
+   */
+  stop() {
+    this.notifiers.forEach(notifier => notifier.stop());
+  }
+}
@@ -0,0 +1,33 @@
+import { BaseNotifier } from './BaseNotifier.js';
+
+/**
+ * Slack Notifier
+ * Posts alerts to a channel through a Slack incoming webhook (mrkdwn text)
+ */
+export class SlackNotifier extends BaseNotifier {
+  constructor(webhookUrl, options = {}) {
+    super(options.name || 'slack', options);
+    this.webhookUrl = webhookUrl;
+  }
+
+  /**
+   * Build the webhook payload
+   * Slack expects &, < and > escaped, which the Telegram HTML already has
+   */
+  formatPayload(alert) {
+    const text = this.convertMessage(
+      alert.message || `Alert: ${alert.type}`,
+      { bold: '*', italic: '_', strike: '~', code: '`' },
+      true
+    );
+
+    return { text, mrkdwn: true };
+  }
+
+  /**
+   * Post an alert to the webhook
+   */
+  async sendAlert(alert) {
+    return this.postJson(this.webhookUrl, this.formatPayload(alert));
+  }
+}
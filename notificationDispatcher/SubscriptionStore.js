@@ -0,0 +1,257 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../src/utils/logger.js';
+import { matchStore } from '../matchState/index.js';
+
+export const SEVERITY_LEVELS = ['info', 'low', 'medium', 'high'];
+
+const FILTER_KEYS = ['name', 'teams', 'tournaments', 'eventTypes', 'minSeverity', 'quietHours'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toList = value =>
+  (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+const toMinutes = time => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+};
+
+/**
+ * Subscription Store
+ * Per-chat alert preferences persisted as JSON (default data/subscriptions.json).
+ *
+ * Subscription: {
+ *   chatId, name,
+ *   teams: ['Arsenal'],              // match either side, case-insensitive substring
+ *   tournaments: ['Premier League'], // case-insensitive substring
+ *   eventTypes: ['goal', 'red_card'],
+ *   minSeverity: 'medium',           // info < low < medium < high
+ *   quietHours: { start: '23:00', end: '07:00', timezone: 'Europe/London' }
+ * }
+ * Empty filters match everything.
+ */
+export class SubscriptionStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || 'data/subscriptions.json';
+    this.matchStore = options.matchStore || matchStore;
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * Load subscriptions from disk (missing file = no subscriptions)
+   */
+  load() {
+    this.subscriptions.clear();
+
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const document = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+    (document.subscriptions || []).forEach((subscription, index) => {
+      try {
+        const normalized = this.normalize(subscription);
+        this.subscriptions.set(normalized.chatId, normalized);
+      } catch (error) {
+        throw new Error(`${this.filePath} subscriptions[${index}]: ${error.message}`);
+      }
+    });
+
+    logger.info(`📬 Loaded ${this.subscriptions.size} subscriptions from ${this.filePath}`);
+    return this;
+  }
+
+  /**
+   * Write subscriptions to disk (atomic rename)
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    const document = { subscriptions: this.list() };
+    fs.writeFileSync(tempPath, JSON.stringify(document, null, 2) + '\n');
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Validate and normalize a subscription
+   */
+  normalize(subscription) {
+    if (!subscription || subscription.chatId === undefined || subscription.chatId === '') {
+      throw new Error('chatId is required');
+    }
+
+    const unknown = Object.keys(subscription).filter(
+      key => key !== 'chatId' && !FILTER_KEYS.includes(key)
+    );
+    if (unknown.length > 0) {
+      throw new Error(`unknown field(s): ${unknown.join(', ')}`);
+    }
+
+    const minSeverity = subscription.minSeverity || null;
+    if (minSeverity && !SEVERITY_LEVELS.includes(minSeverity)) {
+      throw new Error(`minSeverity must be one of ${SEVERITY_LEVELS.join(', ')}`);
+    }
+
+    let quietHours = null;
+    if (subscription.quietHours) {
+      const { start, end, timezone } = subscription.quietHours;
+      if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+        throw new Error('quietHours needs start and end as HH:MM');
+      }
+      if (timezone) {
+        try {
+          new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+        } catch {
+          throw new Error(`unknown quietHours timezone ${timezone}`);
+        }
+      }
+      quietHours = { start, end, ...(timezone ? { timezone } : {}) };
+    }
+
+    return {
+      chatId: String(subscription.chatId),
+      name: subscription.name || null,
+      teams: toList(subscription.teams),
+      tournaments: toList(subscription.tournaments),
+      eventTypes: toList(subscription.eventTypes),
+      minSeverity,
+      quietHours,
+    };
+  }
+
+  /**
+   * Create or replace a chat's subscription and persist it
+   */
+  set(chatId, filters = {}) {
+    const subscription = this.normalize({ ...filters, chatId });
+    this.subscriptions.set(subscription.chatId, subscription);
+    this.save();
+    logger.info(`📬 Subscription saved for chat ${subscription.chatId}`);
+    return subscription;
+  }
+
+  /**
+   * Remove a chat's subscription and persist
+   */
+  remove(chatId) {
+    const removed = this.subscriptions.delete(String(chatId));
+    if (removed) {
+      this.save();
+      logger.info(`📭 Subscription removed for chat ${chatId}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Get a chat's subscription
+   */
+  get(chatId) {
+    return this.subscriptions.get(String(chatId)) || null;
+  }
+
+  /**
+   * Check if a chat has a subscription
+   */
+  has(chatId) {
+    return this.subscriptions.has(String(chatId));
+  }
+
+  /**
+   * List all subscriptions
+   */
+  list() {
+    return Array.from(this.subscriptions.values());
+  }
+
+  /**
+   * Number of subscriptions
+   */
+  get size() {
+    return this.subscriptions.size;
+  }
+
+  /**
+   * Check if "now" falls inside a subscription's quiet hours
+   */
+  isQuiet(quietHours, now = new Date()) {
+    if (!quietHours) return false;
+
+    const [hours, minutes] = new Intl.DateTimeFormat('en-GB', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZone: quietHours.timezone,
+    })
+      .format(now)
+      .split(':')
+      .map(Number);
+
+    const current = hours * 60 + minutes;
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    // Ranges may wrap past midnight (23:00-07:00)
+    return start <= end ? current >= start && current < end : current >= start || current < end;
+  }
+
+  /**
+   * Check an alert against one subscription
+   */
+  matches(subscription, alert, now = new Date()) {
+    // Late goal details follow the goal preference
+    const type = alert.type === 'goal_update' ? 'goal' : alert.type;
+    if (subscription.eventTypes.length > 0 && !subscription.eventTypes.includes(type)) {
+      return false;
+    }
+
+    if (subscription.minSeverity) {
+      const severity = SEVERITY_LEVELS.indexOf(alert.severity || 'medium');
+      if (severity < SEVERITY_LEVELS.indexOf(subscription.minSeverity)) {
+        return false;
+      }
+    }
+
+    const state = alert.matchId !== undefined ? this.matchStore.get(alert.matchId) : null;
+
+    if (subscription.teams.length > 0) {
+      const teams = [
+        alert.data?.homeTeam || state?.homeTeam,
+        alert.data?.awayTeam || state?.awayTeam,
+      ]
+        .filter(Boolean)
+        .map(team => team.toLowerCase());
+
+      const followed = subscription.teams.some(name =>
+        teams.some(team => team.includes(name.toLowerCase()))
+      );
+      if (!followed) return false;
+    }
+
+    if (subscription.tournaments.length > 0) {
+      const tournament = (
+        alert.raw?.tournament ||
+        alert.data?.tournament ||
+        state?.tournament ||
+        ''
+      ).toLowerCase();
+
+      if (!subscription.tournaments.some(name => tournament.includes(name.toLowerCase()))) {
+        return false;
+      }
+    }
+
+    return !this.isQuiet(subscription.quietHours, now);
+  }
+
+  /**
+   * Chat IDs that should receive an alert
+   */
+  getRecipients(alert, now = new Date()) {
+    return this.list()
+      .filter(subscription => this.matches(subscription, alert, now))
+      .map(subscription => subscription.chatId);
+  }
+}
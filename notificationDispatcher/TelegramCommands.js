@@ -0,0 +1,413 @@
+import { logger } from '../src/utils/logger.js';
+import { perfMonitor } from '../src/utils/performance.js';
+import { escapeHtml } from '../src/utils/validation.js';
+import { matchStore } from '../matchState/index.js';
+import { MessagePriority } from './TelegramNotifier.js';
+
+const MAX_MATCHES_LISTED = 30;
+
+const HELP = [
+  '🤖 <b>Operator commands</b>',
+  '',
+  '/status - Pipeline and collector status',
+  '/matches - Tracked live matches',
+  '/mute &lt;matchId&gt; - Mute alerts for a match',
+  '/unmute &lt;matchId&gt; - Unmute a match',
+  '/follow &lt;team&gt; - Only alert for followed teams',
+  '/unfollow &lt;team&gt; - Stop following a team',
+  '/pause - Pause all match alerts',
+  '/resume - Resume alerts',
+  '/stats - Processing statistics',
+  '/subscriptions - List subscribers',
+  '/subscribe &lt;chatId|me&gt; [teams=A,B] [tournaments=X] [types=goal,red_card] [severity=high] [quiet=23:00-07:00] [tz=Europe/London]',
+  '/unsubscribe &lt;chatId|me&gt; - Remove a subscriber',
+].join('\n');
+
+const SUBSCRIBE_KEYS = {
+  name: 'name',
+  teams: 'teams',
+  tournaments: 'tournaments',
+  types: 'eventTypes',
+  severity: 'minSeverity',
+};
+
+/**
+ * Telegram Commands
+ * Interactive operator interface on top of the TelegramNotifier bot.
+ * Only chats in the admin allow-list get answers; everything else is ignored.
+ */
+export class TelegramCommands {
+  constructor(notifier, pipeline, options = {}) {
+    this.notifier = notifier;
+    this.pipeline = pipeline;
+    this.adminChatIds = new Set((options.adminChatIds || []).map(String));
+    this.matchStore = options.matchStore || matchStore;
+    this.subscriptions = options.subscriptions || null;
+    this.isRunning = false;
+    this.handlers = {
+      start: () => HELP,
+      help: () => HELP,
+      status: () => this.status(),
+      matches: () => this.matches(),
+      mute: arg => this.mute(arg),
+      unmute: arg => this.unmute(arg),
+      follow: arg => this.follow(arg),
+      unfollow: arg => this.unfollow(arg),
+      pause: () => this.pause(),
+      resume: () => this.resume(),
+      stats: () => this.stats(),
+      subscriptions: () => this.listSubscriptions(),
+      subscribe: (arg, chatId) => this.subscribe(arg, chatId),
+      unsubscribe: (arg, chatId) => this.unsubscribe(arg, chatId),
+    };
+    this.onMessage = message => this.handleMessage(message);
+    this.onPollingError = error => logger.warn(`Telegram polling error: ${error.message}`);
+  }
+
+  get bot() {
+    return this.notifier.bot;
+  }
+
+  get processor() {
+    return this.pipeline.processor;
+  }
+
+  /**
+   * Start polling for commands
+   */
+  async start() {
+    if (this.isRunning) return;
+
+    if (this.adminChatIds.size === 0) {
+      logger.warn('⚠️ Telegram commands disabled: TELEGRAM_ADMIN_CHAT_IDS is empty');
+      return;
+    }
+
+    this.bot.on('message', this.onMessage);
+    this.bot.on('polling_error', this.onPollingError);
+    await this.bot.startPolling();
+    this.isRunning = true;
+
+    logger.info(`🤖 Telegram commands enabled for ${this.adminChatIds.size} admin chat(s)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  async stop() {
+    if (!this.isRunning) return;
+
+    this.bot.removeListener('message', this.onMessage);
+    this.bot.removeListener('polling_error', this.onPollingError);
+    await this.bot.stopPolling();
+    this.isRunning = false;
+  }
+
+  /**
+   * Check the allow-list
+   */
+  isAdmin(chatId) {
+    return this.adminChatIds.has(String(chatId));
+  }
+
+  /**
+   * Parse "/command@BotName argument"
+   */
+  parseCommand(text) {
+    const match = text?.trim().match(/^\/(\w+)(?:@\w+)?(?:\s+([\s\S]+))?$/);
+    return match ? { command: match[1].toLowerCase(), arg: match[2]?.trim() || '' } : null;
+  }
+
+  /**
+   * Handle an incoming message
+   */
+  async handleMessage(message) {
+    const parsed = this.parseCommand(message.text);
+    if (!parsed) return;
+
+    const chatId = message.chat.id;
+
+    if (!this.isAdmin(chatId)) {
+      logger.warn(`Ignoring /${parsed.command} from non-admin chat ${chatId}`);
+      return;
+    }
+
+    const handler = this.handlers[parsed.command];
+    let reply;
+
+    try {
+      reply = handler
+        ? await handler(parsed.arg, chatId)
+        : `Unknown command /${parsed.command}\n\n${HELP}`;
+      logger.info(`🤖 /${parsed.command} from chat ${chatId}`);
+    } catch (error) {
+      logger.error(`Command /${parsed.command} failed: ${error.message}`);
+      reply = `❌ /${parsed.command} failed: ${escapeHtml(error.message)}`;
+    }
+
+    try {
+      await this.notifier.enqueue(
+        chatId,
+        reply,
+        { parse_mode: 'HTML', disable_web_page_preview: true },
+        MessagePriority.COMMAND
+      );
+    } catch (error) {
+      logger.error(`Failed to answer /${parsed.command}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Format a duration in ms as "2h 5m"
+   */
+  formatUptime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  }
+
+  /**
+   * /status
+   */
+  status() {
+    const status = this.pipeline.getStatus();
+    const controls = this.processor.getControls();
+    const uptime = status.stats.startTime ? Date.now() - status.stats.startTime : 0;
+
+    const lines = [
+      `📡 <b>Pipeline ${status.isRunning ? 'running' : 'stopped'}</b> (up ${this.formatUptime(uptime)})`,
+      '',
+      ...status.collectors.map(
+        collector => `${collector.connected ? '✅' : '❌'} ${collector.name}`
+      ),
+      '',
+      `🏟️ Tracked matches: ${status.trackedMatches}`,
+      `🔔 Alerts: ${controls.paused ? '⏸️ paused' : 'active'}`,
+    ];
+
+    if (controls.mutedMatches.length > 0) {
+      lines.push(`🔇 Muted: ${escapeHtml(controls.mutedMatches.join(', '))}`);
+    }
+    if (controls.followedTeams.length > 0) {
+      lines.push(`⭐ Following: ${escapeHtml(controls.followedTeams.join(', '))}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * /matches
+   */
+  matches() {
+    const controls = this.processor.getControls();
+    const live = this.matchStore.list().filter(state => state.status?.type !== 'finished');
+
+    if (live.length === 0) {
+      return '🏟️ No live matches tracked';
+    }
+
+    const lines = live.slice(0, MAX_MATCHES_LISTED).map(state => {
+      const score = state.score ? `${state.score.home}-${state.score.away}` : 'vs';
+      const minute = typeof state.minute === 'number' ? ` (${state.minute}')` : '';
+      const muted = controls.mutedMatches.includes(state.matchId) ? ' 🔇' : '';
+      const teams = escapeHtml(
+        `${state.homeTeam || 'Unknown'} ${score} ${state.awayTeam || 'Unknown'}`
+      );
+      return `<code>${escapeHtml(String(state.matchId))}</code> ${teams}${minute}${muted}`;
+    });
+
+    if (live.length > MAX_MATCHES_LISTED) {
+      lines.push(`…and ${live.length - MAX_MATCHES_LISTED} more`);
+    }
+
+    return `🏟️ <b>Live matches (${live.length})</b>\n\n${lines.join('\n')}`;
+  }
+
+  /**
+   * /mute <matchId>
+   */
+  mute(matchId) {
+    if (!matchId) return 'Usage: /mute &lt;matchId&gt;';
+
+    this.processor.muteMatch(matchId);
+    const state = this.matchStore.get(matchId);
+    const label = state?.homeTeam ? `${state.homeTeam} vs ${state.awayTeam}` : matchId;
+    return `🔇 Muted ${escapeHtml(label)}`;
+  }
+
+  /**
+   * /unmute <matchId>
+   */
+  unmute(matchId) {
+    if (!matchId) return 'Usage: /unmute &lt;matchId&gt;';
+
+    return this.processor.unmuteMatch(matchId)
+      ? `🔊 Unmuted ${escapeHtml(matchId)}`
+      : `Match ${escapeHtml(matchId)} was not muted`;
+  }
+
+  /**
+   * /follow <team>
+   */
+  follow(team) {
+    if (!team) return 'Usage: /follow &lt;team&gt;';
+
+    this.processor.followTeam(team);
+    const teams = this.processor.getControls().followedTeams;
+    return `⭐ Following ${escapeHtml(team)}\nOnly alerts for: ${escapeHtml(teams.join(', '))}`;
+  }
+
+  /**
+   * /unfollow <team>
+   */
+  unfollow(team) {
+    if (!team) return 'Usage: /unfollow &lt;team&gt;';
+
+    if (!this.processor.unfollowTeam(team)) {
+      return `Not following ${escapeHtml(team)}`;
+    }
+
+    const teams = this.processor.getControls().followedTeams;
+    return teams.length > 0
+      ? `Unfollowed ${escapeHtml(team)}\nOnly alerts for: ${escapeHtml(teams.join(', '))}`
+      : `Unfollowed ${escapeHtml(team)}\nAlerts for all matches`;
+  }
+
+  /**
+   * /pause
+   */
+  pause() {
+    this.processor.pause();
+    return '⏸️ Match alerts paused (use /resume)';
+  }
+
+  /**
+   * /resume
+   */
+  resume() {
+    this.processor.resume();
+    return '▶️ Match alerts resumed';
+  }
+
+  /**
+   * /stats
+   */
+  stats() {
+    const { stats } = this.pipeline.getStatus();
+    const controls = this.processor.getControls();
+    const metrics = perfMonitor.getAllMetrics();
+
+    const lines = [
+      '📊 <b>Statistics</b>',
+      '',
+      `Events processed: ${stats.eventsProcessed}`,
+      `Alerts sent: ${stats.alertsSent}`,
+      `Alerts suppressed: ${controls.suppressedAlerts}`,
+      `Errors: ${stats.errors}`,
+    ];
+
+    const queue = this.notifier.getQueueStats();
+    lines.push(
+      '',
+      '📤 <b>Outbound queue</b>',
+      `Depth: ${queue.depth} (oldest ${Math.round(queue.oldestAge / 1000)}s)`,
+      `Sent: ${queue.sent}, failed: ${queue.failed}`,
+      `Dropped: ${queue.dropped}, expired: ${queue.expired}, rate limited: ${queue.rateLimited}`
+    );
+
+    const timings = Object.entries(metrics).map(
+      ([label, metric]) =>
+        `${label}: p50 ${metric.p50}ms, p95 ${metric.p95}ms, p99 ${metric.p99}ms (${metric.count}${metric.failures ? `, ${metric.failures} failed` : ''})`
+    );
+    if (timings.length > 0) {
+      lines.push('', '⚡ <b>Timings</b>', ...timings.map(line => escapeHtml(line)));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Describe a subscription in one line
+   */
+  formatSubscription(subscription) {
+    const filters = [
+      subscription.teams.length > 0 && `teams: ${subscription.teams.join(', ')}`,
+      subscription.tournaments.length > 0 && `tournaments: ${subscription.tournaments.join(', ')}`,
+      subscription.eventTypes.length > 0 && `types: ${subscription.eventTypes.join(', ')}`,
+      subscription.minSeverity && `severity ≥ ${subscription.minSeverity}`,
+      subscription.quietHours &&
+        `quiet ${subscription.quietHours.start}-${subscription.quietHours.end}` +
+          (subscription.quietHours.timezone ? ` ${subscription.quietHours.timezone}` : ''),
+    ].filter(Boolean);
+
+    const label = subscription.name ? `${subscription.name} ` : '';
+    return `<code>${escapeHtml(String(subscription.chatId))}</code> ${escapeHtml(
+      label + (filters.length > 0 ? filters.join('; ') : 'all alerts')
+    )}`;
+  }
+
+  /**
+   * /subscriptions
+   */
+  listSubscriptions() {
+    if (!this.subscriptions || this.subscriptions.size === 0) {
+      return '📭 No subscribers';
+    }
+
+    const lines = this.subscriptions
+      .list()
+      .map(subscription => this.formatSubscription(subscription));
+    return `📬 <b>Subscribers (${lines.length})</b>\n\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Parse "key=value key=value" where values may contain spaces
+   */
+  parseFilters(text) {
+    const filters = {};
+    if (!text) return filters;
+
+    for (const part of text.split(/\s+(?=\w+=)/)) {
+      const [, key, value] = part.match(/^(\w+)=(.*)$/) || [];
+
+      if (key === 'quiet') {
+        const [start, end] = value.split('-').map(time => time.trim());
+        filters.quietHours = { ...filters.quietHours, start, end };
+      } else if (key === 'tz') {
+        filters.quietHours = { ...filters.quietHours, timezone: value.trim() };
+      } else if (SUBSCRIBE_KEYS[key]) {
+        filters[SUBSCRIBE_KEYS[key]] = value.trim();
+      } else {
+        throw new Error(`unknown filter "${part}"`);
+      }
+    }
+
+    return filters;
+  }
+
+  /**
+   * /subscribe <chatId|me> [filters]
+   */
+  subscribe(arg, chatId) {
+    if (!this.subscriptions) return 'Subscriptions are not configured';
+
+    const [target, ...rest] = arg.split(/\s+/);
+    if (!target) return 'Usage: /subscribe &lt;chatId|me&gt; [teams=A,B] [types=goal] ...';
+
+    const subscriberId = target === 'me' ? chatId : target;
+    const subscription = this.subscriptions.set(subscriberId, this.parseFilters(rest.join(' ')));
+    return `📬 Subscribed ${this.formatSubscription(subscription)}`;
+  }
+
+  /**
+   * /unsubscribe <chatId|me>
+   */
+  unsubscribe(arg, chatId) {
+    if (!this.subscriptions) return 'Subscriptions are not configured';
+    if (!arg) return 'Usage: /unsubscribe &lt;chatId|me&gt;';
+
+    const subscriberId = arg === 'me' ? chatId : arg;
+    return this.subscriptions.remove(subscriberId)
+      ? `📭 Unsubscribed <code>${escapeHtml(String(subscriberId))}</code>`
+      : `Chat ${escapeHtml(String(subscriberId))} has no subscription`;
+  }
+}
@@ -1,21 +1,62 @@
 import TelegramBot from 'node-telegram-bot-api';
 import { logger } from '../src/utils/logger.js';
+import { markStage } from '../src/utils/tracing.js';
+import { escapeHtml } from '../src/utils/validation.js';
+import { BaseNotifier } from './BaseNotifier.js';
+
+/**
+ * Outbound priorities (lower is sent first)
+ */
+export const MessagePriority = Object.freeze({
+  COMMAND: 0,
+  CRITICAL: 1, // goals, red cards, corrections
+  HIGH: 2, // high-severity rule alerts
+  NORMAL: 3, // yellow cards, other alerts
+  SYSTEM: 4,
+});
+
+const CRITICAL_TYPES = ['goal', 'red_card', 'score_correction'];
 
 /**
  * Telegram Notifier
  * Sends instant notifications to Telegram
  * Optimized for <200ms delivery time
+ *
+ * All messages go through a priority queue that respects Telegram's limits:
+ * ~30 messages/second overall, 1/second per chat, 20/minute per group.
+ * Chats are served concurrently, one call in flight per chat, so a slow or
+ * rate-limited chat never holds up the others. A 429 puts the message back
+ * in the queue and holds its chat for the `retry_after` Telegram returns.
  */
-export class TelegramNotifier {
+export class TelegramNotifier extends BaseNotifier {
   constructor(token, options = {}) {
+    super('telegram', options);
     this.token = token;
     this.chatId = options.chatId;
     this.bot = null;
     this.messageQueue = [];
-    this.isProcessing = false;
-    this.retryAttempts = options.retryAttempts || 3;
-    this.retryDelay = options.retryDelay || 1000;
+    this.inFlight = new Set(); // chats with a call in progress
+    this.wakeTimer = null;
     this.parseMode = options.parseMode || 'HTML';
+    this.subscriptions = options.subscriptions || null;
+    this.liveCards = null;
+    this.globalRate = options.globalRate || 30; // messages per second
+    this.chatInterval = options.chatInterval ?? 1000; // ms between messages to one chat
+    this.groupInterval = options.groupInterval ?? 3000; // ms between messages to one group
+    this.maxQueueSize = options.maxQueueSize || 500;
+    this.maxQueueAge = options.maxQueueAge ?? 5 * 60 * 1000; // drop messages older than this
+    this.chatReadyAt = new Map();
+    this.recentSends = [];
+    this.maxTrackedAlerts = options.maxTrackedAlerts || 500;
+    this.sentMessages = new Map(); // alert id -> [{ chatId, messageId, text, corrected }]
+    this.pendingDeliveries = new Map(); // alert id -> broadcast still in the queue
+    this.queueStats = {
+      sent: 0,
+      failed: 0,
+      dropped: 0,
+      expired: 0,
+      rateLimited: 0,
+    };
   }
 
   /**
@@ -36,6 +77,16 @@ export class TelegramNotifier {
     }
   }
 
+  /**
+   * Queue priority of an alert
+   */
+  getPriority(alert) {
+    if (alert.type === 'system') return MessagePriority.SYSTEM;
+    if (CRITICAL_TYPES.includes(alert.type)) return MessagePriority.CRITICAL;
+    if (alert.severity === 'high') return MessagePriority.HIGH;
+    return MessagePriority.NORMAL;
+  }
+
   /**
    * Send alert to Telegram
    */
@@ -54,17 +105,26 @@ export class TelegramNotifier {
       // Format message
       const message = this.formatAlert(alert);
 
-      // Send message with retry logic
-      const result = await this.sendWithRetry(chatId, message, {
-        parse_mode: this.parseMode,
-        disable_web_page_preview: true,
-      });
+      // Queue message (rate limits, priority, retries)
+      markStage(alert, 'queued');
+      const result = await this.enqueue(
+        chatId,
+        message,
+        {
+          parse_mode: this.parseMode,
+          disable_web_page_preview: true,
+        },
+        this.getPriority(alert)
+      );
+
+      this.rememberMessage(alert.id, chatId, result.message_id, message);
 
       const deliveryTime = Date.now() - startTime;
       logger.info(`Alert sent in ${deliveryTime}ms`, {
         type: alert.type,
         chatId,
         messageId: result.message_id,
+        traceId: alert.traceId,
       });
 
       return result;
@@ -74,21 +134,247 @@ export class TelegramNotifier {
     }
   }
 
+  /**
+   * Add a message to the outbound queue
+   * Resolves with the Telegram message once delivered
+   */
+  enqueue(chatId, message, options = {}, priority = MessagePriority.NORMAL) {
+    return this.schedule(chatId, priority, () => this.sendWithRetry(chatId, message, options));
+  }
+
+  /**
+   * Queue an edit of a message that was already sent
+   */
+  enqueueEdit(chatId, messageId, message, options = {}, priority = MessagePriority.CRITICAL) {
+    return this.schedule(chatId, priority, () =>
+      this.withRetry(
+        () =>
+          this.bot.editMessageText(message, {
+            chat_id: chatId,
+            message_id: messageId,
+            ...options,
+          }),
+        chatId
+      )
+    );
+  }
+
+  /**
+   * Queue pinning a message (silently)
+   */
+  pinMessage(chatId, messageId, priority = MessagePriority.SYSTEM) {
+    return this.schedule(chatId, priority, () =>
+      this.withRetry(
+        () => this.bot.pinChatMessage(chatId, messageId, { disable_notification: true }),
+        chatId
+      )
+    );
+  }
+
+  /**
+   * Queue unpinning a message
+   */
+  unpinMessage(chatId, messageId, priority = MessagePriority.SYSTEM) {
+    return this.schedule(chatId, priority, () =>
+      this.withRetry(() => this.bot.unpinChatMessage(chatId, { message_id: messageId }), chatId)
+    );
+  }
+
+  /**
+   * Queue a Bot API call for a chat
+   */
+  schedule(chatId, priority, run) {
+    return new Promise((resolve, reject) => {
+      const item = {
+        chatId: String(chatId),
+        run,
+        priority,
+        enqueuedAt: Date.now(),
+        rateLimitRetries: 0,
+        resolve,
+        reject,
+      };
+
+      if (this.messageQueue.length >= this.maxQueueSize) {
+        // Make room by dropping the newest message of the lowest priority
+        const lowest = this.messageQueue[this.messageQueue.length - 1];
+        if (lowest.priority <= priority) {
+          this.queueStats.dropped++;
+          reject(new Error('Outbound queue full'));
+          return;
+        }
+
+        this.messageQueue.pop();
+        this.queueStats.dropped++;
+        lowest.reject(new Error('Dropped from full outbound queue'));
+        logger.warn('Outbound queue full, dropped lower-priority message', {
+          chatId: lowest.chatId,
+          priority: lowest.priority,
+        });
+      }
+
+      // Keep the queue ordered by priority, FIFO within a priority
+      const index = this.messageQueue.findIndex(queued => queued.priority > priority);
+      if (index === -1) {
+        this.messageQueue.push(item);
+      } else {
+        this.messageQueue.splice(index, 0, item);
+      }
+
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Earliest time the next message may go out (global rate)
+   */
+  getGlobalReadyAt(now) {
+    this.recentSends = this.recentSends.filter(time => now - time < 1000);
+    return this.recentSends.length >= this.globalRate ? this.recentSends[0] + 1000 : now;
+  }
+
+  /**
+   * Start queued calls in priority order within the rate limits
+   * Calls are not awaited here: the queue is processed again when one settles
+   * or when the next chat or global slot opens
+   */
+  processQueue() {
+    clearTimeout(this.wakeTimer);
+    this.wakeTimer = null;
+
+    const now = Date.now();
+
+    // Drop messages that waited too long to still be useful
+    this.messageQueue = this.messageQueue.filter(item => {
+      if (now - item.enqueuedAt <= this.maxQueueAge) return true;
+      this.queueStats.expired++;
+      item.reject(new Error('Message expired in outbound queue'));
+      return false;
+    });
+
+    const isReady = item =>
+      !this.inFlight.has(item.chatId) && (this.chatReadyAt.get(item.chatId) || 0) <= now;
+
+    while (this.getGlobalReadyAt(now) <= now) {
+      const index = this.messageQueue.findIndex(isReady);
+      if (index === -1) break;
+
+      const [item] = this.messageQueue.splice(index, 1);
+      this.deliver(item, now);
+    }
+
+    // Chats with a call in flight process the queue again when it settles
+    const waiting = this.messageQueue.filter(item => !this.inFlight.has(item.chatId));
+    if (waiting.length > 0) {
+      const chatReadyAt = Math.min(...waiting.map(item => this.chatReadyAt.get(item.chatId) || 0));
+      const readyAt = Math.max(this.getGlobalReadyAt(now), chatReadyAt);
+      this.wakeTimer = setTimeout(() => this.processQueue(), Math.max(0, readyAt - now));
+    }
+  }
+
+  /**
+   * Run one queued call
+   * A 429 puts the call back in the queue and holds its chat for retry_after
+   */
+  async deliver(item, sentAt = Date.now()) {
+    this.recentSends.push(sentAt);
+    this.inFlight.add(item.chatId);
+    this.chatReadyAt.set(
+      item.chatId,
+      sentAt + (item.chatId.startsWith('-') ? this.groupInterval : this.chatInterval)
+    );
+
+    try {
+      const result = await item.run();
+      this.queueStats.sent++;
+      item.resolve(result);
+    } catch (error) {
+      const retryAfter = error.response?.body?.parameters?.retry_after;
+
+      if (
+        error.response?.statusCode === 429 &&
+        retryAfter &&
+        item.rateLimitRetries < this.maxRateLimitRetries
+      ) {
+        item.rateLimitRetries++;
+        this.queueStats.rateLimited++;
+        this.chatReadyAt.set(item.chatId, Date.now() + retryAfter * 1000);
+        logger.warn(`Telegram rate limit hit, retrying after ${retryAfter}s`, {
+          chatId: item.chatId,
+        });
+
+        // Back to the front of its priority, ahead of later messages to the chat
+        const index = this.messageQueue.findIndex(queued => queued.priority >= item.priority);
+        this.messageQueue.splice(index === -1 ? this.messageQueue.length : index, 0, item);
+      } else {
+        this.queueStats.failed++;
+        item.reject(error);
+      }
+    } finally {
+      this.inFlight.delete(item.chatId);
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Wait until the queue is empty (or the timeout passes)
+   */
+  async drain(timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while ((this.messageQueue.length > 0 || this.inFlight.size > 0) && Date.now() < deadline) {
+      await this.delay(100);
+    }
+    return this.messageQueue.length === 0;
+  }
+
+  /**
+   * Get queue statistics
+   */
+  getQueueStats() {
+    const byPriority = {};
+    for (const [name, priority] of Object.entries(MessagePriority)) {
+      byPriority[name.toLowerCase()] = this.messageQueue.filter(
+        item => item.priority === priority
+      ).length;
+    }
+
+    return {
+      depth: this.messageQueue.length,
+      byPriority,
+      oldestAge: this.messageQueue.length
+        ? Date.now() - Math.min(...this.messageQueue.map(item => item.enqueuedAt))
+        : 0,
+      inFlight: this.inFlight.size,
+      ...this.queueStats,
+    };
+  }
+
   /**
    * Send message with retry logic
    */
-  async sendWithRetry(chatId, message, options, attempt = 1) {
+  async sendWithRetry(chatId, message, options) {
+    return this.withRetry(() => this.bot.sendMessage(chatId, message, options), chatId);
+  }
+
+  /**
+   * Run a Bot API call with retry logic
+   * 4xx (429 included, the queue retries it): permanent, no retry
+   * Network / 5xx: exponential backoff up to retryAttempts
+   */
+  async withRetry(operation, chatId, attempt = 1) {
     try {
-      return await this.bot.sendMessage(chatId, message, options);
+      return await operation();
     } catch (error) {
-      if (attempt >= this.retryAttempts) {
+      const statusCode = error.response?.statusCode;
+
+      if ((statusCode >= 400 && statusCode < 500) || attempt >= this.retryAttempts) {
         throw error;
       }
 
-      logger.warn(`Retry attempt ${attempt} for message delivery`);
-      await this.delay(this.retryDelay * attempt);
+      logger.warn(`Retry attempt ${attempt} for message delivery`, { chatId });
+      await this.delay(this.retryDelay * 2 ** (attempt - 1));
 
-      return this.sendWithRetry(chatId, message, options, attempt + 1);
+      return this.withRetry(operation, chatId, attempt + 1);
     }
   }
 
@@ -96,9 +382,9 @@ export class TelegramNotifier {
    * Format alert for Telegram
    */
   formatAlert(alert) {
-    // Use pre-formatted message if available
+    // Use pre-formatted message if available (Telegram HTML, producers escape feed text)
     if (alert.message) {
-      return this.escapeHtml(alert.message);
+      return alert.message;
     }
 
     // Generate message based on alert type
@@ -124,11 +410,11 @@ export class TelegramNotifier {
     message += `⏱️ ${data.minute}'`;
 
     if (data.player) {
-      message += `\n⚽ ${this.escapeHtml(data.player)}`;
+      message += `\n⚽ ${escapeHtml(data.player)}`;
     }
 
     if (data.assistBy) {
-      message += `\n🎯 Assist: ${this.escapeHtml(data.assistBy)}`;
+      message += `\n🎯 Assist: ${escapeHtml(data.assistBy)}`;
     }
 
     if (data.isPenalty) {
@@ -154,11 +440,11 @@ export class TelegramNotifier {
     message += `⏱️ ${data.minute}'`;
 
     if (data.player) {
-      message += `\n👤 ${this.escapeHtml(data.player)}`;
+      message += `\n👤 ${escapeHtml(data.player)}`;
     }
 
     if (data.reason) {
-      message += `\n📝 ${this.escapeHtml(data.reason)}`;
+      message += `\n📝 ${escapeHtml(data.reason)}`;
     }
 
     message += `\n\n📊 Source: ${alert.source}`;
@@ -176,11 +462,11 @@ export class TelegramNotifier {
     message += `⏱️ ${data.minute}'`;
 
     if (data.player) {
-      message += `\n👤 ${this.escapeHtml(data.player)}`;
+      message += `\n👤 ${escapeHtml(data.player)}`;
     }
 
     if (data.reason) {
-      message += `\n📝 ${this.escapeHtml(data.reason)}`;
+      message += `\n📝 ${escapeHtml(data.reason)}`;
     }
 
     message += `\n\n📊 Source: ${alert.source}`;
@@ -198,37 +484,173 @@ export class TelegramNotifier {
   }
 
   /**
-   * Escape HTML special characters
+   * Remember which message carried an alert so corrections can edit it
    */
-  escapeHtml(text) {
-    if (!text) return '';
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#039;');
+  rememberMessage(alertId, chatId, messageId, text) {
+    if (!alertId || messageId === undefined) return;
+
+    const messages = (this.sentMessages.get(alertId) || []).filter(
+      sent => sent.chatId !== String(chatId)
+    );
+    messages.push({ chatId: String(chatId), messageId, text });
+
+    // Re-insert to keep the most recently used alerts at the end
+    this.sentMessages.delete(alertId);
+    this.sentMessages.set(alertId, messages);
+
+    if (this.sentMessages.size > this.maxTrackedAlerts) {
+      this.sentMessages.delete(this.sentMessages.keys().next().value);
+    }
   }
 
   /**
-   * Send message to multiple chats
+   * Note appended to a corrected message
    */
-  async broadcast(alert, chatIds) {
-    const results = [];
-
-    for (const chatId of chatIds) {
-      try {
-        const result = await this.sendAlert(alert, chatId);
-        results.push({ chatId, success: true, result });
-      } catch (error) {
-        logger.error(`Failed to send to ${chatId}: ${error.message}`);
-        results.push({ chatId, success: false, error: error.message });
-      }
+  formatCorrectionNote(alert) {
+    const label = alert.raw?.correction?.label || 'Goal disallowed (VAR)';
+    let note = `🚫 <b>${escapeHtml(label)}</b>`;
+    if (alert.data?.score) {
+      note += `\n📊 Score: <b>${escapeHtml(String(alert.data.score))}</b>`;
     }
+    return note;
+  }
+
+  /**
+   * Edit every delivered copy of the corrected alert (strikethrough plus note)
+   * instead of posting a new message
+   */
+  async applyCorrection(alert) {
+    const originals = this.sentMessages.get(alert.correctsAlertId);
+    const note = this.formatCorrectionNote(alert);
+    originals.forEach(original => (original.corrected = true));
+
+    const results = await this.editCopies(
+      originals,
+      original => `<s>${original.text}</s>\n\n${note}`,
+      alert.id
+    );
+
+    logger.info(`✏️ Corrected alert ${alert.correctsAlertId} in ${originals.length} chat(s)`);
+    return results;
+  }
 
+  /**
+   * Edit every delivered copy of a goal with the details that arrived later
+   * (copies already struck through by a correction are left as they are)
+   */
+  async applyUpdate(alert) {
+    const originals = this.sentMessages
+      .get(alert.updatesAlertId)
+      .filter(original => !original.corrected);
+    const text = alert.replacementMessage || alert.message;
+
+    const results = await this.editCopies(originals, () => text, alert.updatesAlertId);
+
+    logger.info(`✏️ Updated alert ${alert.updatesAlertId} in ${originals.length} chat(s)`);
     return results;
   }
 
+  /**
+   * Queue edits of delivered copies, remembering the new text under rememberAs
+   */
+  async editCopies(originals, textFor, rememberAs) {
+    const settled = await Promise.allSettled(
+      originals.map(original => {
+        const text = textFor(original);
+        return this.enqueueEdit(original.chatId, original.messageId, text, {
+          parse_mode: this.parseMode,
+          disable_web_page_preview: true,
+        }).then(result => {
+          this.rememberMessage(rememberAs, original.chatId, original.messageId, text);
+          return result;
+        });
+      })
+    );
+
+    return settled.map((outcome, index) => {
+      const { chatId } = originals[index];
+      if (outcome.status === 'fulfilled') {
+        return { chatId, success: true, result: outcome.value, edited: true };
+      }
+      logger.error(`Failed to edit alert in ${chatId}: ${outcome.reason.message}`);
+      return { chatId, success: false, error: outcome.reason.message, edited: true };
+    });
+  }
+
+  /**
+   * Fold card alerts of matches with a live card into that card
+   */
+  useLiveCards(liveCards) {
+    this.liveCards = liveCards;
+  }
+
+  /**
+   * Chats that should receive an alert
+   * Subscribers are filtered by their preferences; the default chat receives
+   * every alert unless it has a subscription of its own. Chats whose live
+   * card already shows the alert are skipped.
+   */
+  getRecipients(alert) {
+    const recipients = new Set(this.subscriptions ? this.subscriptions.getRecipients(alert) : []);
+
+    if (this.chatId && !this.subscriptions?.has(this.chatId)) {
+      recipients.add(String(this.chatId));
+    }
+
+    return Array.from(recipients).filter(chatId => !this.liveCards?.covers(alert, chatId));
+  }
+
+  /**
+   * Route an alert to every matching chat
+   * Corrections of a delivered alert edit it in place instead
+   */
+  async dispatch(alert) {
+    // The alert being corrected or updated may still be in the queue
+    const originalId = alert.correctsAlertId || alert.updatesAlertId;
+    if (this.pendingDeliveries.has(originalId)) {
+      await this.pendingDeliveries.get(originalId);
+    }
+
+    // Corrections and late details edit the original messages when we still know them
+    if (alert.correctsAlertId && this.sentMessages.has(alert.correctsAlertId)) {
+      return this.applyCorrection(alert);
+    }
+    if (alert.updatesAlertId && this.sentMessages.has(alert.updatesAlertId)) {
+      return this.applyUpdate(alert);
+    }
+
+    const recipients = this.getRecipients(alert);
+
+    if (recipients.length === 0) {
+      logger.debug('No subscribers for alert', { type: alert.type, matchId: alert.matchId });
+      return [];
+    }
+
+    const delivery = this.broadcast(alert, recipients);
+    if (alert.id) {
+      this.pendingDeliveries.set(alert.id, delivery);
+      delivery.finally(() => this.pendingDeliveries.delete(alert.id));
+    }
+    return delivery;
+  }
+
+  /**
+   * Send message to multiple chats
+   * All copies are queued at once; the queue spreads them within the limits
+   */
+  async broadcast(alert, chatIds) {
+    const settled = await Promise.allSettled(chatIds.map(chatId => this.sendAlert(alert, chatId)));
+
+    return settled.map((outcome, index) => {
+      const chatId = chatIds[index];
+      if (outcome.status === 'fulfilled') {
+        return { chatId, success: true, result: outcome.value };
+      }
+      logger.error(`Failed to send to ${chatId}: ${outcome.reason.message}`);
+      return { chatId, success: false, error: outcome.reason.message };
+    });
+  }
+
   /**
    * Send photo with caption
    */
@@ -257,13 +679,6 @@ export class TelegramNotifier {
     }
   }
 
-  /**
-   * Delay helper
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Get bot info
    */
@@ -278,6 +693,10 @@ export class TelegramNotifier {
    * Stop bot
    */
   stop() {
+    clearTimeout(this.wakeTimer);
+    this.messageQueue.forEach(item => item.reject(new Error('Notifier stopped')));
+    this.messageQueue = [];
+
     if (this.bot) {
       this.bot.stopPolling();
       logger.info('Telegram bot stopped');
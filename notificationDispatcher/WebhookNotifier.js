@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { BaseNotifier } from './BaseNotifier.js';
+
+/**
+ * Webhook Notifier
+ * POSTs every alert as JSON to an HTTP endpoint. With a secret, the send time
+ * (`X-Signature-Timestamp`, Unix seconds) and the raw body are signed together
+ * with HMAC-SHA256 as `X-Signature-256: sha256=<hex of "<timestamp>.<body>">`.
+ * Receivers should reject timestamps more than 5 minutes away from their clock
+ * so captured requests cannot be replayed.
+ */
+export class WebhookNotifier extends BaseNotifier {
+  constructor(url, options = {}) {
+    super(options.name || 'webhook', options);
+    this.url = url;
+    this.secret = options.secret || null;
+    this.headers = options.headers || {};
+  }
+
+  /**
+   * Build the JSON body
+   */
+  formatPayload(alert) {
+    return {
+      id: alert.id || null,
+      type: alert.type,
+      severity: alert.severity,
+      timestamp: alert.timestamp,
+      matchId: alert.matchId ?? null,
+      source: alert.source || null,
+      correctsAlertId: alert.correctsAlertId || null,
+      updatesAlertId: alert.updatesAlertId || null,
+      text: this.convertMessage(alert.message || ''),
+      html: alert.message || null,
+      data: alert.data || {},
+    };
+  }
+
+  /**
+   * HMAC-SHA256 signature of "<timestamp>.<raw body>"
+   */
+  sign(body, timestamp) {
+    return `sha256=${crypto
+      .createHmac('sha256', this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex')}`;
+  }
+
+  /**
+   * Sign every attempt (retries included) with the current time
+   */
+  async postJson(url, body, headers = {}, ...retryState) {
+    if (!this.secret) {
+      return super.postJson(url, body, headers, ...retryState);
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signed = {
+      ...headers,
+      'X-Signature-Timestamp': String(timestamp),
+      'X-Signature-256': this.sign(body, timestamp),
+    };
+    return super.postJson(url, body, signed, ...retryState);
+  }
+
+  /**
+   * Post an alert to the endpoint
+   */
+  async sendAlert(alert) {
+    const body = JSON.stringify(this.formatPayload(alert));
+    return this.postJson(this.url, body, { ...this.headers });
+  }
+}
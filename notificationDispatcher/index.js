@@ -1 +1,9 @@
-export { TelegramNotifier } from './TelegramNotifier.js';
+export { BaseNotifier, NotifierError } from './BaseNotifier.js';
+export { TelegramNotifier, MessagePriority } from './TelegramNotifier.js';
+export { TelegramCommands } from './TelegramCommands.js';
+export { SubscriptionStore, SEVERITY_LEVELS } from './SubscriptionStore.js';
+export { LiveMatchCards } from './LiveMatchCards.js';
+export { DiscordNotifier } from './DiscordNotifier.js';
+export { SlackNotifier } from './SlackNotifier.js';
+export { WebhookNotifier } from './WebhookNotifier.js';
+export { NotificationDispatcher } from './NotificationDispatcher.js';
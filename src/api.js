@@ -0,0 +1,263 @@
+import crypto from 'crypto';
+import { matchStore } from '../matchState/index.js';
+import { logger, metrics } from './utils/index.js';
+
+/**
+ * HTTP error with a status code, turned into a JSON error response
+ */
+class ApiError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Decode a path parameter (malformed escapes like %E0 are a client error)
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new ApiError(400, `Malformed path parameter ${value}`);
+  }
+}
+
+/**
+ * Check a request's bearer token (constant-time comparison)
+ * allowQueryToken also accepts `?token=` for clients that cannot set headers
+ * (EventSource, browser WebSocket)
+ */
+export function isAuthorized(req, token, { allowQueryToken = false } = {}) {
+  if (!token) return false;
+
+  const [scheme, headerToken] = (req.headers.authorization || '').split(' ');
+  let provided = scheme === 'Bearer' ? headerToken : null;
+
+  if (!provided && allowQueryToken) {
+    provided = new URL(req.url, 'http://localhost').searchParams.get('token');
+  }
+
+  const expected = Buffer.from(token);
+  const received = Buffer.from(provided || '');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Control API
+ * REST endpoints served next to /health by src/server.js:
+ *
+ *   GET  /status                        Pipeline status
+ *   GET  /matches                       Tracked matches (without incidents)
+ *   GET  /matches/:id                   One match with its incident timeline
+ *   GET  /alerts?since=&limit=          Recent alerts (since: epoch ms or ISO date)
+ *   POST /collectors/:name/restart      Stop and start a collector
+ *   POST /rules/:name/enable|disable    Toggle a registered rule
+ *
+ * Every request needs `Authorization: Bearer <API_TOKEN>`. Without a token
+ * configured the API is disabled.
+ *
+ * GET /metrics (Prometheus text format) is served on its own: open unless
+ * METRICS_TOKEN is set, and available while the pipeline is still starting.
+ */
+export class ControlApi {
+  constructor(options = {}) {
+    this.token = options.token || null;
+    this.metricsToken = options.metricsToken || null;
+    this.matchStore = options.matchStore || matchStore;
+    this.pipeline = options.pipeline || null;
+    this.routes = [
+      ['GET', /^\/status$/, () => this.getStatus()],
+      ['GET', /^\/matches$/, () => this.listMatches()],
+      ['GET', /^\/matches\/([^/]+)$/, ([id]) => this.getMatch(id)],
+      ['GET', /^\/alerts$/, (params, query) => this.getAlerts(query)],
+      ['POST', /^\/collectors\/([^/]+)\/restart$/, ([name]) => this.restartCollector(name)],
+      [
+        'POST',
+        /^\/rules\/([^/]+)\/(enable|disable)$/,
+        ([name, action]) => this.toggleRule(name, action),
+      ],
+    ];
+  }
+
+  /**
+   * Attach the running pipeline (the server starts before it is ready)
+   */
+  setPipeline(pipeline) {
+    this.pipeline = pipeline;
+  }
+
+  /**
+   * Check if a path belongs to the API
+   */
+  matches(pathname) {
+    return this.routes.some(([, pattern]) => pattern.test(pathname));
+  }
+
+  /**
+   * Handle an API request, returns false if the path is not an API route
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/metrics') {
+      this.handleMetrics(req, res);
+      return true;
+    }
+    if (!this.matches(url.pathname)) return false;
+
+    try {
+      this.authorize(req);
+
+      const route = this.routes.find(
+        ([method, pattern]) => method === req.method && pattern.test(url.pathname)
+      );
+      if (!route) {
+        throw new ApiError(405, `${req.method} not allowed on ${url.pathname}`);
+      }
+
+      if (!this.pipeline) {
+        throw new ApiError(503, 'Pipeline is starting');
+      }
+
+      const [, pattern, handler] = route;
+      const params = url.pathname.match(pattern).slice(1).map(decodeParam);
+      const body = await handler(params, url.searchParams);
+
+      this.send(res, 200, body);
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode >= 500) {
+        logger.error(`API ${req.method} ${url.pathname} failed: ${error.message}`);
+      }
+      this.send(res, statusCode, { error: error.message });
+    }
+
+    return true;
+  }
+
+  /**
+   * Serve Prometheus metrics (no API token or running pipeline needed)
+   */
+  handleMetrics(req, res) {
+    if (req.method !== 'GET') {
+      this.send(res, 405, { error: `${req.method} not allowed on /metrics` });
+    } else if (this.metricsToken && !isAuthorized(req, this.metricsToken)) {
+      this.send(res, 401, { error: 'Invalid or missing bearer token' });
+    } else {
+      this.send(res, 200, metrics.render());
+    }
+  }
+
+  /**
+   * Require the bearer token
+   */
+  authorize(req) {
+    if (!this.token) {
+      throw new ApiError(503, 'API disabled: API_TOKEN is not configured');
+    }
+
+    if (!isAuthorized(req, this.token)) {
+      throw new ApiError(401, 'Invalid or missing bearer token');
+    }
+  }
+
+  /**
+   * Write a response (strings as Prometheus text, everything else as JSON)
+   */
+  send(res, statusCode, body) {
+    const isText = typeof body === 'string';
+    const headers = {
+      'Content-Type': isText ? 'text/plain; version=0.0.4; charset=utf-8' : 'application/json',
+    };
+    if (statusCode === 401) {
+      headers['WWW-Authenticate'] = 'Bearer';
+    }
+
+    res.writeHead(statusCode, headers);
+    res.end(isText ? body : JSON.stringify(body));
+  }
+
+  /**
+   * Pipeline status
+   */
+  getStatus() {
+    return this.pipeline.getStatus();
+  }
+
+  /**
+   * Tracked matches, incidents replaced by a count
+   */
+  listMatches() {
+    const matches = this.matchStore.list().map(({ incidents, ...state }) => ({
+      ...state,
+      incidentCount: incidents.length,
+    }));
+    return { count: matches.length, matches };
+  }
+
+  /**
+   * One match with its incident timeline
+   */
+  getMatch(matchId) {
+    const state = this.matchStore.get(matchId);
+    if (!state) {
+      throw new ApiError(404, `Match ${matchId} is not tracked`);
+    }
+    return state;
+  }
+
+  /**
+   * Recent alerts, oldest first
+   */
+  getAlerts(query) {
+    let since;
+    if (query.has('since')) {
+      const value = query.get('since');
+      since = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+      if (Number.isNaN(since)) {
+        throw new ApiError(400, 'since must be epoch milliseconds or an ISO date');
+      }
+    }
+
+    let limit;
+    if (query.has('limit')) {
+      limit = parseInt(query.get('limit'), 10);
+      if (!(limit > 0)) {
+        throw new ApiError(400, 'limit must be a positive integer');
+      }
+    }
+
+    const alerts = this.pipeline.getRecentAlerts({ since, limit });
+    return { count: alerts.length, alerts };
+  }
+
+  /**
+   * Restart a collector by name
+   */
+  async restartCollector(name) {
+    if (!this.pipeline.collectors.some(collector => collector.name === name)) {
+      throw new ApiError(404, `Unknown collector ${name}`);
+    }
+
+    const status = await this.pipeline.restartCollector(name);
+    return { restarted: name, status };
+  }
+
+  /**
+   * Enable or disable a registered rule
+   * (DISABLED_RULES is applied again on the next config reload)
+   */
+  toggleRule(name, action) {
+    const processor = this.pipeline.processor;
+    if (!processor.rules.has(name)) {
+      throw new ApiError(404, `Unknown rule ${name}`);
+    }
+
+    if (action === 'enable') {
+      processor.enableRule(name);
+    } else {
+      processor.disableRule(name);
+    }
+    return { rule: name, enabled: processor.isRuleEnabled(name) };
+  }
+}
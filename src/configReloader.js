@@ -0,0 +1,317 @@
+import fs from 'fs';
+import EventEmitter from 'events';
+import { loadRulesFile } from '../eventProcessor/index.js';
+import { logger, config, escapeHtml, RELOADABLE_KEYS } from './utils/index.js';
+
+const onOff = value => (value ? 'on' : 'off');
+
+/**
+ * Config Reloader
+ * Applies changes to alert toggles, DISABLED_RULES, RULES_FILE and LOG_LEVEL
+ * without restarting the pipeline. Triggered by SIGHUP or by edits to .env and
+ * the rules file. The new configuration is fully validated (including rule
+ * compilation) before it replaces the running one; rejected reloads keep the
+ * current settings.
+ */
+export class ConfigReloader extends EventEmitter {
+  constructor(processor, options = {}) {
+    super();
+    this.processor = processor;
+    this.notifier = options.notifier || null;
+    this.envPath = options.envPath || '.env';
+    this.watch = options.watch ?? true;
+    this.watchInterval = options.watchInterval ?? 2000;
+    this.debounceDelay = options.debounceDelay ?? 500;
+    this.current = null;
+    this.envFile = config.readEnvFile(this.envPath);
+    this.watchedFiles = new Set();
+    this.debounceTimer = null;
+    this.onSignal = () => this.reload('SIGHUP');
+    this.stats = {
+      reloads: 0,
+      rejected: 0,
+      lastReloadAt: null,
+      lastError: null,
+    };
+  }
+
+  /**
+   * Build a validated snapshot of reloadable settings from an environment
+   * Throws if anything is invalid
+   */
+  buildSnapshot(env) {
+    const errors = config.validateReloadableSettings(env);
+    if (errors.length > 0) {
+      throw new Error(`Invalid configuration:\n${errors.map(error => `  ${error}`).join('\n')}`);
+    }
+
+    const settings = config.getReloadableSettings(env);
+    const rules = settings.rulesFile ? loadRulesFile(settings.rulesFile) : [];
+
+    const known = new Set([...this.processor.rules.keys(), ...rules.map(rule => rule.name)]);
+    const unknown = settings.disabledRules.filter(name => !known.has(name));
+    if (unknown.length > 0) {
+      logger.warn(`⚠️ DISABLED_RULES names unknown rules: ${unknown.join(', ')}`);
+    }
+
+    return { settings, rules };
+  }
+
+  /**
+   * Register RULES_FILE rules and remember the startup configuration
+   * Throws on invalid configuration so startup fails fast
+   */
+  load() {
+    this.current = { settings: config.getReloadableSettings(), rules: [] };
+    this.apply(this.buildSnapshot(process.env));
+    return this.current;
+  }
+
+  /**
+   * Swap the running configuration for a validated snapshot
+   */
+  apply(next) {
+    const previousRules = this.current?.rules || [];
+    const nextNames = new Set(next.rules.map(rule => rule.name));
+
+    previousRules
+      .filter(rule => !nextNames.has(rule.name))
+      .forEach(rule => this.processor.removeRule(rule.name));
+    next.rules.forEach(rule => this.processor.addRule(rule.name, rule.fn));
+
+    // Only changes to the configured list are applied, so rules toggled at
+    // runtime (control API, Telegram) keep their state across reloads
+    const wasDisabled = this.current ? this.getDisabledRules(this.current) : [];
+    const disabled = this.getDisabledRules(next);
+    disabled
+      .filter(name => !wasDisabled.includes(name))
+      .forEach(name => this.processor.disableRule(name));
+    wasDisabled
+      .filter(name => !disabled.includes(name))
+      .forEach(name => this.processor.enableRule(name));
+
+    this.processor.updateSettings({ enabledEvents: next.settings.enabledEvents });
+
+    logger.level = next.settings.logLevel;
+    this.current = next;
+  }
+
+  /**
+   * Rules a snapshot disables: DISABLED_RULES and rules-file rules with enabled: false
+   */
+  getDisabledRules(snapshot) {
+    return [
+      ...snapshot.settings.disabledRules,
+      ...snapshot.rules.filter(rule => !rule.enabled).map(rule => rule.name),
+    ];
+  }
+
+  /**
+   * Describe what changed between two snapshots
+   */
+  diff(previous, next) {
+    const changes = [];
+    const before = previous.settings;
+    const after = next.settings;
+
+    for (const [type, enabled] of Object.entries(after.enabledEvents)) {
+      if (before.enabledEvents[type] !== enabled) {
+        changes.push(`${type} alerts: ${onOff(before.enabledEvents[type])} → ${onOff(enabled)}`);
+      }
+    }
+
+    after.disabledRules
+      .filter(name => !before.disabledRules.includes(name))
+      .forEach(name => changes.push(`rule disabled: ${name}`));
+    before.disabledRules
+      .filter(name => !after.disabledRules.includes(name))
+      .forEach(name => changes.push(`rule enabled: ${name}`));
+
+    if (before.rulesFile !== after.rulesFile) {
+      changes.push(`rules file: ${before.rulesFile || 'none'} → ${after.rulesFile || 'none'}`);
+    }
+
+    const previousRules = new Map(previous.rules.map(rule => [rule.name, rule]));
+    const nextRules = new Map(next.rules.map(rule => [rule.name, rule]));
+
+    for (const [name, rule] of nextRules) {
+      const old = previousRules.get(name);
+      if (!old) {
+        changes.push(`rule added: ${name}`);
+      } else if (JSON.stringify(old.definition) !== JSON.stringify(rule.definition)) {
+        changes.push(`rule updated: ${name}`);
+      }
+    }
+    for (const name of previousRules.keys()) {
+      if (!nextRules.has(name)) {
+        changes.push(`rule removed: ${name}`);
+      }
+    }
+
+    if (before.logLevel !== after.logLevel) {
+      changes.push(`log level: ${before.logLevel} → ${after.logLevel}`);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Re-read .env and the rules file and apply them if valid
+   * Only keys edited in .env since the last read are applied, so values
+   * exported in the shell keep precedence as they do at startup.
+   * Returns the list of changes, or null if the reload was rejected
+   */
+  async reload(reason = 'manual') {
+    logger.info(`🔄 Reloading configuration (${reason})`);
+
+    let changes;
+    try {
+      const envFile = config.readEnvFile(this.envPath);
+      const keys = new Set([...Object.keys(this.envFile), ...Object.keys(envFile)]);
+      const edited = [...keys].filter(key => envFile[key] !== this.envFile[key]);
+
+      const restartRequired = edited.filter(key => !RELOADABLE_KEYS.includes(key));
+      if (restartRequired.length > 0) {
+        logger.warn(
+          `⚠️ Changed in ${this.envPath} but requires a restart: ${restartRequired.join(', ')}`
+        );
+      }
+
+      const env = { ...process.env };
+      edited
+        .filter(key => RELOADABLE_KEYS.includes(key))
+        .forEach(key => {
+          if (envFile[key] === undefined) {
+            delete env[key];
+          } else {
+            env[key] = envFile[key];
+          }
+        });
+
+      const next = this.buildSnapshot(env);
+      changes = this.diff(this.current, next);
+
+      RELOADABLE_KEYS.forEach(key => {
+        if (env[key] === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = env[key];
+        }
+      });
+      this.envFile = envFile;
+      this.apply(next);
+    } catch (error) {
+      this.stats.rejected++;
+      this.stats.lastError = error.message;
+      logger.error(`❌ Configuration reload rejected, keeping current settings\n${error.message}`);
+      this.emit('rejected', error);
+      await this.notify(`⚠️ Configuration reload rejected\n\n${escapeHtml(error.message)}`);
+      return null;
+    }
+
+    this.stats.reloads++;
+    this.stats.lastReloadAt = Date.now();
+    this.stats.lastError = null;
+    this.watchFiles();
+
+    if (changes.length === 0) {
+      logger.info('🔄 Configuration reloaded, nothing changed');
+      return changes;
+    }
+
+    logger.info('🔄 Configuration reloaded', { reason, changes });
+    this.emit('reloaded', changes);
+    await this.notify(
+      `🔄 Configuration reloaded\n\n${changes.map(change => `• ${escapeHtml(change)}`).join('\n')}`
+    );
+
+    return changes;
+  }
+
+  /**
+   * Send a system notification (failures are logged only)
+   */
+  async notify(message) {
+    if (!this.notifier) return;
+
+    try {
+      await this.notifier.sendAlert({
+        type: 'system',
+        severity: 'info',
+        timestamp: Date.now(),
+        message,
+      });
+    } catch (error) {
+      logger.error(`Failed to send reload notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Watch .env and the current rules file (polling survives editors that
+   * replace files on save)
+   */
+  watchFiles() {
+    if (!this.watch) return;
+
+    const files = new Set([this.envPath, this.current?.settings.rulesFile].filter(Boolean));
+
+    for (const file of this.watchedFiles) {
+      if (!files.has(file)) {
+        fs.unwatchFile(file);
+        this.watchedFiles.delete(file);
+      }
+    }
+
+    for (const file of files) {
+      if (this.watchedFiles.has(file)) continue;
+
+      const watcher = fs.watchFile(file, { interval: this.watchInterval }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          this.scheduleReload(`${file} changed`);
+        }
+      });
+      watcher.unref?.();
+      this.watchedFiles.add(file);
+    }
+  }
+
+  /**
+   * Coalesce bursts of file events into one reload
+   */
+  scheduleReload(reason) {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.reload(reason), this.debounceDelay);
+  }
+
+  /**
+   * Start listening for SIGHUP and file changes
+   */
+  start() {
+    process.on('SIGHUP', this.onSignal);
+    this.watchFiles();
+    logger.info(
+      `🔄 Config hot reload enabled (SIGHUP${this.watch ? `, watching ${[...this.watchedFiles].join(', ')}` : ''})`
+    );
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    process.off('SIGHUP', this.onSignal);
+    clearTimeout(this.debounceTimer);
+    this.watchedFiles.forEach(file => fs.unwatchFile(file));
+    this.watchedFiles.clear();
+  }
+
+  /**
+   * Get reload status
+   */
+  getStatus() {
+    return {
+      ...this.stats,
+      settings: this.current?.settings || null,
+      fileRules: this.current?.rules.map(rule => rule.name) || [],
+    };
+  }
+}
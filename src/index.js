@@ -1,7 +1,26 @@
-import { BwinCollector, SofaScoreCollector } from '../dataCollector/index.js';
-import { EventProcessor } from '../eventProcessor/index.js';
-import { TelegramNotifier } from '../notificationDispatcher/index.js';
-import { logger, config, perfMonitor } from './utils/index.js';
+import { pathToFileURL } from 'url';
+import {
+  BwinCollector,
+  Bet365Collector,
+  SofaScoreCollector,
+  PuppeteerCollector,
+  CollectorEvents,
+  assertCollector,
+} from '../dataCollector/index.js';
+import { EventProcessor, defaultRules } from '../eventProcessor/index.js';
+import {
+  TelegramNotifier,
+  TelegramCommands,
+  SubscriptionStore,
+  LiveMatchCards,
+  NotificationDispatcher,
+} from '../notificationDispatcher/index.js';
+import { matchStore } from '../matchState/index.js';
+import { EventJournal } from '../journal/index.js';
+import { ConfigReloader } from './configReloader.js';
+import { createWebhookNotifiers } from './webhookNotifiers.js';
+import { eventStream } from './stream.js';
+import { logger, config, perfMonitor, metrics, pipelineMetrics, tracer } from './utils/index.js';
 
 /**
  * Main Application Class
@@ -12,7 +31,17 @@ class SportsDataPipeline {
     this.collectors = [];
     this.processor = null;
     this.notifier = null;
+    this.dispatcher = null;
+    this.commands = null;
+    this.subscriptions = null;
+    this.liveCards = null;
+    this.journal = null;
+    this.reloader = null;
     this.isRunning = false;
+    this.statsTimer = null;
+    this.recentAlerts = []; // newest last, for the control API
+    this.maxRecentAlerts = 200;
+    this.eventReceivedAt = new WeakMap(); // event -> ms, for event → alert latency
     this.stats = {
       eventsProcessed: 0,
       alertsSent: 0,
@@ -32,22 +61,71 @@ class SportsDataPipeline {
       // Initialize Event Processor
       this.processor = new EventProcessor({
         cacheTimeout: 5000,
+        matchStore,
         enabledEvents: {
           goals: config.enableGoals,
           redCards: config.enableRedCards,
           yellowCards: config.enableYellowCards,
+          lifecycle: config.enableLifecycle,
         },
+        disabledRules: config.disabledRules,
       });
 
+      // Register custom alert rules
+      Object.entries(defaultRules).forEach(([name, ruleFn]) => this.processor.addRule(name, ruleFn));
+
+      // Load subscriber preferences (invalid file aborts startup)
+      this.subscriptions = new SubscriptionStore({
+        filePath: config.subscriptionsFile,
+        matchStore,
+      }).load();
+
       // Initialize Telegram Notifier
       this.notifier = new TelegramNotifier(config.telegramBotToken, {
         chatId: config.telegramChatId,
+        subscriptions: this.subscriptions,
         retryAttempts: 3,
         retryDelay: 1000,
       });
 
       await this.notifier.initialize();
 
+      // Fan alerts out to Telegram plus any configured webhooks
+      this.dispatcher = new NotificationDispatcher([this.notifier, ...createWebhookNotifiers()]);
+
+      // Operator commands (/status, /mute, /pause, ...) for admin chats
+      this.commands = new TelegramCommands(this.notifier, this, {
+        adminChatIds: config.telegramAdminChatIds,
+        matchStore,
+        subscriptions: this.subscriptions,
+      });
+
+      // Pinned live card per followed match (card alerts fold into it)
+      if (config.liveCards) {
+        this.liveCards = new LiveMatchCards(this.notifier, {
+          matchStore,
+          processor: this.processor,
+          teams: config.liveCardTeams,
+          editInterval: config.liveCardInterval,
+        });
+        this.notifier.useLiveCards(this.liveCards);
+      }
+
+      // Register declarative rules and enable hot reload (invalid config aborts startup)
+      this.reloader = new ConfigReloader(this.processor, {
+        notifier: this.dispatcher,
+        watch: config.configWatch,
+      });
+      this.reloader.load();
+
+      // Initialize Event Journal
+      if (config.journalEnabled) {
+        this.journal = new EventJournal({
+          directory: config.journalDir,
+          recordFrames: config.journalFrames,
+        });
+      }
+
       // Initialize Data Collectors
       await this.initializeCollectors();
 
@@ -64,44 +142,57 @@ class SportsDataPipeline {
 
   /**
    * Initialize data collectors
+   * Every collector implements the contract in dataCollector/CollectorContract.js
    */
   async initializeCollectors() {
-    // Initialize Bwin Collector (if URL is configured)
-    if (config.bwinWsUrl && config.bwinWsUrl !== 'wss://websocket.bwin.com/feed') {
-      const bwinCollector = new BwinCollector(config.bwinWsUrl, {
-        reconnectDelay: config.reconnectDelay,
-        maxReconnectAttempts: config.maxReconnectAttempts,
-        heartbeatInterval: config.heartbeatInterval,
-        subscriptions: ['live.football'],
-      });
+    const wsOptions = {
+      reconnectDelay: config.reconnectDelay,
+      maxReconnectAttempts: config.maxReconnectAttempts,
+      heartbeatInterval: config.heartbeatInterval,
+    };
 
-      this.collectors.push({
-        name: 'Bwin',
-        collector: bwinCollector,
-      });
+    const factories = {
+      sofascore: () =>
+        new SofaScoreCollector({
+          maxReconnectAttempts: config.maxReconnectAttempts,
+          incidentPollInterval: config.sofascoreIncidentPollInterval,
+          sports: config.sofascoreSports,
+          watchList: config.sofascoreWatchList,
+          matchStore,
+        }),
+      bwin: () =>
+        new BwinCollector(config.bwinWsUrl, {
+          ...wsOptions,
+          subscriptions: ['live.football'],
+        }),
+      bet365: () => {
+        if (!config.bet365WsUrl) {
+          throw new Error('BET365_WS_URL is not configured');
+        }
+        return new Bet365Collector(config.bet365WsUrl, wsOptions);
+      },
+      puppeteer: () => new PuppeteerCollector({ url: config.puppeteerUrl }),
+    };
 
-      logger.info('📡 Bwin collector initialized');
-    }
+    for (const key of config.collectors) {
+      const factory = factories[key];
 
-    // Initialize SofaScore Collector (if URL is configured)
-    if (config.sofascoreWsUrl && config.sofascoreWsUrl !== 'wss://www.sofascore.com/u') {
-      const sofascoreCollector = new SofaScoreCollector(config.sofascoreWsUrl, {
-        reconnectDelay: config.reconnectDelay,
-        maxReconnectAttempts: config.maxReconnectAttempts,
-        heartbeatInterval: config.heartbeatInterval,
-        matchIds: [],
-      });
-
-      this.collectors.push({
-        name: 'SofaScore',
-        collector: sofascoreCollector,
-      });
+      if (!factory) {
+        logger.warn(`⚠️ Unknown collector "${key}" - expected one of ${Object.keys(factories).join(', ')}`);
+        continue;
+      }
 
-      logger.info('📡 SofaScore collector initialized');
+      try {
+        const collector = assertCollector(factory(), key);
+        this.collectors.push({ name: collector.name, collector });
+        logger.info(`📡 ${collector.name} collector initialized`);
+      } catch (error) {
+        logger.error(`Failed to initialize ${key} collector: ${error.message}`);
+      }
     }
 
     if (this.collectors.length === 0) {
-      logger.warn('⚠️ No collectors initialized. Please configure WebSocket URLs in .env');
+      logger.warn('⚠️ No collectors initialized. Please configure COLLECTORS in .env');
     }
   }
 
@@ -111,56 +202,91 @@ class SportsDataPipeline {
   setupEventListeners() {
     // Listen to data from collectors
     this.collectors.forEach(({ name, collector }) => {
-      collector.on('data', async event => {
-        perfMonitor.start('event_processing');
-        
+      collector.on(CollectorEvents.DATA, async event => {
+        const receivedAt = Date.now();
+        const trace = tracer.ensure(event, receivedAt);
+        this.eventReceivedAt.set(event, receivedAt);
+        perfMonitor.record('frame_to_event', receivedAt - trace.stages.frame_received);
+        pipelineMetrics.events.inc({ source: event.source || name, event_type: event.eventType });
+
+        this.journal?.recordEvent(event);
+        eventStream.publish('event', event);
+        const span = perfMonitor.start('event_processing');
+
         try {
           await this.processor.process(event);
           this.stats.eventsProcessed++;
+          span.end();
         } catch (error) {
           logger.error(`Error processing event from ${name}: ${error.message}`);
           this.stats.errors++;
+          span.fail();
         }
-        
-        perfMonitor.end('event_processing');
       });
 
-      collector.on('connected', () => {
+      if (this.journal) {
+        collector.on(CollectorEvents.FRAME, frame => this.journal.recordFrame(frame));
+      }
+
+      let disconnected = false;
+
+      collector.on(CollectorEvents.CONNECTED, () => {
         logger.info(`✅ ${name} collector connected`);
+        if (disconnected) {
+          pipelineMetrics.collectorReconnects.inc({ collector: name });
+          disconnected = false;
+        }
       });
 
-      collector.on('disconnected', () => {
+      collector.on(CollectorEvents.DISCONNECTED, () => {
         logger.warn(`⚠️ ${name} collector disconnected`);
+        pipelineMetrics.collectorDisconnects.inc({ collector: name });
+        disconnected = true;
       });
 
-      collector.on('error', error => {
+      collector.on(CollectorEvents.ERROR, error => {
         logger.error(`❌ ${name} collector error: ${error.message}`);
+        pipelineMetrics.collectorErrors.inc({ collector: name });
         this.stats.errors++;
       });
 
-      collector.on('maxReconnectReached', () => {
+      collector.on(CollectorEvents.MAX_RECONNECT_REACHED, () => {
         logger.error(`❌ ${name} collector reached max reconnect attempts`);
       });
     });
 
     // Listen to alerts from processor
     this.processor.on('alert', async alert => {
-      perfMonitor.start('alert_delivery');
-      
+      this.journal?.recordAlert(alert);
+      this.rememberAlert(alert);
+      eventStream.publish('alert', alert);
+      pipelineMetrics.alerts.inc({ type: alert.type, severity: alert.severity });
+      if (this.eventReceivedAt.has(alert.raw)) {
+        perfMonitor.record('event_to_alert', alert.timestamp - this.eventReceivedAt.get(alert.raw));
+      }
+      const span = perfMonitor.start('alert_delivery');
+
       try {
-        await this.notifier.sendAlert(alert);
-        this.stats.alertsSent++;
-        logger.info(`📤 Alert sent: ${alert.type}`);
+        const results = await this.dispatcher.dispatch(alert);
+        const delivered = results.filter(result => result.success).length;
+
+        if (delivered > 0) {
+          this.stats.alertsSent++;
+          logger.info(`📤 Alert sent: ${alert.type} (${delivered}/${results.length} deliveries)`);
+        }
+        this.stats.errors += results.length - delivered;
+        span.end({ failed: delivered === 0 && results.length > 0 });
       } catch (error) {
         logger.error(`Failed to send alert: ${error.message}`);
         this.stats.errors++;
+        span.fail();
       }
-      
-      perfMonitor.end('alert_delivery');
     });
 
+    this.registerMetrics();
+
     // Setup periodic stats logging
-    setInterval(() => {
+    this.statsTimer = setInterval(() => {
       this.logStats();
     }, 60000); // Every minute
   }
@@ -177,37 +303,44 @@ class SportsDataPipeline {
     logger.info('▶️ Starting pipeline...');
     this.stats.startTime = Date.now();
     this.isRunning = true;
+    matchStore.startExpiry();
+    this.reloader.start();
+    this.liveCards?.start();
 
-    // Connect all collectors
-    this.collectors.forEach(({ name, collector }) => {
-      try {
-        collector.connect();
-        logger.info(`📡 ${name} collector connecting...`);
-      } catch (error) {
-        logger.error(`Failed to connect ${name} collector: ${error.message}`);
-      }
-    });
+    // Start all collectors
+    await Promise.all(
+      this.collectors.map(async ({ name, collector }) => {
+        try {
+          logger.info(`📡 ${name} collector starting...`);
+          await collector.start();
+        } catch (error) {
+          logger.error(`Failed to start ${name} collector: ${error.message}`);
+        }
+      })
+    );
 
     // Send startup notification
     try {
-      await this.notifier.sendAlert({
+      await this.dispatcher.sendAlert({
         type: 'system',
         severity: 'info',
         timestamp: Date.now(),
         message: '🚀 Sports Data Pipeline Started\n\n✅ System is online and monitoring live matches',
         data: {
           collectors: this.collectors.map(c => c.name),
-          enabledAlerts: {
-            goals: config.enableGoals,
-            redCards: config.enableRedCards,
-            yellowCards: config.enableYellowCards,
-          },
+          enabledAlerts: this.processor.enabledEvents,
         },
       });
     } catch (error) {
       logger.error('Failed to send startup notification');
     }
 
+    try {
+      await this.commands.start();
+    } catch (error) {
+      logger.error(`Failed to start Telegram commands: ${error.message}`);
+    }
+
     logger.info('✅ Pipeline started successfully');
   }
 
@@ -223,24 +356,29 @@ class SportsDataPipeline {
     logger.info('⏹️ Stopping pipeline...');
     this.isRunning = false;
 
-    // Disconnect all collectors
-    this.collectors.forEach(({ name, collector }) => {
-      try {
-        collector.disconnect();
-        logger.info(`📡 ${name} collector disconnected`);
-      } catch (error) {
-        logger.error(`Error disconnecting ${name} collector: ${error.message}`);
-      }
-    });
-
-    // Stop notifier
-    if (this.notifier) {
-      this.notifier.stop();
+    if (this.statsTimer) {
+      clearInterval(this.statsTimer);
+      this.statsTimer = null;
     }
+    matchStore.stopExpiry();
+    this.reloader.stop();
+    this.liveCards?.stop();
+
+    // Stop all collectors
+    await Promise.all(
+      this.collectors.map(async ({ name, collector }) => {
+        try {
+          await collector.stop();
+          logger.info(`📡 ${name} collector stopped`);
+        } catch (error) {
+          logger.error(`Error stopping ${name} collector: ${error.message}`);
+        }
+      })
+    );
 
     // Send shutdown notification
     try {
-      await this.notifier.sendAlert({
+      await this.dispatcher.sendAlert({
         type: 'system',
         severity: 'info',
         timestamp: Date.now(),
@@ -254,9 +392,106 @@ class SportsDataPipeline {
       logger.error('Failed to send shutdown notification');
     }
 
+    if (this.commands) {
+      await this.commands.stop();
+    }
+
+    // Stop notifiers once queued Telegram messages are out
+    if (this.notifier) {
+      await this.notifier.drain();
+      this.dispatcher.stop();
+    }
+
+    if (this.journal) {
+      await this.journal.close();
+    }
+
+    eventStream.close();
+
     logger.info('✅ Pipeline stopped');
   }
 
+  /**
+   * Gauges read from pipeline state on every /metrics scrape
+   */
+  registerMetrics() {
+    metrics.gauge(
+      'sports_collector_connected',
+      'Whether the collector feed is connected (1) or not (0)',
+      ['collector'],
+      gauge =>
+        this.collectors.forEach(({ name, collector }) =>
+          gauge.set({ collector: name }, collector.isConnected ? 1 : 0)
+        )
+    );
+    metrics.gauge(
+      'sports_collector_reconnect_attempts',
+      'Current reconnect attempt of the collector (0 when connected)',
+      ['collector'],
+      gauge =>
+        this.collectors.forEach(({ name, collector }) =>
+          gauge.set({ collector: name }, collector.getStatus().reconnectAttempts || 0)
+        )
+    );
+    metrics.gauge('sports_tracked_matches', 'Matches in the match store', [], gauge =>
+      gauge.set({}, matchStore.size)
+    );
+    metrics.gauge(
+      'sports_notification_queue_depth',
+      'Messages waiting in the Telegram queue',
+      [],
+      gauge => gauge.set({}, this.notifier?.messageQueue.length || 0)
+    );
+    metrics.gauge('sports_stream_clients', 'Connected SSE / WebSocket clients', [], gauge =>
+      gauge.set({}, eventStream.clients.size)
+    );
+    metrics.gauge(
+      'sports_pipeline_uptime_seconds',
+      'Seconds since the pipeline started',
+      [],
+      gauge => gauge.set({}, this.stats.startTime ? (Date.now() - this.stats.startTime) / 1000 : 0)
+    );
+  }
+
+  /**
+   * Keep an alert for GET /alerts (bounded)
+   */
+  rememberAlert(alert) {
+    const summary = { ...alert };
+    delete summary.raw;
+    this.recentAlerts.push(summary);
+
+    if (this.recentAlerts.length > this.maxRecentAlerts) {
+      this.recentAlerts.shift();
+    }
+  }
+
+  /**
+   * Recent alerts, optionally newer than `since` (epoch ms) and capped to the last `limit`
+   */
+  getRecentAlerts({ since, limit } = {}) {
+    const alerts =
+      since === undefined
+        ? this.recentAlerts
+        : this.recentAlerts.filter(alert => alert.timestamp > since);
+    return limit ? alerts.slice(-limit) : alerts.slice();
+  }
+
+  /**
+   * Stop and start a collector by name
+   */
+  async restartCollector(name) {
+    const entry = this.collectors.find(collector => collector.name === name);
+    if (!entry) {
+      throw new Error(`Unknown collector ${name}`);
+    }
+
+    logger.info(`🔁 Restarting ${name} collector`);
+    await entry.collector.stop();
+    await entry.collector.start();
+    return entry.collector.getStatus();
+  }
+
   /**
    * Log statistics
    */
@@ -269,7 +504,9 @@ class SportsDataPipeline {
       eventsProcessed: this.stats.eventsProcessed,
       alertsSent: this.stats.alertsSent,
       errors: this.stats.errors,
+      trackedMatches: matchStore.size,
       performance: perfMonitor.getAllMetrics(),
+      latencyBottleneck: tracer.getBottleneck(),
     });
   }
 
@@ -283,14 +520,26 @@ class SportsDataPipeline {
       collectors: this.collectors.map(({ name, collector }) => ({
         name,
         connected: collector.isConnected,
+        ...collector.getStatus(),
       })),
+      trackedMatches: matchStore.size,
+      alerts: this.processor?.getControls() || null,
+      subscriptions: this.subscriptions?.size ?? 0,
+      liveCards: this.liveCards?.getStatus() || null,
+      stream: eventStream.getStatus(),
+      notifications: this.notifier?.getQueueStats() || null,
+      notifiers: this.dispatcher?.getStats() || null,
+      journal: this.journal?.getStats() || null,
+      config: this.reloader?.getStatus() || null,
       performance: perfMonitor.getAllMetrics(),
+      tracing: tracer.getStatus(),
     };
   }
 }
 
 /**
  * Main function
+ * Returns the running pipeline so hosts like src/server.js can reuse it
  */
 async function main() {
   const pipeline = new SportsDataPipeline();
@@ -315,13 +564,16 @@ async function main() {
     // Keep process alive
     logger.info('📡 Pipeline is running. Press Ctrl+C to stop.');
 
+    return pipeline;
   } catch (error) {
     logger.error('Fatal error:', error);
     process.exit(1);
   }
 }
 
-// Run the application
-main();
+// Run the application when executed directly (not when imported by src/server.js)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
 
-export { SportsDataPipeline };
+export { SportsDataPipeline, main };
@@ -0,0 +1,133 @@
+import {
+  EventProcessor,
+  defaultRules,
+  loadRulesFile,
+  registerRules,
+} from '../eventProcessor/index.js';
+import { TelegramNotifier, NotificationDispatcher } from '../notificationDispatcher/index.js';
+import { JournalReplayer } from '../journal/index.js';
+import { createWebhookNotifiers } from './webhookNotifiers.js';
+import { logger, config } from './utils/index.js';
+
+/**
+ * Journal Replay
+ * Feeds a recorded journal back through EventProcessor and the notifiers
+ *
+ * Usage:
+ *   node src/replay.js <journal.jsonl> [--speed 10] [--match <matchId>] [--send] [--chat <chatId>]
+ *
+ * --speed  1 = original timing (default), 10 = ten times faster, 0 = no delays
+ * --match  only replay events of one match
+ * --send   deliver alerts through Telegram and the configured webhooks (default: log only)
+ * --chat   send to this chat instead of TELEGRAM_CHAT_ID
+ */
+function parseArgs(argv) {
+  const args = { file: null, speed: 1, matchId: null, send: false, chatId: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--speed') {
+      args.speed = Number(argv[++i]);
+    } else if (arg === '--match') {
+      args.matchId = argv[++i];
+    } else if (arg === '--send') {
+      args.send = true;
+    } else if (arg === '--chat') {
+      args.chatId = argv[++i];
+    } else if (!args.file) {
+      args.file = arg;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Count alerts per type
+ */
+function countByType(alerts) {
+  return alerts.reduce((counts, alert) => {
+    counts[alert.type] = (counts[alert.type] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+async function replay() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file || !Number.isFinite(args.speed) || args.speed < 0) {
+    logger.error(
+      'Usage: node src/replay.js <journal.jsonl> [--speed 10] [--match <matchId>] [--send] [--chat <chatId>]'
+    );
+    process.exit(1);
+  }
+
+  // Same toggles, disabled rules and rules file as a running pipeline
+  const settings = config.getReloadableSettings();
+  const processor = new EventProcessor({
+    cacheTimeout: 5000,
+    enabledEvents: settings.enabledEvents,
+    disabledRules: settings.disabledRules,
+  });
+
+  Object.entries(defaultRules).forEach(([name, ruleFn]) => processor.addRule(name, ruleFn));
+
+  if (settings.rulesFile) {
+    registerRules(processor, loadRulesFile(settings.rulesFile));
+  }
+
+  let dispatcher = null;
+  if (args.send) {
+    const notifier = new TelegramNotifier(config.telegramBotToken, {
+      chatId: args.chatId || config.telegramChatId,
+      retryAttempts: 3,
+      retryDelay: 1000,
+    });
+    await notifier.initialize();
+    dispatcher = new NotificationDispatcher([notifier, ...createWebhookNotifiers()]);
+  }
+
+  const replayedAlerts = [];
+  const recordedAlerts = [];
+  const deliveries = [];
+
+  processor.on('alert', alert => {
+    replayedAlerts.push(alert);
+    logger.info(`🔁 Replayed alert: ${alert.type} (match ${alert.matchId})`);
+
+    if (dispatcher) {
+      deliveries.push(
+        dispatcher.dispatch(alert).catch(error => {
+          logger.error(`Failed to send replayed alert: ${error.message}`);
+        })
+      );
+    } else {
+      logger.info(alert.message);
+    }
+  });
+
+  const replayer = new JournalReplayer(processor, {
+    speed: args.speed,
+    matchId: args.matchId,
+  });
+  replayer.on('recordedAlert', alert => recordedAlerts.push(alert));
+
+  process.on('SIGINT', () => replayer.stop());
+
+  await replayer.replay(args.file);
+  await Promise.all(deliveries);
+
+  logger.info('📊 Replay summary', {
+    events: replayer.stats.events,
+    recordedAlerts: countByType(recordedAlerts),
+    replayedAlerts: countByType(replayedAlerts),
+  });
+
+  process.exit(0);
+}
+
+replay().catch(error => {
+  logger.error(`Replay failed: ${error.message}`);
+  process.exit(1);
+});
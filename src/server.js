@@ -1,9 +1,16 @@
-// Health Check Endpoint for Render/Fly.io
+// Health Check Endpoint for Render/Fly.io, plus the control API (src/api.js)
+// and the event stream (src/stream.js)
 import http from 'http';
+import { main } from './index.js';
+import { ControlApi } from './api.js';
+import { eventStream } from './stream.js';
+import { logger, config } from './utils/index.js';
 
 const PORT = process.env.PORT || 8080;
 
-const server = http.createServer((req, res) => {
+const api = new ControlApi({ token: config.apiToken, metricsToken: config.metricsToken });
+
+const server = http.createServer(async (req, res) => {
   if (req.url === '/health' || req.url === '/') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ 
@@ -11,15 +18,29 @@ const server = http.createServer((req, res) => {
       service: 'realtime-sports-scraper',
       uptime: process.uptime()
     }));
-  } else {
-    res.writeHead(404);
-    res.end();
+    return;
+  }
+
+  if (eventStream.handleRequest(req, res)) return;
+  if (await api.handle(req, res)) return;
+
+  res.writeHead(404);
+  res.end();
+});
+
+// WebSocket fan-out (/events/ws)
+server.on('upgrade', (req, socket, head) => {
+  if (!eventStream.handleUpgrade(req, socket, head)) {
+    socket.destroy();
   }
 });
 
 server.listen(PORT, () => {
   console.log(`Health check server running on port ${PORT}`);
+  if (!config.apiToken) {
+    logger.warn('⚠️ API_TOKEN not set - control API disabled');
+  }
 });
 
-// Now start the actual scraper
-import('../examples/test-end-to-end.js');
+// Now start the actual pipeline
+main().then(pipeline => api.setPipeline(pipeline));
@@ -0,0 +1,258 @@
+import { WebSocketServer } from 'ws';
+import { isAuthorized } from './api.js';
+import { logger, config } from './utils/index.js';
+
+const KINDS = ['event', 'alert'];
+
+const toSet = value =>
+  value
+    ? new Set(
+        value
+          .split(',')
+          .map(item => item.trim())
+          .filter(Boolean)
+      )
+    : null;
+
+/**
+ * Event Stream
+ * Pushes every normalized event and alert to downstream consumers as JSON:
+ *
+ *   SSE        GET /events/stream   (event: event|alert, id: sequence)
+ *   WebSocket  /events/ws           ({ id, kind, data } per message)
+ *
+ * Query filters: matchId=1,2  eventType=goal,red_card  kind=event|alert
+ * (eventType matches an event's eventType or an alert's type).
+ *
+ * Auth uses API_TOKEN as a bearer header or `?token=`. Each client may have
+ * at most maxBufferBytes waiting in its socket; slower consumers are
+ * disconnected and can resume from the last id they saw (SSE Last-Event-ID or
+ * `?since=`) while it is still in the replay buffer.
+ */
+export class EventStream {
+  constructor(options = {}) {
+    this.token = options.token ?? config.apiToken;
+    this.maxBufferBytes = options.maxBufferBytes ?? config.streamMaxBuffer;
+    this.replaySize = options.replaySize ?? 500;
+    this.heartbeatInterval = options.heartbeatInterval ?? 15000;
+    this.clients = new Set();
+    this.replay = []; // recent messages for resuming clients
+    this.sequence = 0;
+    this.heartbeatTimer = null;
+    this.wss = new WebSocketServer({ noServer: true });
+    this.stats = {
+      published: 0,
+      slowDisconnects: 0,
+    };
+  }
+
+  /**
+   * Publish a normalized event or an alert to every matching client
+   */
+  publish(kind, payload) {
+    const data = { ...payload };
+    delete data.raw;
+
+    const message = {
+      id: ++this.sequence,
+      kind,
+      matchId: data.matchId !== undefined ? String(data.matchId) : null,
+      type: kind === 'alert' ? data.type : data.eventType,
+      json: JSON.stringify({ id: this.sequence, kind, data }),
+    };
+
+    this.replay.push(message);
+    if (this.replay.length > this.replaySize) {
+      this.replay.shift();
+    }
+
+    this.stats.published++;
+    this.clients.forEach(client => this.deliver(client, message));
+  }
+
+  /**
+   * Parse query filters
+   */
+  parseFilter(url) {
+    const query = url.searchParams;
+    return {
+      matchIds: toSet(query.get('matchId')),
+      types: toSet(query.get('eventType')),
+      kinds: toSet(query.get('kind')) || new Set(KINDS),
+    };
+  }
+
+  /**
+   * Check a message against a client's filter
+   */
+  accepts(filter, message) {
+    if (!filter.kinds.has(message.kind)) return false;
+    if (filter.matchIds && !filter.matchIds.has(message.matchId)) return false;
+    if (filter.types && !filter.types.has(message.type)) return false;
+    return true;
+  }
+
+  /**
+   * Write a message to a client, disconnecting it if its buffer is full
+   */
+  deliver(client, message) {
+    if (!this.clients.has(client) || !this.accepts(client.filter, message)) return;
+
+    if (client.bufferedBytes() > this.maxBufferBytes) {
+      this.stats.slowDisconnects++;
+      logger.warn(`Stream client too slow, disconnecting (${client.transport})`, {
+        lastId: client.lastId,
+      });
+      this.removeClient(client);
+      client.terminate();
+      return;
+    }
+
+    client.send(message);
+    client.lastId = message.id;
+  }
+
+  /**
+   * Send buffered messages newer than a sequence id
+   */
+  replaySince(client, lastId) {
+    if (!(lastId >= 0)) return;
+    this.replay
+      .filter(message => message.id > lastId)
+      .forEach(message => this.deliver(client, message));
+  }
+
+  /**
+   * Register a client and start heartbeats with the first one
+   */
+  addClient(client) {
+    this.clients.add(client);
+    if (!this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(
+        () => this.clients.forEach(each => each.ping()),
+        this.heartbeatInterval
+      );
+      this.heartbeatTimer.unref?.();
+    }
+    logger.info(`📡 Stream client connected (${client.transport}, ${this.clients.size} total)`);
+  }
+
+  /**
+   * Remove a client
+   */
+  removeClient(client) {
+    if (!this.clients.delete(client)) return;
+    if (this.clients.size === 0) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    logger.info(`📡 Stream client disconnected (${client.transport}, ${this.clients.size} left)`);
+  }
+
+  /**
+   * Reject unauthenticated requests, returns the HTTP status or null
+   */
+  checkAccess(req) {
+    if (!this.token) return 503;
+    return isAuthorized(req, this.token, { allowQueryToken: true }) ? null : 401;
+  }
+
+  /**
+   * Handle GET /events/stream, returns false for other paths
+   */
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/events/stream') return false;
+
+    const denied = this.checkAccess(req);
+    if (denied) {
+      res.writeHead(denied, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: denied === 401 ? 'Unauthorized' : 'Stream disabled' }));
+      return true;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // nginx: do not buffer the stream
+    });
+    res.write('retry: 3000\n\n');
+
+    const client = {
+      transport: 'sse',
+      filter: this.parseFilter(url),
+      lastId: null,
+      bufferedBytes: () => res.writableLength,
+      send: message =>
+        res.write(`id: ${message.id}\nevent: ${message.kind}\ndata: ${message.json}\n\n`),
+      ping: () => res.write(': ping\n\n'),
+      terminate: () => res.destroy(),
+    };
+
+    req.on('close', () => this.removeClient(client));
+    this.addClient(client);
+    this.replaySince(
+      client,
+      parseInt(req.headers['last-event-id'] ?? url.searchParams.get('since'), 10)
+    );
+    return true;
+  }
+
+  /**
+   * Handle the WebSocket upgrade for /events/ws, returns false for other paths
+   */
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/events/ws') return false;
+
+    const denied = this.checkAccess(req);
+    if (denied) {
+      socket.end(
+        `HTTP/1.1 ${denied === 401 ? '401 Unauthorized' : '503 Service Unavailable'}\r\n\r\n`
+      );
+      return true;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, ws => {
+      const client = {
+        transport: 'ws',
+        filter: this.parseFilter(url),
+        lastId: null,
+        bufferedBytes: () => ws.bufferedAmount,
+        send: message => ws.send(message.json),
+        ping: () => ws.ping(),
+        terminate: () => ws.terminate(),
+      };
+
+      ws.on('close', () => this.removeClient(client));
+      ws.on('error', error => logger.debug(`Stream WebSocket error: ${error.message}`));
+      this.addClient(client);
+      this.replaySince(client, parseInt(url.searchParams.get('since'), 10));
+    });
+    return true;
+  }
+
+  /**
+   * Disconnect every client
+   */
+  close() {
+    this.clients.forEach(client => client.terminate());
+    this.clients.clear();
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Stream status
+   */
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      lastId: this.sequence,
+      ...this.stats,
+    };
+  }
+}
+
+export const eventStream = new EventStream();
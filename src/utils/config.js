@@ -1,9 +1,35 @@
+import fs from 'fs';
 import dotenv from 'dotenv';
 import { logger } from './logger.js';
 
 // Load environment variables
 dotenv.config();
 
+/**
+ * Settings that can be changed at runtime (see src/configReloader.js)
+ * Everything else in .env requires a restart
+ */
+export const RELOADABLE_KEYS = [
+  'ENABLE_GOALS',
+  'ENABLE_RED_CARDS',
+  'ENABLE_YELLOW_CARDS',
+  'ENABLE_LIFECYCLE',
+  'DISABLED_RULES',
+  'RULES_FILE',
+  'LOG_LEVEL',
+];
+
+const FLAG_KEYS = ['ENABLE_GOALS', 'ENABLE_RED_CARDS', 'ENABLE_YELLOW_CARDS', 'ENABLE_LIFECYCLE'];
+const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+
+const parseFlag = value => value !== 'false';
+
+const parseList = value =>
+  (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
 /**
  * Configuration management
  * Validates and provides typed access to environment variables
@@ -39,6 +65,58 @@ class Config {
     return process.env.TELEGRAM_CHAT_ID;
   }
 
+  get telegramAdminChatIds() {
+    return parseList(process.env.TELEGRAM_ADMIN_CHAT_IDS);
+  }
+
+  get subscriptionsFile() {
+    return process.env.SUBSCRIPTIONS_FILE || 'data/subscriptions.json';
+  }
+
+  // Control API (src/api.js), disabled without a token
+  get apiToken() {
+    return process.env.API_TOKEN || null;
+  }
+
+  // Optional bearer token for /metrics (open without it)
+  get metricsToken() {
+    return process.env.METRICS_TOKEN || null;
+  }
+
+  get streamMaxBuffer() {
+    return parseInt(process.env.STREAM_MAX_BUFFER || '1048576', 10);
+  }
+
+  // Live Match Cards
+  get liveCards() {
+    return process.env.LIVE_CARDS === 'true';
+  }
+
+  get liveCardTeams() {
+    return parseList(process.env.LIVE_CARD_TEAMS);
+  }
+
+  get liveCardInterval() {
+    return parseInt(process.env.LIVE_CARD_INTERVAL || '30000', 10);
+  }
+
+  // Additional Notifiers (optional)
+  get discordWebhookUrl() {
+    return process.env.DISCORD_WEBHOOK_URL || null;
+  }
+
+  get slackWebhookUrl() {
+    return process.env.SLACK_WEBHOOK_URL || null;
+  }
+
+  get webhookUrl() {
+    return process.env.WEBHOOK_URL || null;
+  }
+
+  get webhookSecret() {
+    return process.env.WEBHOOK_SECRET || null;
+  }
+
   // WebSocket Configuration
   get bwinWsUrl() {
     return process.env.BWIN_WS_URL || 'wss://websocket.bwin.com/feed';
@@ -48,6 +126,43 @@ class Config {
     return process.env.SOFASCORE_WS_URL || 'wss://www.sofascore.com/u';
   }
 
+  get bet365WsUrl() {
+    return process.env.BET365_WS_URL || null;
+  }
+
+  // Collector Settings
+  get collectors() {
+    return (process.env.COLLECTORS || 'sofascore')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  // Incident polling of live SofaScore matches in ms (missed penalties, VAR), 0 disables
+  get sofascoreIncidentPollInterval() {
+    return parseInt(process.env.SOFASCORE_INCIDENT_POLL_INTERVAL || '60000', 10);
+  }
+
+  // SofaScore sports to follow: football, basketball, tennis, ice-hockey
+  get sofascoreSports() {
+    const sports = parseList(process.env.SOFASCORE_SPORTS).map(sport => sport.toLowerCase());
+    return sports.length > 0 ? sports : ['football'];
+  }
+
+  // SofaScore watch list (IDs or names), all live matches when empty
+  get sofascoreWatchList() {
+    return {
+      tournaments: parseList(process.env.SOFASCORE_WATCH_TOURNAMENTS),
+      teams: parseList(process.env.SOFASCORE_WATCH_TEAMS),
+      countries: parseList(process.env.SOFASCORE_WATCH_COUNTRIES),
+      matches: parseList(process.env.SOFASCORE_WATCH_MATCHES),
+    };
+  }
+
+  get puppeteerUrl() {
+    return process.env.PUPPETEER_URL || 'https://www.bet365.com';
+  }
+
   // Application Settings
   get nodeEnv() {
     return process.env.NODE_ENV || 'development';
@@ -80,15 +195,92 @@ class Config {
 
   // Alert Settings
   get enableGoals() {
-    return process.env.ENABLE_GOALS !== 'false';
+    return parseFlag(process.env.ENABLE_GOALS);
   }
 
   get enableRedCards() {
-    return process.env.ENABLE_RED_CARDS !== 'false';
+    return parseFlag(process.env.ENABLE_RED_CARDS);
   }
 
   get enableYellowCards() {
-    return process.env.ENABLE_YELLOW_CARDS !== 'false';
+    return parseFlag(process.env.ENABLE_YELLOW_CARDS);
+  }
+
+  // Kickoff, half-time, ..., full-time alerts (off unless enabled)
+  get enableLifecycle() {
+    return process.env.ENABLE_LIFECYCLE === 'true';
+  }
+
+  // Rule Settings
+  get disabledRules() {
+    return parseList(process.env.DISABLED_RULES);
+  }
+
+  get rulesFile() {
+    return process.env.RULES_FILE || null;
+  }
+
+  get configWatch() {
+    return process.env.CONFIG_WATCH !== 'false';
+  }
+
+  // Journal Settings
+  get journalEnabled() {
+    return process.env.JOURNAL_ENABLED === 'true';
+  }
+
+  get journalDir() {
+    return process.env.JOURNAL_DIR || 'data/journal';
+  }
+
+  get journalFrames() {
+    return process.env.JOURNAL_FRAMES !== 'false';
+  }
+
+  /**
+   * Runtime-reloadable settings, read from the given environment
+   */
+  getReloadableSettings(env = process.env) {
+    return {
+      enabledEvents: {
+        goals: parseFlag(env.ENABLE_GOALS),
+        redCards: parseFlag(env.ENABLE_RED_CARDS),
+        yellowCards: parseFlag(env.ENABLE_YELLOW_CARDS),
+        lifecycle: env.ENABLE_LIFECYCLE === 'true',
+      },
+      disabledRules: parseList(env.DISABLED_RULES),
+      rulesFile: env.RULES_FILE || null,
+      logLevel: env.LOG_LEVEL || 'info',
+    };
+  }
+
+  /**
+   * Validate reloadable settings, returns a list of problems
+   */
+  validateReloadableSettings(env = process.env) {
+    const errors = FLAG_KEYS.filter(key => env[key] && !['true', 'false'].includes(env[key])).map(
+      key => `${key} must be true or false (got "${env[key]}")`
+    );
+
+    if (env.LOG_LEVEL && !LOG_LEVELS.includes(env.LOG_LEVEL)) {
+      errors.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')} (got "${env.LOG_LEVEL}")`);
+    }
+
+    if (env.RULES_FILE && !fs.existsSync(env.RULES_FILE)) {
+      errors.push(`RULES_FILE ${env.RULES_FILE} does not exist`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Read a .env file without touching process.env (missing file = empty)
+   */
+  readEnvFile(envPath = '.env') {
+    if (!fs.existsSync(envPath)) {
+      return {};
+    }
+    return dotenv.parse(fs.readFileSync(envPath));
   }
 
   /**
@@ -99,10 +291,35 @@ class Config {
       telegram: {
         botToken: this.telegramBotToken ? '***' : null,
         chatId: this.telegramChatId,
+        adminChatIds: this.telegramAdminChatIds,
+        subscriptionsFile: this.subscriptionsFile,
+      },
+      api: {
+        enabled: Boolean(this.apiToken),
+        metricsToken: Boolean(this.metricsToken),
+        streamMaxBuffer: this.streamMaxBuffer,
+      },
+      liveCards: {
+        enabled: this.liveCards,
+        teams: this.liveCardTeams,
+        interval: this.liveCardInterval,
+      },
+      notifiers: {
+        discord: this.discordWebhookUrl ? '***' : null,
+        slack: this.slackWebhookUrl ? '***' : null,
+        webhook: this.webhookUrl ? '***' : null,
+        webhookSigned: Boolean(this.webhookSecret),
       },
       websocket: {
         bwinUrl: this.bwinWsUrl,
         sofascoreUrl: this.sofascoreWsUrl,
+        bet365Url: this.bet365WsUrl ? '***' : null,
+      },
+      collectors: this.collectors,
+      sofascore: {
+        incidentPollInterval: this.sofascoreIncidentPollInterval,
+        sports: this.sofascoreSports,
+        watchList: this.sofascoreWatchList,
       },
       app: {
         nodeEnv: this.nodeEnv,
@@ -117,6 +334,16 @@ class Config {
         goals: this.enableGoals,
         redCards: this.enableRedCards,
         yellowCards: this.enableYellowCards,
+        lifecycle: this.enableLifecycle,
+      },
+      rules: {
+        disabled: this.disabledRules,
+        file: this.rulesFile,
+      },
+      journal: {
+        enabled: this.journalEnabled,
+        directory: this.journalDir,
+        frames: this.journalFrames,
       },
     };
   }
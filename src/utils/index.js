@@ -1,4 +1,13 @@
 export { logger, perfLogger } from './logger.js';
-export { config } from './config.js';
-export { measureAsync, measureSync, PerformanceMonitor, perfMonitor } from './performance.js';
-export { validateEvent, validateAlert, sanitizeString, isValidUrl, isValidWebSocketUrl } from './validation.js';
+export { config, RELOADABLE_KEYS } from './config.js';
+export { metrics, pipelineMetrics, MetricsRegistry } from './metrics.js';
+export { measureAsync, measureSync, PerformanceMonitor, Span, perfMonitor } from './performance.js';
+export { TRACE_STAGES, startTrace, markStage, summarizeTrace, Tracer, tracer } from './tracing.js';
+export {
+  validateEvent,
+  validateAlert,
+  sanitizeString,
+  escapeHtml,
+  isValidUrl,
+  isValidWebSocketUrl,
+} from './validation.js';
@@ -0,0 +1,221 @@
+/**
+ * Prometheus metrics
+ * Minimal registry producing the text exposition format (version 0.0.4)
+ */
+
+// Latency buckets in seconds, around the 200ms delivery target
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.2, 0.3, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = value =>
+  String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = labels => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+/**
+ * Base metric: one value per label combination
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // label key -> { labels, value }
+  }
+
+  /**
+   * Pick the declared labels (missing ones become '')
+   */
+  labelsFor(labels = {}) {
+    return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+  }
+
+  /**
+   * Get or create the entry for a label combination
+   */
+  entry(labels, initial) {
+    const picked = this.labelsFor(labels);
+    const key = JSON.stringify(picked);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: picked, value: initial() });
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * Exposition lines for this metric
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+}
+
+/**
+ * Monotonic counter
+ */
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels, () => 0).value += amount;
+  }
+}
+
+/**
+ * Gauge, optionally refreshed by a collect callback on every scrape
+ */
+export class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels = {}, value = 0) {
+    this.entry(labels, () => 0).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      this.reset();
+      this.collect(this);
+    }
+    return super.render();
+  }
+}
+
+/**
+ * Histogram with cumulative buckets
+ */
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.entry(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    })).value;
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, value } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`
+        );
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Metrics registry
+ * Registering a name again replaces the previous metric
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Text exposition of every metric
+   */
+  render() {
+    return (
+      Array.from(this.metrics.values())
+        .flatMap(metric => metric.render())
+        .join('\n') + '\n'
+    );
+  }
+
+  /**
+   * Clear all recorded values
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+/**
+ * Global registry instance
+ */
+export const metrics = new MetricsRegistry();
+
+/**
+ * Pipeline metrics shared across stages
+ */
+export const pipelineMetrics = {
+  latency: metrics.histogram(
+    'sports_pipeline_latency_seconds',
+    'Stage latency (frame_to_event, event_to_alert, alert_to_delivered, frame_to_delivered, ...)',
+    ['stage', 'outcome']
+  ),
+  events: metrics.counter('sports_events_total', 'Normalized events received from collectors', [
+    'source',
+    'event_type',
+  ]),
+  alerts: metrics.counter('sports_alerts_total', 'Alerts generated', ['type', 'severity']),
+  notifications: metrics.counter(
+    'sports_notifications_total',
+    'Alert deliveries per notifier and outcome',
+    ['notifier', 'outcome']
+  ),
+  collectorDisconnects: metrics.counter(
+    'sports_collector_disconnects_total',
+    'Collector disconnections',
+    ['collector']
+  ),
+  collectorReconnects: metrics.counter(
+    'sports_collector_reconnects_total',
+    'Collector reconnections after a disconnect',
+    ['collector']
+  ),
+  collectorErrors: metrics.counter('sports_collector_errors_total', 'Collector errors', [
+    'collector',
+  ]),
+};
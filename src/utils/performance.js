@@ -2,6 +2,8 @@
  * Performance monitoring utilities
  */
 
+import { pipelineMetrics } from './metrics.js';
+
 /**
  * Measure execution time of async function
  */
@@ -32,53 +34,145 @@ export function measureSync(fn, label = 'Operation') {
   }
 }
 
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+/**
+ * Timing span returned by PerformanceMonitor.start()
+ * Each span is ended independently, so concurrent operations with the same
+ * label are measured correctly
+ */
+export class Span {
+  constructor(monitor, label) {
+    this.monitor = monitor;
+    this.label = label;
+    this.startTime = process.hrtime.bigint();
+    this.duration = null;
+  }
+
+  /**
+   * Stop timing and record (only the first call counts)
+   * Returns the duration in ms
+   */
+  end({ failed = false } = {}) {
+    if (this.duration !== null) return this.duration;
+
+    this.duration = Number(process.hrtime.bigint() - this.startTime) / 1e6;
+    this.failed = failed;
+    this.monitor.record(this.label, this.duration, { failed });
+    return this.duration;
+  }
+
+  /**
+   * Stop timing and record as failed
+   */
+  fail() {
+    return this.end({ failed: true });
+  }
+}
+
 /**
  * Performance monitor class
+ * Per label: count, failures, avg/min/max over all time and p50/p95/p99 over
+ * the last `windowSize` durations. Durations are also observed in a
+ * Prometheus histogram (labels: stage, outcome)
  */
 export class PerformanceMonitor {
-  constructor() {
+  constructor(options = {}) {
     this.metrics = new Map();
+    this.histogram = options.histogram || null;
+    this.windowSize = options.windowSize || 1000;
   }
 
   /**
-   * Start timing
+   * Start timing, returns a span to end when the operation completes
    */
   start(label) {
-    this.metrics.set(label, {
-      startTime: Date.now(),
-      count: (this.metrics.get(label)?.count || 0) + 1,
-    });
+    return new Span(this, label);
   }
 
   /**
-   * End timing and record
+   * Time an async function, failed if it throws
    */
-  end(label) {
-    const metric = this.metrics.get(label);
+  async measure(label, fn) {
+    const span = this.start(label);
+    try {
+      const result = await fn();
+      span.end();
+      return result;
+    } catch (error) {
+      span.fail();
+      throw error;
+    }
+  }
+
+  /**
+   * Record a duration in ms (from a span or measured elsewhere,
+   * e.g. frame → event latency)
+   */
+  record(label, duration, { failed = false } = {}) {
+    if (!Number.isFinite(duration) || duration < 0) return;
+
+    let metric = this.metrics.get(label);
     if (!metric) {
-      return null;
+      metric = {
+        count: 0,
+        failures: 0,
+        totalDuration: 0,
+        minDuration: Infinity,
+        maxDuration: 0,
+        lastDuration: null,
+        window: [],
+      };
+      this.metrics.set(label, metric);
     }
 
-    const duration = Date.now() - metric.startTime;
-    const existing = this.metrics.get(label);
+    metric.count++;
+    if (failed) metric.failures++;
+    metric.totalDuration += duration;
+    metric.minDuration = Math.min(metric.minDuration, duration);
+    metric.maxDuration = Math.max(metric.maxDuration, duration);
+    metric.lastDuration = duration;
 
-    this.metrics.set(label, {
-      ...existing,
-      lastDuration: duration,
-      totalDuration: (existing.totalDuration || 0) + duration,
-      avgDuration: ((existing.totalDuration || 0) + duration) / existing.count,
-      minDuration: Math.min(existing.minDuration || Infinity, duration),
-      maxDuration: Math.max(existing.maxDuration || 0, duration),
-    });
+    metric.window.push(duration);
+    if (metric.window.length > this.windowSize) {
+      metric.window.shift();
+    }
 
-    return duration;
+    this.histogram?.observe(
+      { stage: label, outcome: failed ? 'failure' : 'success' },
+      duration / 1000
+    );
   }
 
   /**
    * Get metrics for label
    */
   getMetrics(label) {
-    return this.metrics.get(label);
+    const metric = this.metrics.get(label);
+    if (!metric) return undefined;
+
+    const sorted = [...metric.window].sort((a, b) => a - b);
+    return {
+      count: metric.count,
+      failures: metric.failures,
+      avgDuration: round(metric.totalDuration / metric.count),
+      minDuration: round(metric.minDuration),
+      maxDuration: round(metric.maxDuration),
+      lastDuration: round(metric.lastDuration),
+      totalDuration: round(metric.totalDuration),
+      p50: round(percentile(sorted, 50)),
+      p95: round(percentile(sorted, 95)),
+      p99: round(percentile(sorted, 99)),
+    };
   }
 
   /**
@@ -86,14 +180,8 @@ export class PerformanceMonitor {
    */
   getAllMetrics() {
     const result = {};
-    for (const [label, metric] of this.metrics) {
-      result[label] = {
-        count: metric.count,
-        avgDuration: metric.avgDuration?.toFixed(2),
-        minDuration: metric.minDuration,
-        maxDuration: metric.maxDuration,
-        totalDuration: metric.totalDuration,
-      };
+    for (const label of this.metrics.keys()) {
+      result[label] = this.getMetrics(label);
     }
     return result;
   }
@@ -109,4 +197,4 @@ export class PerformanceMonitor {
 /**
  * Global performance monitor instance
  */
-export const perfMonitor = new PerformanceMonitor();
+export const perfMonitor = new PerformanceMonitor({ histogram: pipelineMetrics.latency });
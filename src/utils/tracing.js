@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { perfMonitor } from './performance.js';
+
+/**
+ * Pipeline stages in order, each stamped with Date.now() when reached:
+ * frame_received → parsed → enriched → processed → queued → delivered
+ */
+export const TRACE_STAGES = [
+  'frame_received',
+  'parsed',
+  'enriched',
+  'processed',
+  'queued',
+  'delivered',
+];
+
+// Segment name per stage, timed from the previous stamped stage
+const SEGMENTS = {
+  parsed: 'parse',
+  enriched: 'enrich',
+  processed: 'process',
+  queued: 'queue',
+  delivered: 'deliver',
+};
+
+/**
+ * Create a trace with a new id (unset stages are skipped)
+ */
+export function startTrace(stages = {}) {
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    stages: Object.fromEntries(Object.entries(stages).filter(([, time]) => Number.isFinite(time))),
+  };
+}
+
+/**
+ * Stamp a stage on an event's trace, or on an alert's source event
+ * The first stamp wins (an alert delivered to several chats is delivered
+ * when the first copy goes out)
+ */
+export function markStage(target, stage, time = Date.now()) {
+  const trace = target?.trace || target?.raw?.trace;
+  if (trace && trace.stages[stage] === undefined) {
+    trace.stages[stage] = time;
+  }
+  return trace || null;
+}
+
+/**
+ * Durations between consecutive stamped stages, in ms
+ */
+export function summarizeTrace(trace) {
+  const stamped = TRACE_STAGES.filter(stage => trace.stages[stage] !== undefined);
+  const segments = {};
+
+  stamped.slice(1).forEach((stage, index) => {
+    segments[SEGMENTS[stage]] = trace.stages[stage] - trace.stages[stamped[index]];
+  });
+
+  return {
+    id: trace.id,
+    segments,
+    total: stamped.length > 1 ? trace.stages[stamped.at(-1)] - trace.stages[stamped[0]] : 0,
+  };
+}
+
+/**
+ * Tracer
+ * Completes traces on delivery: logs the per-stage breakdown, records each
+ * segment in the performance monitor (`trace:<segment>`) and keeps the most
+ * recent traces for the status API
+ */
+export class Tracer {
+  constructor(options = {}) {
+    this.historySize = options.historySize ?? 100;
+    this.monitor = options.monitor || perfMonitor;
+    this.recent = [];
+    this.completed = 0;
+  }
+
+  /**
+   * Give an event a trace if its collector did not (frame time unknown:
+   * the event timestamp stands in for it)
+   */
+  ensure(event, receivedAt = Date.now()) {
+    if (!event.trace) {
+      event.trace = startTrace({
+        frame_received: event.frameTimestamp ?? event.timestamp,
+        enriched: receivedAt,
+      });
+    }
+    return event.trace;
+  }
+
+  /**
+   * Mark an alert delivered and complete its trace (once per trace)
+   */
+  complete(alert, deliveredAt = Date.now()) {
+    const trace = markStage(alert, 'delivered', deliveredAt);
+    if (!trace || trace.completed) return null;
+    trace.completed = true;
+
+    const summary = {
+      ...summarizeTrace(trace),
+      alertId: alert.id,
+      type: alert.type,
+      matchId: alert.matchId,
+      deliveredAt: trace.stages.delivered,
+    };
+
+    Object.entries(summary.segments).forEach(([segment, duration]) =>
+      this.monitor.record(`trace:${segment}`, duration)
+    );
+
+    this.recent.push(summary);
+    if (this.recent.length > this.historySize) {
+      this.recent.shift();
+    }
+    this.completed++;
+
+    const breakdown = Object.entries(summary.segments)
+      .map(([segment, duration]) => `${segment} ${duration}ms`)
+      .join(' · ');
+    logger.info(`⏱️ Trace ${trace.id} ${alert.type}: ${breakdown} = ${summary.total}ms`, {
+      matchId: alert.matchId,
+    });
+
+    return summary;
+  }
+
+  /**
+   * Segment with the highest p95 over recent traces
+   */
+  getBottleneck() {
+    let bottleneck = null;
+    Object.values(SEGMENTS).forEach(segment => {
+      const metric = this.monitor.getMetrics(`trace:${segment}`);
+      if (metric && (!bottleneck || metric.p95 > bottleneck.p95)) {
+        bottleneck = { segment, p50: metric.p50, p95: metric.p95 };
+      }
+    });
+    return bottleneck;
+  }
+
+  /**
+   * Tracing status: per-segment percentiles, bottleneck and latest traces
+   */
+  getStatus(limit = 20) {
+    const segments = {};
+    Object.values(SEGMENTS).forEach(segment => {
+      const metric = this.monitor.getMetrics(`trace:${segment}`);
+      if (metric) {
+        segments[segment] = { count: metric.count, p50: metric.p50, p95: metric.p95 };
+      }
+    });
+
+    return {
+      completed: this.completed,
+      segments,
+      bottleneck: this.getBottleneck(),
+      recent: this.recent.slice(-limit).reverse(),
+    };
+  }
+
+  /**
+   * Forget recent traces
+   */
+  reset() {
+    this.recent = [];
+    this.completed = 0;
+  }
+}
+
+/**
+ * Global tracer instance
+ */
+export const tracer = new Tracer();
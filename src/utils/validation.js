@@ -81,6 +81,18 @@ export function sanitizeString(str, maxLength = 1000) {
   return sanitized;
 }
 
+/**
+ * Escape text for Telegram HTML messages
+ */
+export function escapeHtml(text) {
+  if (text === undefined || text === null) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Validate URL
  */
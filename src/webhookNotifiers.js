@@ -0,0 +1,27 @@
+import {
+  DiscordNotifier,
+  SlackNotifier,
+  WebhookNotifier,
+} from '../notificationDispatcher/index.js';
+import { logger, config } from './utils/index.js';
+
+/**
+ * Create the optional Discord, Slack and generic webhook notifiers
+ * (used by the pipeline and by journal replay)
+ */
+export function createWebhookNotifiers() {
+  const notifiers = [];
+
+  if (config.discordWebhookUrl) {
+    notifiers.push(new DiscordNotifier(config.discordWebhookUrl));
+  }
+  if (config.slackWebhookUrl) {
+    notifiers.push(new SlackNotifier(config.slackWebhookUrl));
+  }
+  if (config.webhookUrl) {
+    notifiers.push(new WebhookNotifier(config.webhookUrl, { secret: config.webhookSecret }));
+  }
+
+  notifiers.forEach(notifier => logger.info(`📤 ${notifier.name} notifier enabled`));
+  return notifiers;
+}